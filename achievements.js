@@ -0,0 +1,218 @@
+/**
+ * Voice Commander - 実績
+ * イベントバスに流れるゲーム進行・音声認識のイベントから実績を判定し、解除状況を localStorage に保存する
+ *
+ * 定義は宣言的に記述する：
+ *   event     判定のきっかけになるイベント（EVENT_TYPES のイベント名）
+ *   condition (イベント内容, ゲーム中の集計) => 解除するか（省略時はイベントが起きれば解除）
+ *   streak    { resetOn, target }：event が resetOn を挟まずに target 回続いたら解除
+ */
+
+const ACHIEVEMENTS = {
+    // 予告攻撃を防御で防ぐ
+    firstParry: {
+        name: '見切り',
+        description: '予告攻撃を防御で防ぐ',
+        event: 'game:parry'
+    },
+
+    // 予告から1秒以内に防御
+    perfectParry: {
+        name: '完璧な迎撃',
+        description: '予告攻撃に「完璧」のタイミングで反応する',
+        event: 'game:parry',
+        condition: (event) => event.grade === 'perfect'
+    },
+
+    combo10: {
+        name: 'コンボ x10',
+        description: 'コマンドを10回連続で成功させる',
+        event: 'game:combo',
+        condition: (event) => event.count >= 10
+    },
+
+    // 途中から再開したゲームは撤退の有無がわからないため対象外
+    noRetreatWave10: {
+        name: '背水の陣',
+        description: '一度も撤退せずに第10波を撃退する',
+        event: 'game:waveCleared',
+        condition: (event, session) => event.wave >= 10 && !session.resumed && !session.commands.retreat
+    },
+
+    bossDefeated: {
+        name: '旗艦撃沈',
+        description: 'ボスウェーブを撃退する',
+        event: 'game:waveCleared',
+        condition: (event) => event.boss
+    },
+
+    cleanStreak50: {
+        name: '明瞭な号令',
+        description: '認識の失敗なしで50回連続でコマンドを伝える',
+        event: 'game:command',
+        streak: { resetOn: 'game:recognitionFailure', target: 50 }
+    },
+
+    survivalClear: {
+        name: '最後の砦',
+        description: 'サバイバルモードをクリアする',
+        event: 'game:gameOver',
+        condition: (event) => event.mode === 'survival' && event.result === 'clear'
+    },
+
+    survivalThreeStars: {
+        name: '完全防衛',
+        description: 'サバイバルモードを星3つでクリアする',
+        event: 'game:gameOver',
+        condition: (event) => event.mode === 'survival' && event.stars === 3
+    },
+
+    score10000: {
+        name: 'エース司令官',
+        description: '1ゲームで10000点を獲得する',
+        event: 'game:gameOver',
+        condition: (event) => event.score >= 10000
+    }
+};
+
+class AchievementTracker {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'voiceCommanderAchievements';
+        this.onUnlock = options.onUnlock || null;  // 解除時 (実績) => void
+        this.unlocked = this.load();                // { 実績ID: 解除日時 }
+        this.session = AchievementTracker.createSession();
+    }
+
+    /**
+     * ゲーム中の集計（イベント回数・実行したコマンド種別ごとの回数・連続回数）
+     */
+    static createSession(resumed = false) {
+        return { resumed: resumed, counts: {}, commands: {}, streaks: {} };
+    }
+
+    /**
+     * イベントバスを購読（定義で使うイベントとゲーム開始・コマンド実行、isActive が false の間は無視）
+     * 購読をすべて解除する関数を返す
+     */
+    attach(bus, isActive = () => true) {
+        const types = new Set(['game:gameStart', 'game:command']);
+        for (const achievement of Object.values(ACHIEVEMENTS)) {
+            types.add(achievement.event);
+            if (achievement.streak) {
+                types.add(achievement.streak.resetOn);
+            }
+        }
+
+        const unsubscribes = [...types].map(type => bus.on(type, (data) => {
+            if (isActive()) {
+                this.handleEvent(type, data);
+            }
+        }));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * イベント処理（集計を更新し、条件を満たした実績を解除）
+     */
+    handleEvent(type, data = {}) {
+        if (type === 'game:gameStart') {
+            this.session = AchievementTracker.createSession(!!data.resumed);
+        }
+
+        const session = this.session;
+        session.counts[type] = (session.counts[type] || 0) + 1;
+        if (type === 'game:command') {
+            session.commands[data.type] = (session.commands[data.type] || 0) + 1;
+        }
+
+        for (const [id, achievement] of Object.entries(ACHIEVEMENTS)) {
+            if (achievement.streak && achievement.streak.resetOn === type) {
+                session.streaks[id] = 0;
+            }
+            if (achievement.event !== type) continue;
+
+            if (achievement.streak) {
+                session.streaks[id] = (session.streaks[id] || 0) + 1;
+            }
+            if (this.isUnlocked(id)) continue;
+
+            const achieved = achievement.streak ?
+                session.streaks[id] >= achievement.streak.target :
+                !achievement.condition || achievement.condition(data, session);
+            if (achieved) {
+                this.unlock(id);
+            }
+        }
+    }
+
+    /**
+     * 実績解除
+     */
+    unlock(id) {
+        this.unlocked[id] = Date.now();
+        this.save();
+
+        const achievement = this.get(id);
+        console.log(`Achievement unlocked: ${id}`);
+        if (this.onUnlock) {
+            this.onUnlock(achievement);
+        }
+    }
+
+    /**
+     * 解除済みか
+     */
+    isUnlocked(id) {
+        return Object.prototype.hasOwnProperty.call(this.unlocked, id);
+    }
+
+    /**
+     * 実績の表示用情報 { id, name, description, unlockedAt }
+     */
+    get(id) {
+        const achievement = ACHIEVEMENTS[id];
+        return {
+            id: id,
+            name: achievement.name,
+            description: achievement.description,
+            unlockedAt: this.isUnlocked(id) ? this.unlocked[id] : null
+        };
+    }
+
+    /**
+     * 全実績（定義順）
+     */
+    getAll() {
+        return Object.keys(ACHIEVEMENTS).map(id => this.get(id));
+    }
+
+    /**
+     * 解除状況の読み込み（定義から消えた実績は無視）
+     */
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            const unlocked = {};
+            for (const [id, unlockedAt] of Object.entries(data)) {
+                if (ACHIEVEMENTS[id]) {
+                    unlocked[id] = unlockedAt;
+                }
+            }
+            return unlocked;
+        } catch (error) {
+            console.error('Failed to load achievements:', error);
+            return {};
+        }
+    }
+
+    /**
+     * 解除状況の保存
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.unlocked));
+        } catch (error) {
+            console.error('Failed to save achievements:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -3,17 +3,19 @@
  * 連続コマンド、自然言語処理、学習機能
  */
 
+// コマンドの代わりに recognition:command で通知する案内（originalText が表示する文言）
+const RECOGNITION_NOTICE_TYPES = ['queue', 'suggestion', 'help'];
+
 class AdvancedVoiceRecognition extends VoiceRecognition {
-    constructor() {
-        super();
+    constructor(options = {}) {
+        super(options);
         
         // 連続コマンド処理
         this.commandQueue = [];
         this.processingQueue = false;
         this.queueProcessingDelay = 1000; // 1秒間隔
         
-        // 自然言語処理
-        this.naturalLanguagePatterns = new Map();
+        // 自然言語処理（表現は command-grammar.js の COMMAND_GRAMMAR・COMBO_GRAMMAR）
         this.contextHistory = [];
         this.maxContextHistory = 10;
         
@@ -31,7 +33,6 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
      * 高度機能初期化
      */
     initAdvancedFeatures() {
-        this.initNaturalLanguagePatterns();
         this.loadUserLearning();
         console.log('Advanced voice recognition features initialized');
     }
@@ -49,82 +50,17 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
     }
     
     /**
-     * 自然言語パターン初期化
+     * 確認システム（未初期化ならnull）
      */
-    initNaturalLanguagePatterns() {
-        // 攻撃系の表現
-        this.naturalLanguagePatterns.set('attack', [
-            /敵.*やっつけ/,
-            /敵.*倒/,
-            /敵.*撃破/,
-            /攻撃.*して/,
-            /やっつけて/,
-            /倒して/,
-            /撃って/,
-            /戦って/,
-            /敵.*消して/,
-            /敵.*排除/,
-            /敵が.*うざい/,
-            /敵.*なんとか/
-        ]);
-        
-        // 防御系の表現
-        this.naturalLanguagePatterns.set('defend', [
-            /守って/,
-            /防いで/,
-            /シールド/,
-            /バリア/,
-            /防衛.*強化/,
-            /回復.*して/,
-            /治して/,
-            /直して/,
-            /立て直/,
-            /持ちこたえ/,
-            /耐え/
-        ]);
-        
-        // 撤退系の表現
-        this.naturalLanguagePatterns.set('retreat', [
-            /逃げ/,
-            /退避/,
-            /下がって/,
-            /引いて/,
-            /避難/,
-            /撤退.*して/,
-            /危険.*だから/,
-            /やばい/,
-            /まずい/,
-            /無理/,
-            /厳しい/
-        ]);
-        
-        // 状況確認系の表現
-        this.naturalLanguagePatterns.set('status', [
-            /どうなって/,
-            /状況.*教えて/,
-            /今.*どう/,
-            /何が.*起きて/,
-            /現在.*状況/,
-            /レポート/,
-            /報告.*して/,
-            /確認/,
-            /チェック/
-        ]);
-        
-        // 連続コマンドパターン
-        this.naturalLanguagePatterns.set('combo_attack_defend', [
-            /攻撃.*防御/,
-            /攻撃.*守/,
-            /やっつけ.*守/,
-            /撃破.*防御/
-        ]);
-        
-        this.naturalLanguagePatterns.set('combo_defend_attack', [
-            /防御.*攻撃/,
-            /守.*攻撃/,
-            /回復.*攻撃/,
-            /立て直.*攻撃/
-        ]);
+    getConfirmationSystem() {
+        return this.confirmationSystem;
+    }
+    
+    /**
+     * 実行待ちの連続コマンドの取り消し
+     */
+    clearCommandQueue() {
+        this.commandQueue = [];
     }
     
     /**
@@ -133,14 +69,14 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
     processRecognitionResult(transcript, confidence) {
         console.log(`Advanced processing: "${transcript}" (confidence: ${confidence})`);
         
+        this.events.emit('recognition:transcript', transcript, confidence);
+        
         // コンテキスト履歴に追加
         this.addToContext(transcript);
         
-        // 確認システムがある場合の応答チェック
-        if (this.confirmationSystem && this.confirmationSystem.getStatus().hasPendingConfirmation) {
-            if (this.confirmationSystem.handleConfirmationResponse(transcript)) {
-                return; // 確認応答として処理された
-            }
+        // 確認への応答・取り消し・コマンド以外の発話
+        if (CommandDispatch.intercept(this, transcript)) {
+            return;
         }
         
         // コマンド解析
@@ -155,27 +91,10 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
         }
         
         if (commands.length > 0) {
-            const primaryCommand = commands[0];
-            
-            // 確認システムによる信頼度チェック
-            if (this.confirmationSystem && this.confirmationSystem.shouldConfirm(primaryCommand, transcript, confidence)) {
-                this.requestConfirmationWithSystem(primaryCommand, transcript, confidence, commands);
-                return;
-            }
-            
-            // 学習機能：成功したパターンを記録
-            this.learnSuccessfulPattern(transcript, commands);
-            
-            if (commands.length === 1) {
-                // 単一コマンド
-                this.executeCommand(commands[0], transcript);
-            } else {
-                // 連続コマンド
-                this.queueCommands(commands, transcript);
-            }
+            CommandDispatch.dispatch(this, commands, transcript, confidence);
         } else {
             // 認識失敗時の学習機会
-            this.handleUnrecognizedInput(transcript);
+            this.handleUnrecognizedInput(transcript, confidence);
         }
     }
     
@@ -183,66 +102,32 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
      * 高度コマンド解析
      */
     parseAdvancedCommand(transcript) {
-        const commands = [];
-        const lowerTranscript = transcript.toLowerCase();
-        
         // 学習済みパターンチェック
         const learnedCommand = this.checkLearnedPatterns(transcript);
         if (learnedCommand) {
-            commands.push(learnedCommand);
-            return commands;
+            return [learnedCommand];
         }
         
-        // 連続コマンドパターンチェック
-        for (const [combo, patterns] of this.naturalLanguagePatterns.entries()) {
-            if (combo.startsWith('combo_')) {
-                for (const pattern of patterns) {
-                    if (pattern.test(lowerTranscript)) {
-                        const commandPair = combo.replace('combo_', '').split('_');
-                        commands.push(...commandPair);
-                        return commands;
-                    }
-                }
-            }
-        }
-        
-        // 通常のコマンドマッピング
-        for (const [keyword, command] of Object.entries(this.commandMap)) {
-            if (lowerTranscript.includes(keyword.toLowerCase())) {
-                if (!commands.includes(command)) {
-                    commands.push(command);
-                }
-            }
-        }
-        
-        return commands;
+        // 連続コマンドパターン → 同義語
+        return CommandGrammar.matchCombo(transcript) || CommandGrammar.matchSynonyms(transcript);
     }
     
     /**
      * 自然言語解析
      */
     parseNaturalLanguage(transcript) {
-        const lowerTranscript = transcript.toLowerCase();
-        
-        for (const [command, patterns] of this.naturalLanguagePatterns.entries()) {
-            if (command.startsWith('combo_')) continue;
-            
-            for (const pattern of patterns) {
-                if (pattern.test(lowerTranscript)) {
-                    console.log(`Natural language match: ${transcript} -> ${command}`);
-                    return command;
-                }
-            }
+        const command = CommandGrammar.matchPattern(transcript);
+        if (command) {
+            console.log(`Natural language match: ${transcript} -> ${command}`);
         }
-        
-        return null;
+        return command;
     }
     
     /**
      * 連続コマンドキューイング
      */
     queueCommands(commands, originalText) {
-        console.log(`Queueing commands: ${commands.join(' -> ')}`);
+        console.log(`Queueing commands: ${commands.map(command => CommandGrammar.describe(command)).join(' -> ')}`);
         
         // キューに追加
         for (const command of commands) {
@@ -259,9 +144,7 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
         }
         
         // UI通知
-        if (this.onCommand) {
-            this.onCommand('queue', `連続コマンド：${commands.join(' → ')}`);
-        }
+        this.events.emit('recognition:command', 'queue', `連続コマンド：${commands.map(command => CommandGrammar.describe(command)).join(' → ')}`);
     }
     
     /**
@@ -275,7 +158,7 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
         while (this.commandQueue.length > 0) {
             const commandInfo = this.commandQueue.shift();
             
-            console.log(`Processing queued command: ${commandInfo.command}`);
+            console.log(`Processing queued command: ${CommandGrammar.describe(commandInfo.command)}`);
             
             // コマンド実行
             this.executeCommand(commandInfo.command, commandInfo.originalText);
@@ -321,14 +204,12 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
             (originalText, reason) => {
                 console.log('Command confirmation rejected:', reason);
                 
-                // 拒否された場合のコールバック通知
-                if (this.onConfirmationRequest) {
-                    this.onConfirmationRequest({
-                        type: 'rejected',
-                        originalText: originalText,
-                        reason: reason
-                    });
-                }
+                // 拒否された場合の通知
+                this.events.emit('recognition:confirmationRequest', {
+                    type: 'rejected',
+                    originalText: originalText,
+                    reason: reason
+                });
             }
         );
     }
@@ -353,7 +234,7 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
      */
     checkLearnedPatterns(transcript) {
         for (const [pattern, command] of this.learnedCommands.entries()) {
-            if (transcript.toLowerCase().includes(pattern.toLowerCase())) {
+            if (TextNormalizer.contains(transcript, pattern)) {
                 console.log(`Using learned pattern: ${pattern} -> ${command}`);
                 return command;
             }
@@ -366,8 +247,8 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
      */
     learnSuccessfulPattern(transcript, commands) {
         // ユーザー固有の表現を学習
-        const key = transcript.toLowerCase().trim();
-        const command = commands[0]; // 最初のコマンドを主コマンドとして記録
+        const key = TextNormalizer.normalize(transcript);
+        const command = CommandGrammar.getType(commands[0]); // 最初のコマンドを主コマンドとして記録
         
         if (!this.userPatterns.has(command)) {
             this.userPatterns.set(command, new Set());
@@ -385,73 +266,38 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
     }
     
     /**
-     * 認識失敗時の処理
+     * 認識失敗時の処理（音の近いコマンドがほぼ確実なら実行し、あいまいなら候補を提案）
      */
-    handleUnrecognizedInput(transcript) {
+    handleUnrecognizedInput(transcript, confidence = 1.0) {
         console.log(`Unrecognized input: "${transcript}"`);
         
-        // 類似パターンの提案
-        const suggestions = this.findSimilarPatterns(transcript);
+        const { accepted, suggestions } = PhoneticMatcher.resolve(this.findSimilarPatterns(transcript));
+        
+        // 言い間違い・誤変換（「後撃」等）：一致度で割り引いた信頼度で確認の要否を判定
+        if (accepted) {
+            console.log(`Phonetic match: "${transcript}" -> ${accepted.type} (score: ${accepted.score.toFixed(2)})`);
+            CommandDispatch.dispatch(this, [accepted.type], transcript, confidence * accepted.score);
+            return;
+        }
+        
+        // 認識失敗として通知し（統合システムと同じ unrecognized）、候補やコマンド一覧を案内する
+        this.events.emit('recognition:error', `認識できませんでした: "${transcript}"`, 'unrecognized', false,
+            { transcript: transcript });
         
         if (suggestions.length > 0) {
-            const message = `もしかして：${suggestions.join('、')}`;
-            if (this.onCommand) {
-                this.onCommand('suggestion', message);
-            }
+            const message = `もしかして：${suggestions.map(candidate => candidate.label).join('、')}`;
+            this.events.emit('recognition:command', 'suggestion', message);
         } else {
-            if (this.onCommand) {
-                this.onCommand('help', '利用可能なコマンド：攻撃、防御、撤退、状況');
-            }
+            const labels = CommandGrammar.getCommands().filter(command => !command.meta).map(command => command.label);
+            this.events.emit('recognition:command', 'help', `利用可能なコマンド：${labels.join('、')}`);
         }
     }
     
     /**
-     * 類似パターン検索
+     * 類似パターン検索（音の近さで順位付けしたコマンド候補 [{ type, label, score, synonym }]）
      */
     findSimilarPatterns(transcript) {
-        const suggestions = [];
-        const lowerTranscript = transcript.toLowerCase();
-        
-        // 基本コマンドとの類似度チェック
-        const basicCommands = ['攻撃', '防御', '撤退', '状況'];
-        for (const cmd of basicCommands) {
-            if (this.calculateSimilarity(lowerTranscript, cmd.toLowerCase()) > 0.3) {
-                suggestions.push(cmd);
-            }
-        }
-        
-        return suggestions.slice(0, 3); // 最大3つまで
-    }
-    
-    /**
-     * 文字列類似度計算（簡易版）
-     */
-    calculateSimilarity(str1, str2) {
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-        
-        if (longer.length === 0) return 1.0;
-        
-        const commonChars = this.countCommonCharacters(longer, shorter);
-        return commonChars / longer.length;
-    }
-    
-    /**
-     * 共通文字数カウント
-     */
-    countCommonCharacters(str1, str2) {
-        let count = 0;
-        const chars2 = str2.split('');
-        
-        for (const char of str1) {
-            const index = chars2.indexOf(char);
-            if (index !== -1) {
-                chars2.splice(index, 1);
-                count++;
-            }
-        }
-        
-        return count;
+        return PhoneticMatcher.rank(transcript);
     }
     
     /**
@@ -503,15 +349,6 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
         }
     }
     
-    /**
-     * コマンド実行（親クラスのメソッドを拡張）
-     */
-    executeCommand(command, originalText) {
-        if (this.onCommand) {
-            this.onCommand(command, originalText);
-        }
-    }
-    
     /**
      * 待機ユーティリティ
      */
@@ -540,14 +377,12 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
     addLearningPattern(originalText, command, confidence = 1.0) {
         this.learnSuccessfulPattern(originalText, [command]);
         
-        // コールバック通知
-        if (this.onUserLearning) {
-            this.onUserLearning({
-                newPattern: originalText,
-                command: command,
-                confidence: confidence
-            });
-        }
+        // 学習の通知
+        this.events.emit('recognition:userLearning', {
+            newPattern: originalText,
+            command: CommandGrammar.getType(command),
+            confidence: confidence
+        });
     }
     
     /**
@@ -556,7 +391,7 @@ class AdvancedVoiceRecognition extends VoiceRecognition {
     addCorrectionPattern(originalText, wrongCommand, correctedText, correctCommand) {
         // 間違ったパターンを学習から除外
         for (const [cmd, patterns] of this.userPatterns.entries()) {
-            patterns.delete(originalText.toLowerCase().trim());
+            patterns.delete(TextNormalizer.normalize(originalText));
         }
         
         // 正しいパターンを学習
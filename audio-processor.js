@@ -3,8 +3,16 @@
  * Web Audio APIによる音声キャプチャとWhisper用音声データ変換
  */
 
+const AUDIO_PROCESSOR_CALLBACK_EVENTS = {
+    onSpeechStart: 'audio:speechStart',
+    onSpeechEnd: 'audio:speechEnd',
+    onAudioData: 'audio:audioData',
+    onVolumeLevel: 'audio:volumeLevel',
+    onError: 'audio:error'
+};
+
 class AudioProcessor {
-    constructor() {
+    constructor(options = {}) {
         this.audioContext = null;
         this.mediaStream = null;
         this.sourceNode = null;
@@ -30,14 +38,9 @@ class AudioProcessor {
         this.lastSpeechTime = null;
         this.silenceTimer = null;
         
-        // コールバック
-        this.callbacks = {
-            onSpeechStart: null,
-            onSpeechEnd: null,
-            onAudioData: null,
-            onVolumeLevel: null,
-            onError: null
-        };
+        // イベント通知（共有するバスを注入可能）
+        this.events = options.eventBus || new EventBus();
+        this.callbackSlots = {};
         
         console.log('AudioProcessor created');
     }
@@ -149,9 +152,7 @@ class AudioProcessor {
         const volumeLevel = this.calculateVolumeLevel(inputData);
         
         // 音量レベル通知
-        if (this.callbacks.onVolumeLevel) {
-            this.callbacks.onVolumeLevel(volumeLevel);
-        }
+        this.events.emit('audio:volumeLevel', volumeLevel);
         
         // VAD (Voice Activity Detection)
         const isSpeech = volumeLevel > this.vadThreshold;
@@ -169,8 +170,8 @@ class AudioProcessor {
         }
         
         // 音声データ通知
-        if (this.callbacks.onAudioData && this.isProcessing) {
-            this.callbacks.onAudioData(new Float32Array(inputData));
+        if (this.isProcessing && this.events.hasListeners('audio:audioData')) {
+            this.events.emit('audio:audioData', new Float32Array(inputData));
         }
     }
     
@@ -194,9 +195,7 @@ class AudioProcessor {
             this.audioBuffer = []; // バッファクリア
             
             console.log('Speech started');
-            if (this.callbacks.onSpeechStart) {
-                this.callbacks.onSpeechStart();
-            }
+            this.events.emit('audio:speechStart');
         }
     }
     
@@ -236,9 +235,7 @@ class AudioProcessor {
             // 音声データを取得
             const audioData = new Float32Array(this.audioBuffer);
             
-            if (this.callbacks.onSpeechEnd) {
-                this.callbacks.onSpeechEnd(audioData, speechDuration);
-            }
+            this.events.emit('audio:speechEnd', audioData, speechDuration);
         } else {
             console.log(`[AudioProcessor] Speech too short (${speechDuration}ms < ${this.minSpeechDuration}ms), ignored`);
         }
@@ -338,7 +335,7 @@ class AudioProcessor {
      * コールバック設定
      */
     setCallbacks(callbacks) {
-        this.callbacks = { ...this.callbacks, ...callbacks };
+        this.events.bindCallbacks(callbacks, AUDIO_PROCESSOR_CALLBACK_EVENTS, this.callbackSlots);
     }
     
     /**
@@ -400,9 +397,7 @@ class AudioProcessor {
     notifyError(message, error = null) {
         console.error('AudioProcessor Error:', message, error);
         
-        if (this.callbacks.onError) {
-            this.callbacks.onError(message, error);
-        }
+        this.events.emit('audio:error', message, error);
     }
     
     /**
@@ -410,6 +405,7 @@ class AudioProcessor {
      */
     cleanup() {
         this.stopRecording();
+        this.events.unbindCallbacks(this.callbackSlots);
         
         // タイマークリア
         if (this.silenceTimer) {
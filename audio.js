@@ -61,6 +61,13 @@ class AudioManager {
                 type: 'sine'
             },
             
+            // 実績解除
+            'achievement': {
+                notes: [784, 988, 1175, 1568],
+                durations: [0.12, 0.12, 0.12, 0.5],
+                type: 'triangle'
+            },
+            
             // ゲームオーバー
             'game_over': {
                 notes: [440, 415, 392, 370],
@@ -0,0 +1,245 @@
+/**
+ * Voice Commander - バランス定義
+ * ダメージ・回復量・成功率・ウェーブ構成・難易度曲線などの数値ルールと、ルールファイルの検証
+ *
+ * 範囲は { base, random }：値 = floor(base + 乱数 * random)（ダメージの base は難易度倍率がかかる）
+ */
+
+// 難易度プリセット（rules/ 以下のルールファイル）
+const BALANCE_PRESETS = {
+    easy: { name: 'イージー', file: 'rules/easy.json' },
+    normal: { name: 'ノーマル', file: 'rules/normal.json' },
+    hard: { name: 'ハード', file: 'rules/hard.json' }
+};
+
+const DEFAULT_BALANCE_PRESET = 'normal';
+
+// 既定ルール（ノーマルの内容、rules/*.json は差分だけを書き、省略した項目はこの値になる）
+const DEFAULT_BALANCE_RULES = {
+    name: 'ノーマル',
+    description: '標準のバランス',
+
+    // プレイヤーの上限値
+    player: {
+        maxDefense: 100,
+        maxFleetHp: 100,
+        maxEnergy: 100,
+        energyRegenRate: 10,     // 毎秒のエネルギー回復量
+        maxSectorShield: 50
+    },
+
+    // コマンドごとのエネルギー消費と再使用待ち時間（ms）
+    commands: {
+        attack: { energy: 15, cooldown: 1000 },
+        defend: { energy: 15, cooldown: 2000 },
+        retreat: { energy: 35, cooldown: 6000 },
+        status: { energy: 0, cooldown: 0 }
+    },
+
+    // 操作の猶予（ms）
+    timing: {
+        comboWindow: 5000,       // 前のコマンドからこの時間内ならコンボが続く
+        undoWindow: 2000         // 取り消しの猶予
+    },
+
+    // 難易度曲線（難易度 = base + 経過分 * increasePerMinute）
+    difficulty: {
+        base: 1.0,
+        increasePerMinute: 0.1
+    },
+
+    // ウェーブ構成（敵数 = (baseEnemyCount + ウェーブ * enemyCountPerWave) * 難易度）
+    waves: {
+        baseEnemyCount: 3,
+        enemyCountPerWave: 0.5,
+        baseSpawnRate: 3000,     // 出現間隔（ms）
+        spawnRateDecreasePerWave: 100,
+        minSpawnRate: 1000,
+        firstWaveDelay: 2000,
+        nextWaveDelay: 3000      // 補給フェーズ終了から次のウェーブまで
+    },
+
+    // 敵の攻撃
+    enemyDamage: {
+        direct: { base: 5, random: 5 },
+        surround: { base: 3, random: 3 },
+        special: { base: 8, random: 7 },
+        fleetStrike: { base: 50, random: 30 },  // 特殊攻撃で艦隊を狙った時の艦隊ダメージ
+        fleetStrikeChance: 0.5                  // 特殊攻撃が艦隊を狙う確率
+    },
+
+    // 攻撃（成功率 = baseSuccessRate + 戦力 * firepowerRate、上限 maxSuccessRate）
+    attack: {
+        baseSuccessRate: 0.5,
+        firepowerRate: 0.15,
+        maxSuccessRate: 0.9,
+        focusBonus: 0.1,                        // 方面指定の集中攻撃
+        shots: { base: 1, random: 2 },
+        counterChance: 0.3,
+        counterDamage: { base: 3, random: 4 }
+    },
+
+    // 防御
+    defend: {
+        heal: { base: 5, random: 10 },
+        sectorShield: { base: 15, random: 15 },
+        fleetRepair: { base: 20, random: 15 }
+    },
+
+    // 撤退
+    retreat: {
+        heal: { base: 15, random: 10 }
+    },
+
+    // 自動防御（防衛度が threshold 未満の時に interval ごとに回復）
+    autoDefense: {
+        interval: 5000,
+        threshold: 50,
+        heal: { base: 2, random: 3 },
+        messageChance: 0.3       // 作動をメッセージで知らせる確率
+    },
+
+    // 強化1レベルあたりの効果
+    upgrades: {
+        shieldCapacity: 15,
+        shieldHeal: 2,
+        accuracy: 0.05,
+        autoDefenseThreshold: 5,
+        autoDefenseHeal: 1
+    },
+
+    // ウェーブ撃退の報酬（補給 = baseSupplies + floor(ウェーブ / wavesPerSupply) + ボス撃破時 bossSupplies）
+    rewards: {
+        waveScore: 100,
+        baseSupplies: 2,
+        wavesPerSupply: 5,
+        bossSupplies: 3
+    },
+
+    // 適応難易度（各指標の目標からのずれを ±Range で -1〜1 に正規化して平均し、±zone を超えたら圧力を step ずつ調整）
+    director: {
+        enabled: true,
+        interval: 10000,         // 判定間隔（ms）
+        window: 60000,           // 直近この期間の記録で判定（ms）
+        minSamples: 3,           // これ未満の件数では成功率・認識失敗率を使わない
+        targetAccuracy: 0.7,
+        accuracyRange: 0.3,
+        targetFailureRate: 0.15,
+        failureRateRange: 0.3,
+        targetLatency: 1500,     // 予告攻撃への反応時間（ms）
+        defenseTrendRange: 30,   // 防衛度の毎分の増減
+        zone: 0.2,
+        step: 0.05,
+        minPressure: 0.7,
+        maxPressure: 1.3
+    }
+};
+
+// 確率として扱うルール（0〜1）
+const BALANCE_RATE_RULES = [
+    'attack.baseSuccessRate', 'attack.maxSuccessRate', 'attack.counterChance', 'enemyDamage.fleetStrikeChance',
+    'autoDefense.messageChance', 'director.targetAccuracy', 'director.targetFailureRate'
+];
+
+// 0 を許さないルール（除数・周期・上限値）
+const BALANCE_POSITIVE_RULES = [
+    'player.maxDefense', 'player.maxFleetHp', 'player.maxEnergy', 'waves.baseSpawnRate', 'waves.minSpawnRate',
+    'waves.nextWaveDelay', 'autoDefense.interval', 'rewards.wavesPerSupply', 'director.interval', 'director.window',
+    'director.accuracyRange', 'director.failureRateRange', 'director.targetLatency', 'director.defenseTrendRange',
+    'director.maxPressure'
+];
+
+class BalanceRules {
+    /**
+     * ルールセットを既定ルールに重ねて検証（省略した項目は既定値、不正な値は例外）
+     */
+    static resolve(overrides = {}) {
+        if (!BalanceRules.isObject(overrides)) {
+            throw new Error('Balance rules must be an object');
+        }
+        return BalanceRules.validate(BalanceRules.merge(DEFAULT_BALANCE_RULES, overrides));
+    }
+
+    /**
+     * JSON文字列から読み込み
+     */
+    static parse(json) {
+        return BalanceRules.resolve(JSON.parse(json));
+    }
+
+    /**
+     * 深いマージ（元のオブジェクトは変更しない）
+     */
+    static merge(base, overrides) {
+        const merged = JSON.parse(JSON.stringify(base));
+        for (const [key, value] of Object.entries(overrides)) {
+            merged[key] = BalanceRules.isObject(value) && BalanceRules.isObject(merged[key]) ?
+                BalanceRules.merge(merged[key], value) : value;
+        }
+        return merged;
+    }
+
+    /**
+     * 既定ルールと同じ構造・型か検証（未知の項目・負の値・範囲外の確率は例外）
+     */
+    static validate(rules) {
+        BalanceRules.validateShape(rules, DEFAULT_BALANCE_RULES, null);
+
+        for (const rulePath of BALANCE_RATE_RULES) {
+            if (BalanceRules.getValue(rules, rulePath) > 1) {
+                throw new Error(`Balance rule "${rulePath}" must be between 0 and 1`);
+            }
+        }
+        for (const rulePath of BALANCE_POSITIVE_RULES) {
+            if (BalanceRules.getValue(rules, rulePath) <= 0) {
+                throw new Error(`Balance rule "${rulePath}" must be greater than 0`);
+            }
+        }
+        if (rules.director.minPressure > rules.director.maxPressure) {
+            throw new Error('Balance rule "director.minPressure" must not exceed "director.maxPressure"');
+        }
+        return rules;
+    }
+
+    /**
+     * 構造・型の再帰検証
+     */
+    static validateShape(value, schema, path) {
+        if (!BalanceRules.isObject(value)) {
+            throw new Error(`Balance rule "${path || 'rules'}" must be an object`);
+        }
+
+        const prefix = path ? `${path}.` : '';
+        for (const key of Object.keys(value)) {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+                throw new Error(`Unknown balance rule: "${prefix}${key}"`);
+            }
+        }
+
+        for (const [key, expected] of Object.entries(schema)) {
+            const rulePath = `${prefix}${key}`;
+            const actual = value[key];
+
+            if (BalanceRules.isObject(expected)) {
+                BalanceRules.validateShape(actual, expected, rulePath);
+            } else if (typeof expected === 'number') {
+                if (typeof actual !== 'number' || !Number.isFinite(actual) || actual < 0) {
+                    throw new Error(`Balance rule "${rulePath}" must be a non-negative number`);
+                }
+            } else if (typeof actual !== typeof expected) {
+                throw new Error(`Balance rule "${rulePath}" must be a ${typeof expected}`);
+            }
+        }
+    }
+
+    /**
+     * ドット区切りのパスで値を取得
+     */
+    static getValue(rules, rulePath) {
+        return rulePath.split('.').reduce((value, key) => value[key], rules);
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
\ No newline at end of file
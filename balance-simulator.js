@@ -0,0 +1,304 @@
+/**
+ * Voice Commander - バランスシミュレーター（Node.js専用）
+ * コマンドポリシーで大量のゲームを自動実行し、生存時間・到達ウェーブ・スコア・成功率を集計する
+ *
+ * 使用例:
+ *   node balance-simulator.js --games 1000 --policy attack-defend
+ *   node balance-simulator.js --games 200 --mode survival
+ *   node balance-simulator.js --games 500 --rules rules/hard.json
+ *   node balance-simulator.js --games 500 --misrecognition 0.3
+ *   node balance-simulator.js --policy "retreat:defense<15,attack:enemyCount>0" --format csv --out result.csv
+ *   node balance-simulator.js --timeline commands.json --seed 42 --games 1
+ *   node balance-simulator.js --replay voice-commander-replay.json
+ */
+
+const fs = require('fs');
+const { POLICIES, loadGameClasses, runHeadlessGame } = require('./headless-runner.js');
+
+const DEFAULT_OPTIONS = {
+    games: 100,
+    policy: 'attack-defend',
+    mode: 'endless',
+    rules: null,
+    misrecognition: 0,
+    seed: 1,
+    interval: 1500,
+    maxTime: 1800,
+    format: 'json',
+    out: null,
+    timeline: null,
+    replay: null,
+    perGame: false
+};
+
+const CSV_COLUMNS = ['seed', 'mode', 'result', 'stars', 'survivalTime', 'wavesReached', 'score', 'kills', 'maxCombo', 'commandCount', 'accuracy', 'parries', 'averageParryLatency', 'pressure', 'directorAdjustments', 'timedOut'];
+
+/**
+ * コマンドライン引数解析
+ */
+function parseArguments(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--games': options.games = parseInt(next(), 10); break;
+            case '--policy': options.policy = next(); break;
+            case '--mode': options.mode = next(); break;
+            case '--rules': options.rules = next(); break;
+            case '--misrecognition': options.misrecognition = parseFloat(next()); break;
+            case '--seed': options.seed = parseInt(next(), 10); break;
+            case '--interval': options.interval = parseInt(next(), 10); break;
+            case '--max-time': options.maxTime = parseInt(next(), 10); break;
+            case '--format': options.format = next(); break;
+            case '--out': options.out = next(); break;
+            case '--timeline': options.timeline = next(); break;
+            case '--replay': options.replay = next(); break;
+            case '--per-game': options.perGame = true; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isFinite(options.games) || options.games < 1) {
+        throw new Error('--games must be a positive integer');
+    }
+    if (!(options.misrecognition >= 0 && options.misrecognition <= 1)) {
+        throw new Error('--misrecognition must be between 0 and 1');
+    }
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error('--format must be json or csv');
+    }
+
+    return options;
+}
+
+/**
+ * 使い方表示
+ */
+function printUsage() {
+    console.log([
+        'Usage: node balance-simulator.js [options]',
+        '',
+        '  --games <n>        number of games to simulate (default 100)',
+        '  --policy <name>    built-in policy or rule list "command:field<op>value,..."',
+        `                     built-in: ${Object.keys(POLICIES).join(', ')}`,
+        '  --mode <id>        game mode: endless, timeAttack, survival, daily (default endless)',
+        '  --rules <file>     balance rules JSON (rules/easy.json, rules/hard.json or a custom set)',
+        '  --misrecognition <rate>  chance that a policy command is lost to speech recognition (default 0)',
+        '  --timeline <file>  JSON command timeline [{ "at": ms, "command": "attack" }] (overrides --policy)',
+        '  --replay <file>    replay exported from the browser; reproduces that one game',
+        '  --seed <n>         first seed; game i uses seed + i (default 1)',
+        '  --interval <ms>    time between policy decisions (default 1500)',
+        '  --max-time <s>     stop a game after this much game time (default 1800)',
+        '  --format json|csv  output format (csv is one row per game)',
+        '  --per-game         include every game in JSON output',
+        '  --out <file>       write to file instead of stdout'
+    ].join('\n'));
+}
+
+/**
+ * 数値列の分布統計
+ */
+function describe(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+
+    return {
+        min: sorted[0],
+        p10: percentile(0.1),
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        max: sorted[sorted.length - 1],
+        mean: round(mean)
+    };
+}
+
+/**
+ * 度数分布（値ごとの件数）
+ */
+function countBy(values) {
+    const counts = {};
+    for (const value of values) {
+        counts[value] = (counts[value] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * 生存時間のヒストグラム（bucketSize秒刻み）
+ */
+function histogram(values, bucketSize) {
+    const counts = new Map();
+    for (const value of values) {
+        const start = Math.floor(value / bucketSize) * bucketSize;
+        counts.set(start, (counts.get(start) || 0) + 1);
+    }
+
+    const buckets = {};
+    for (const start of [...counts.keys()].sort((a, b) => a - b)) {
+        buckets[`${start}-${start + bucketSize}`] = counts.get(start);
+    }
+    return buckets;
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * シミュレーション実行
+ */
+function simulate(options) {
+    const classes = loadGameClasses();
+
+    // リプレイは記録されたシード・入力で1ゲームだけ再現
+    if (options.replay) {
+        const replay = classes.ReplayPlayer.parse(fs.readFileSync(options.replay, 'utf8'));
+        return [runHeadlessGame({
+            classes: classes,
+            replay: replay,
+            maxGameTime: options.maxTime * 1000
+        })];
+    }
+
+    if (!classes.GameModes.isValid(options.mode)) {
+        throw new Error(`Unknown game mode: ${options.mode}`);
+    }
+    if (classes.GameModes.get(options.mode).scripted) {
+        throw new Error(`Scripted game mode cannot be simulated: ${options.mode}`);
+    }
+
+    // ルールは実行前に検証（不正なら全ゲームを走らせずに終了）
+    const rules = options.rules ? classes.BalanceRules.parse(fs.readFileSync(options.rules, 'utf8')) : undefined;
+
+    const policy = options.timeline ? JSON.parse(fs.readFileSync(options.timeline, 'utf8')) : options.policy;
+    const games = [];
+
+    for (let i = 0; i < options.games; i++) {
+        games.push(runHeadlessGame({
+            classes: classes,
+            seed: options.seed + i,
+            mode: options.mode,
+            rules: rules,
+            misrecognitionRate: options.misrecognition,
+            policy: policy,
+            decisionInterval: options.interval,
+            maxGameTime: options.maxTime * 1000
+        }));
+    }
+
+    return games;
+}
+
+/**
+ * 集計
+ */
+function summarize(games) {
+    const survivalTimes = games.map(game => game.survivalTime);
+
+    return {
+        games: games.length,
+        timedOut: games.filter(game => game.timedOut).length,
+        results: countBy(games.map(game => game.result)),
+        stars: countBy(games.filter(game => game.stars !== null).map(game => game.stars)),
+        survivalTime: {
+            ...describe(survivalTimes),
+            histogram: histogram(survivalTimes, 60)
+        },
+        wavesReached: {
+            ...describe(games.map(game => game.wavesReached)),
+            distribution: countBy(games.map(game => game.wavesReached))
+        },
+        score: describe(games.map(game => game.score)),
+        kills: describe(games.map(game => game.kills)),
+        accuracy: describe(games.map(game => round(game.accuracy, 4))),
+        parries: describe(games.map(game => game.parries)),
+        pressure: describe(games.map(game => game.pressure))
+    };
+}
+
+/**
+ * CSV出力
+ */
+function toCsv(games) {
+    const rows = games.map(game => CSV_COLUMNS.map(column => {
+        const value = game[column];
+        return typeof value === 'number' ? round(value, 4) : value;
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    let games;
+    try {
+        games = simulate(options);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    let output;
+    if (options.format === 'csv') {
+        output = toCsv(games);
+    } else {
+        const report = {
+            config: {
+                games: games.length,
+                policy: options.replay ? `replay:${options.replay}` :
+                    (options.timeline ? `timeline:${options.timeline}` : options.policy),
+                mode: games[0].mode,
+                rules: games[0].rules,
+                misrecognition: options.misrecognition,
+                seed: options.replay ? games[0].seed : options.seed,
+                interval: options.interval,
+                maxTime: options.maxTime
+            },
+            summary: summarize(games)
+        };
+        if (options.perGame) {
+            report.games = games;
+        }
+        output = JSON.stringify(report, null, 2) + '\n';
+    }
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        console.error(`Wrote ${games.length} games to ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArguments, simulate, summarize, toCsv };
\ No newline at end of file
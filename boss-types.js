@@ -0,0 +1,74 @@
+/**
+ * Voice Commander - ボス定義
+ * ボスウェーブの耐久力・形態（フェーズ）ごとの攻撃パターン
+ */
+
+// ボスウェーブの間隔（第5波、第10波…）
+const BOSS_WAVE_INTERVAL = 5;
+
+// ボスの攻撃（counter のコマンドで予告中に対処できる）
+const BOSS_ATTACKS = {
+    // 一斉砲撃：「防御」で反応時間に応じて軽減
+    barrage: {
+        name: '一斉砲撃',
+        telegraphTime: 3000,
+        counter: 'defend',
+        evade: false,
+        baseDamage: 10,
+        randomDamage: 6
+    },
+
+    // 突撃：「撤退」でのみ回避可能（防御では防げない）
+    charge: {
+        name: '突撃',
+        telegraphTime: 3000,
+        counter: 'retreat',
+        evade: true,
+        baseDamage: 20,
+        randomDamage: 10
+    },
+
+    // 艦載機発進：予告なしで護衛を出撃させる
+    launch: {
+        name: '艦載機発進',
+        telegraphTime: 0,
+        spawnType: 'raider',
+        spawnCount: 2
+    }
+};
+
+const BOSS_TYPES = {
+    mothership: {
+        name: '敵母艦',
+        hp: 20,
+        hpPerEncounter: 6,       // 2体目以降の耐久力増加
+        score: 1000,
+        threat: 4.0,
+        phases: [
+            {
+                id: 'siege',
+                name: '砲撃形態',
+                untilHpRate: 0.66,   // 耐久力がこの割合以下で次の形態へ
+                attackInterval: 6000,
+                attacks: ['barrage', 'launch'],
+                announcement: '敵母艦出現！砲撃は「防御」で備えよ'
+            },
+            {
+                id: 'assault',
+                name: '突撃形態',
+                untilHpRate: 0.33,
+                attackInterval: 5000,
+                attacks: ['charge', 'barrage'],
+                announcement: '敵母艦が突撃形態に移行！突撃は「撤退」でしか避けられない'
+            },
+            {
+                id: 'berserk',
+                name: '暴走形態',
+                untilHpRate: 0,
+                attackInterval: 3500,
+                attacks: ['charge', 'barrage', 'launch'],
+                announcement: '敵母艦が暴走！全艦隊、総攻撃せよ'
+            }
+        ]
+    }
+};
\ No newline at end of file
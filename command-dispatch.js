@@ -0,0 +1,62 @@
+/**
+ * Voice Commander - 解析したコマンドの実行
+ * 認識システム（VoiceRecognition 系・UnifiedVoiceRecognition）で共通の、コマンド解析前の発話の振り分けと、
+ * 確認の要否判定・学習・単一/連続コマンドの振り分け
+ *
+ * 認識システムは events（EventBus）・earlyCommit（EarlyCommitTracker）と getConfirmationSystem()・
+ * requestConfirmationWithSystem()・learnSuccessfulPattern()・executeCommand()・queueCommands()・clearCommandQueue() を持つ
+ */
+
+class CommandDispatch {
+    /**
+     * コマンド解析の前に処理する発話（確認への応答・取り消し・コマンド以外の発話、処理したら true）
+     */
+    static intercept(recognizer, transcript) {
+        // 確認待ちなら応答として判定
+        const confirmationSystem = recognizer.getConfirmationSystem();
+        if (confirmationSystem && confirmationSystem.getStatus().hasPendingConfirmation &&
+            confirmationSystem.handleConfirmationResponse(transcript)) {
+            return true;
+        }
+
+        // 取り消し（メタコマンド）は学習・確認・連続コマンド解析を通さず即実行（実行待ちの連続コマンドも取り消す）
+        if (CommandGrammar.isUndo(transcript)) {
+            recognizer.clearCommandQueue();
+            recognizer.executeCommand(CommandGrammar.createCommand('undo', transcript), transcript);
+            return true;
+        }
+
+        // 補給フェーズ等、コマンド以外の発話として処理された場合
+        return recognizer.events.emit('recognition:input', transcript);
+    }
+
+    /**
+     * 解析したコマンド（コマンド種別または構造化コマンドの配列）の実行（確認が必要なら確認を要求）
+     */
+    static dispatch(recognizer, commands, transcript, confidence) {
+        // 単一コマンドは方面指定（「北を攻撃」等）を付与した構造化コマンドにする
+        let resolved = commands.length === 1 ? [CommandGrammar.createCommand(commands[0], transcript)] : commands;
+
+        // 同じ発話の中間結果で早期確定済みのコマンドは除く（方面・艦隊を付け足したコマンドは実行する）
+        resolved = recognizer.earlyCommit.excludeCommitted(resolved);
+        if (resolved.length === 0) return;
+
+        const primaryCommand = resolved[0];
+
+        // 確認システムによる信頼度チェック
+        const confirmationSystem = recognizer.getConfirmationSystem();
+        if (confirmationSystem && confirmationSystem.shouldConfirm(primaryCommand, transcript, confidence)) {
+            recognizer.requestConfirmationWithSystem(primaryCommand, transcript, confidence, resolved);
+            return;
+        }
+
+        // 学習機能：成功したパターンを記録
+        recognizer.learnSuccessfulPattern(transcript, resolved);
+
+        if (resolved.length === 1) {
+            recognizer.executeCommand(resolved[0], transcript);
+        } else {
+            recognizer.queueCommands(resolved, transcript);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,352 @@
+/**
+ * Voice Commander - コマンド文法
+ * コマンド・同義語・自然言語パターン・連続コマンド・確認への応答と、方面（セクター）・艦隊の定義を一元管理する
+ * 音声認識（VoiceRecognition 系・UnifiedVoiceRecognition）・確認システム・ヘルプ表示はすべてここを参照する
+ * 照合は発話・定義の両方を TextNormalizer で正規化した形で行う（カタカナ・全角・句読点・長音などの表記ゆれを吸収）
+ */
+
+// 方面定義（東西を右翼・左翼とも呼ぶ）
+const SECTORS = {
+    north: {
+        name: '北',
+        keywords: ['北', '前方', '正面']
+    },
+    east: {
+        name: '東',
+        keywords: ['東', 'ひがし', '右翼', '右', 'みぎ']
+    },
+    south: {
+        name: '南',
+        keywords: ['南', 'みなみ', '後方', '後ろ', 'うしろ']
+    },
+    west: {
+        name: '西',
+        keywords: ['西', '左翼', '左', 'ひだり']
+    }
+};
+
+// 艦隊定義（初期配置の方面を含む）
+const FLEETS = {
+    first: {
+        name: '第一艦隊',
+        keywords: ['第一艦隊', '第1艦隊', '一番艦隊', 'だいいち'],
+        sector: 'north'
+    },
+    second: {
+        name: '第二艦隊',
+        keywords: ['第二艦隊', '第2艦隊', '二番艦隊', 'だいに'],
+        sector: 'east'
+    },
+    third: {
+        name: '第三艦隊',
+        keywords: ['第三艦隊', '第3艦隊', '三番艦隊', 'だいさん'],
+        sector: 'west'
+    }
+};
+
+// コマンド定義（定義順に照合する）
+//   label     表示名
+//   synonyms  発話に含まれていればこのコマンドとみなす語（先頭が代表表記）
+//   patterns  同義語が見つからないときに試す自然言語の表現
+//   targets   受け付ける指定（sector: 方面、fleet: 艦隊、艦隊指定なしは全艦隊）
+//   critical  取り返しがつきにくいため、信頼度が高くても確認する
+//   meta      コマンド解析の前に判定し、連続コマンド・学習・確認の対象にしない
+//   help      ヘルプ表示 { lines, timing }
+const COMMAND_GRAMMAR = {
+    attack: {
+        label: '攻撃',
+        synonyms: ['攻撃', 'こうげき', 'アタック', 'attack', 'たたかう', '戦う'],
+        patterns: [
+            /敵.*やっつけ/, /敵.*倒/, /敵.*撃破/, /攻撃.*して/, /やっつけて/, /倒して/,
+            /撃って/, /戦って/, /敵.*消して/, /敵.*排除/, /敵が.*うざい/, /敵.*なんとか/
+        ],
+        targets: { sector: true, fleet: true },
+        critical: false,
+        meta: false,
+        help: { lines: ['最寄りの敵に1-2発命中 / 反撃リスク有', '「北を攻撃」で方面集中（命中率UP）'], timing: '敵接近時' }
+    },
+    defend: {
+        label: '防御',
+        synonyms: ['防御', 'ぼうぎょ', 'ディフェンス', 'defend', 'まもる', '守る', 'シールド'],
+        patterns: [
+            /守って/, /防いで/, /シールド/, /バリア/, /防衛.*強化/, /回復.*して/,
+            /治して/, /直して/, /立て直/, /持ちこたえ/, /耐え/
+        ],
+        targets: { sector: true, fleet: true },
+        critical: false,
+        meta: false,
+        help: { lines: ['防衛度+5-15 / 安全', '「左翼を防御」で方面シールド展開'], timing: '防衛度低下時' }
+    },
+    retreat: {
+        label: '撤退',
+        synonyms: ['撤退', 'てったい', 'retreat', 'にげる', '逃げる', 'ひく', '引く'],
+        patterns: [
+            /逃げ/, /退避/, /下がって/, /引いて/, /避難/, /撤退.*して/,
+            /危険.*だから/, /やばい/, /まずい/, /無理/, /厳しい/
+        ],
+        targets: { sector: false, fleet: true },
+        critical: true,
+        meta: false,
+        help: { lines: ['艦隊-1 / 防衛度大回復', '「第一艦隊撤退」で撤退艦隊を指定'], timing: '緊急時' }
+    },
+    status: {
+        label: '状況',
+        synonyms: ['状況', 'じょうきょう', 'status', 'レポート', 'ほうこく', '報告'],
+        patterns: [
+            /どうなって/, /状況.*教えて/, /今.*どう/, /何が.*起きて/, /現在.*状況/,
+            /レポート/, /報告.*して/, /確認/, /チェック/
+        ],
+        targets: { sector: false, fleet: false },
+        critical: false,
+        meta: false,
+        help: { lines: ['現状報告'], timing: 'いつでも' }
+    },
+    undo: {
+        label: '取り消し',
+        synonyms: ['取り消し', '取消', 'とりけし', 'キャンセル', 'きゃんせる', 'アンドゥ', 'undo'],
+        patterns: [],
+        targets: { sector: false, fleet: false },
+        critical: false,
+        meta: true,
+        help: { lines: ['直前のコマンドを取り消し（2秒以内）', '敵が行動した後は取り消せない'], timing: '誤認識時' }
+    }
+};
+
+// 連続コマンド（1回の発話で順に実行する、単独のコマンドより先に照合する）
+const COMBO_GRAMMAR = [
+    {
+        commands: ['attack', 'defend'],
+        patterns: [/攻撃.*防御/, /攻撃.*守/, /やっつけ.*守/, /撃破.*防御/]
+    },
+    {
+        commands: ['defend', 'attack'],
+        patterns: [/防御.*攻撃/, /守.*攻撃/, /回復.*攻撃/, /立て直.*攻撃/]
+    }
+];
+
+// 確認（「〜でよろしいですか？」）への応答
+const CONFIRMATION_GRAMMAR = {
+    yes: /^(はい|そうです|正解|オーケー|OK|うん|そう|その通り)/i,
+    no: /^(いいえ|違います|ちがう|だめ|ノー|NO|違う)/i,
+    retry: /^(もう一度|やり直し|リトライ|再度)/i
+};
+
+// 認識候補（N-best）の再評価：エンジンの信頼度 ×（1 + 文法への一致度 × grammarWeight）が最大の候補を選ぶ
+//   一致度は同義語・連続コマンド・取り消し・確認への応答なら 1、自然言語の表現のみなら patternMatch、なければ 0
+//   信頼度のない候補（ブラウザによっては0）は、先頭なら defaultConfidence、下位なら1つ上の候補の信頼度 × rankDecay とみなす
+const ALTERNATIVE_RESCORING = {
+    grammarWeight: 1,
+    patternMatch: 0.6,
+    rankDecay: 0.8,
+    defaultConfidence: 0.8   // 確定結果の信頼度がない場合の既定値（WebSpeechEngine と同じ）
+};
+
+// コマンド表示名
+const COMMAND_LABELS = Object.fromEntries(
+    Object.entries(COMMAND_GRAMMAR).map(([type, definition]) => [type, definition.label])
+);
+
+class CommandGrammar {
+    /**
+     * 発話に同義語が含まれるコマンド（定義順、メタコマンドを除く）
+     */
+    static matchSynonyms(text) {
+        return Object.entries(COMMAND_GRAMMAR)
+            .filter(([, definition]) => !definition.meta)
+            .filter(([, definition]) => definition.synonyms.some(synonym => TextNormalizer.contains(text, synonym)))
+            .map(([type]) => type);
+    }
+
+    /**
+     * 自然言語の表現に一致した最初のコマンド（なければnull）
+     */
+    static matchPattern(text) {
+        for (const [type, definition] of Object.entries(COMMAND_GRAMMAR)) {
+            if (definition.patterns.some(pattern => TextNormalizer.test(pattern, text))) {
+                return type;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 連続コマンドの表現に一致したコマンド列（なければnull）
+     */
+    static matchCombo(text) {
+        const combo = COMBO_GRAMMAR.find(entry => entry.patterns.some(pattern => TextNormalizer.test(pattern, text)));
+        return combo ? [...combo.commands] : null;
+    }
+
+    /**
+     * 発話をコマンド種別の列に解析（連続コマンド → 同義語 → 自然言語の順、なければ空）
+     */
+    static parse(text) {
+        const combo = CommandGrammar.matchCombo(text);
+        if (combo) return combo;
+
+        const commands = CommandGrammar.matchSynonyms(text);
+        if (commands.length > 0) return commands;
+
+        const natural = CommandGrammar.matchPattern(text);
+        return natural ? [natural] : [];
+    }
+
+    /**
+     * 発話から単一のコマンド種別（同義語 → 自然言語の順、なければnull）
+     */
+    static parseCommand(text) {
+        return CommandGrammar.matchSynonyms(text)[0] || CommandGrammar.matchPattern(text);
+    }
+
+    /**
+     * 確認への応答（yes / no / retry、該当なしはnull）
+     */
+    static parseConfirmation(text) {
+        const response = Object.keys(CONFIRMATION_GRAMMAR).find(type => TextNormalizer.test(CONFIRMATION_GRAMMAR[type], text));
+        return response || null;
+    }
+
+    /**
+     * 発話の文法への一致度（0〜1）
+     */
+    static scoreMatch(text) {
+        if (CommandGrammar.isUndo(text) || CommandGrammar.parseConfirmation(text) ||
+            CommandGrammar.matchCombo(text) || CommandGrammar.matchSynonyms(text).length > 0) {
+            return 1;
+        }
+        return CommandGrammar.matchPattern(text) ? ALTERNATIVE_RESCORING.patternMatch : 0;
+    }
+
+    /**
+     * 認識候補を文法への一致度で再評価し、評価の高い順に [{ transcript, confidence, rank, match, score }]
+     * 同点はエンジンの順位を優先する（信頼度のない候補は confidence に推定値を入れる）
+     */
+    static rescoreAlternatives(alternatives) {
+        let estimate = ALTERNATIVE_RESCORING.defaultConfidence;
+        return alternatives
+            .filter(alternative => alternative && typeof alternative.transcript === 'string' && alternative.transcript.trim())
+            .map((alternative, rank) => {
+                estimate = alternative.confidence > 0 ? alternative.confidence : estimate * (rank > 0 ? ALTERNATIVE_RESCORING.rankDecay : 1);
+                const match = CommandGrammar.scoreMatch(alternative.transcript);
+                return {
+                    transcript: alternative.transcript.trim(),
+                    confidence: estimate,
+                    rank: rank,
+                    match: match,
+                    score: estimate * (1 + ALTERNATIVE_RESCORING.grammarWeight * match)
+                };
+            })
+            .sort((a, b) => b.score - a.score || a.rank - b.rank);
+    }
+
+    /**
+     * 認識候補から採用する1つ（候補がなければnull）
+     */
+    static chooseAlternative(alternatives) {
+        const [best] = CommandGrammar.rescoreAlternatives(alternatives);
+        if (best && best.rank > 0) {
+            console.log(`Alternative chosen: "${best.transcript}" (rank ${best.rank + 1}, score: ${best.score.toFixed(2)})`);
+        }
+        return best || null;
+    }
+
+    /**
+     * 信頼度が高くても確認が必要なコマンドか
+     */
+    static isCritical(command) {
+        const definition = COMMAND_GRAMMAR[CommandGrammar.getType(command)];
+        return !!definition && definition.critical;
+    }
+
+    /**
+     * ヘルプ・候補提示に使うコマンド一覧 [{ type, label, synonyms, meta, help }]
+     */
+    static getCommands() {
+        return Object.entries(COMMAND_GRAMMAR).map(([type, definition]) => ({
+            type: type,
+            label: definition.label,
+            synonyms: [...definition.synonyms],
+            meta: definition.meta,
+            help: definition.help
+        }));
+    }
+
+    /**
+     * 発話から方面を抽出（最初に現れた方面、なければnull）
+     */
+    static extractSector(text) {
+        return CommandGrammar.findEarliest(SECTORS, text);
+    }
+
+    /**
+     * 発話から艦隊を抽出（最初に現れた艦隊、なければnull）
+     */
+    static extractFleet(text) {
+        return CommandGrammar.findEarliest(FLEETS, text);
+    }
+
+    /**
+     * 定義のキーワードのうち発話中で最も早く現れたもののID（正規化した形で比較）
+     */
+    static findEarliest(definitions, text) {
+        let found = null;
+        let foundIndex = Infinity;
+
+        for (const [id, definition] of Object.entries(definitions)) {
+            for (const keyword of definition.keywords) {
+                const index = TextNormalizer.indexOf(text, keyword);
+                if (index !== -1 && index < foundIndex) {
+                    found = id;
+                    foundIndex = index;
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * 取り消し（メタコマンド）の発話か
+     */
+    static isUndo(text) {
+        return COMMAND_GRAMMAR.undo.synonyms.some(synonym => TextNormalizer.contains(text, synonym));
+    }
+
+    /**
+     * 構造化コマンド生成 { type, sector, fleet }
+     */
+    static createCommand(type, text = '') {
+        const targets = COMMAND_GRAMMAR[type] ? COMMAND_GRAMMAR[type].targets : {};
+        return {
+            type: type,
+            sector: targets.sector ? CommandGrammar.extractSector(text) : null,
+            fleet: targets.fleet ? CommandGrammar.extractFleet(text) : null
+        };
+    }
+
+    /**
+     * コマンド種別取得（文字列・構造化コマンドの両方に対応）
+     */
+    static getType(command) {
+        if (!command) return null;
+        return typeof command === 'string' ? command : command.type;
+    }
+
+    /**
+     * 表示用文字列（例：「第二艦隊・攻撃（北）」）
+     */
+    static describe(command) {
+        const type = CommandGrammar.getType(command);
+        let label = COMMAND_LABELS[type] || type;
+
+        if (command && typeof command === 'object') {
+            if (command.fleet && FLEETS[command.fleet]) {
+                label = `${FLEETS[command.fleet].name}・${label}`;
+            }
+            if (command.sector && SECTORS[command.sector]) {
+                label = `${label}（${SECTORS[command.sector].name}）`;
+            }
+        }
+        return label;
+    }
+}
\ No newline at end of file
@@ -12,13 +12,6 @@ class ConfirmationSystem {
         this.pendingConfirmation = null;
         this.confirmationTimeout = null;
         
-        // 確認フレーズ
-        this.confirmationPhrases = {
-            yes: /^(はい|そうです|正解|オーケー|OK|うん|そう|その通り)/i,
-            no: /^(いいえ|違います|ちがう|だめ|ノー|NO|違う)/i,
-            retry: /^(もう一度|やり直し|リトライ|再度)/i
-        };
-        
         // 信頼度閾値
         this.confidenceThreshold = 0.6;
         
@@ -35,8 +28,7 @@ class ConfirmationSystem {
         }
         
         // 重要なコマンドは信頼度が高くても確認
-        const criticalCommands = ['撤退', 'retreat'];
-        if (criticalCommands.some(cmd => command.toLowerCase().includes(cmd.toLowerCase()))) {
+        if (CommandGrammar.isCritical(command)) {
             return confidence < 0.8;
         }
         
@@ -88,30 +80,30 @@ class ConfirmationSystem {
             return false;
         }
         
-        const response = responseText.toLowerCase();
+        const response = CommandGrammar.parseConfirmation(responseText);
         
         // 「はい」系の応答
-        if (this.confirmationPhrases.yes.test(response)) {
+        if (response === 'yes') {
             this.confirmCommand();
             return true;
         }
         
         // 「いいえ」系の応答
-        if (this.confirmationPhrases.no.test(response)) {
+        if (response === 'no') {
             this.rejectCommand();
             return true;
         }
         
         // やり直し要求
-        if (this.confirmationPhrases.retry.test(response)) {
+        if (response === 'retry') {
             this.retryCommand();
             return true;
         }
         
-        // 新しいコマンドとして解釈
-        const newCommand = this.voiceRecognition.parseCommand(response);
-        if (newCommand && newCommand !== 'unknown') {
-            this.replaceCommand(newCommand, responseText);
+        // 新しいコマンドとして解釈（command-grammar.js、取り消しなどのメタコマンドは除く）
+        const newCommand = CommandGrammar.parseCommand(responseText);
+        if (newCommand) {
+            this.replaceCommand(CommandGrammar.createCommand(newCommand, responseText), responseText);
             return true;
         }
         
@@ -307,7 +299,7 @@ class ConfirmationSystem {
                 ↓
             </div>
             <div style="margin-bottom: 20px; font-size: 1.2rem; color: #00ff00;">
-                「${this.pendingConfirmation.command}」
+                「${CommandGrammar.describe(this.pendingConfirmation.command)}」
             </div>
             <div style="margin-bottom: 20px; color: #cccccc;">
                 この解釈で正しいですか？
@@ -348,7 +340,7 @@ class ConfirmationSystem {
     speakConfirmationRequest() {
         if (!this.pendingConfirmation) return;
         
-        const text = `${this.pendingConfirmation.command}、でよろしいですか？`;
+        const text = `${CommandGrammar.describe(this.pendingConfirmation.command)}、でよろしいですか？`;
         
         setTimeout(() => {
             this.audioManager.speakAsSystem(text);
@@ -0,0 +1,164 @@
+/**
+ * Voice Commander - 適応難易度ディレクター
+ * コマンド成功率・音声認識の失敗率・予告攻撃への反応時間・防衛度の推移からプレイヤーの状況を評価し、
+ * 目標ゾーンに収まるよう敵の圧力（難易度・出現間隔への倍率）を上げ下げする
+ */
+
+// 判定記録の保持件数
+const DIRECTOR_LOG_LIMIT = 200;
+
+class DifficultyDirector {
+    constructor(settings) {
+        this.settings = settings;  // バランス定義の director
+        this.pressure = 1;         // 敵の圧力（1が基準）
+        this.samples = [];         // 直近の記録 { at, type, value }
+        this.defenseHistory = [];  // 判定ごとの防衛度 { at, defense }
+        this.log = [];             // 判定記録（調整用）
+    }
+
+    /**
+     * 状態リセット（ゲーム開始時）
+     */
+    reset() {
+        this.pressure = 1;
+        this.samples = [];
+        this.defenseHistory = [];
+        this.log = [];
+    }
+
+    /**
+     * 記録（type: commandSuccess, commandFailure, recognitionFailure, reaction, parryMissed）
+     */
+    record(at, type, value = null) {
+        this.samples.push({ at, type, value });
+    }
+
+    /**
+     * 判定期間内の指標
+     */
+    getMetrics(at) {
+        const settings = this.settings;
+        const since = at - settings.window;
+        this.samples = this.samples.filter(sample => sample.at >= since);
+        this.defenseHistory = this.defenseHistory.filter(entry => entry.at >= since);
+
+        const count = (type) => this.samples.filter(sample => sample.type === type).length;
+        const successes = count('commandSuccess');
+        const commands = successes + count('commandFailure');
+        const failures = count('recognitionFailure');
+
+        // 防御しなかった予告攻撃は目標反応時間の2倍として扱う
+        const latencies = this.samples
+            .filter(sample => sample.type === 'reaction' || sample.type === 'parryMissed')
+            .map(sample => sample.type === 'reaction' ? sample.value : settings.targetLatency * 2);
+
+        const oldest = this.defenseHistory[0];
+        const latest = this.defenseHistory[this.defenseHistory.length - 1];
+        const trendMinutes = oldest && latest ? (latest.at - oldest.at) / 60000 : 0;
+
+        return {
+            commands: commands,
+            accuracy: commands >= settings.minSamples ? successes / commands : null,
+            failureRate: commands + failures >= settings.minSamples ? failures / (commands + failures) : null,
+            averageLatency: latencies.length > 0 ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length) : null,
+            defenseTrend: trendMinutes > 0 ? Math.round((latest.defense - oldest.defense) / trendMinutes) : null
+        };
+    }
+
+    /**
+     * 指標からプレイヤーの余裕度を評価（-1 苦戦 〜 1 余裕、判断材料がなければnull）
+     */
+    getPerformance(metrics) {
+        const settings = this.settings;
+        const components = [];
+
+        if (metrics.accuracy !== null) {
+            components.push((metrics.accuracy - settings.targetAccuracy) / settings.accuracyRange);
+        }
+        if (metrics.failureRate !== null) {
+            components.push((settings.targetFailureRate - metrics.failureRate) / settings.failureRateRange);
+        }
+        if (metrics.averageLatency !== null) {
+            components.push((settings.targetLatency - metrics.averageLatency) / settings.targetLatency);
+        }
+        if (metrics.defenseTrend !== null) {
+            components.push(metrics.defenseTrend / settings.defenseTrendRange);
+        }
+
+        if (components.length === 0) return null;
+
+        const clamped = components.map(value => Math.max(-1, Math.min(1, value)));
+        return clamped.reduce((sum, value) => sum + value, 0) / clamped.length;
+    }
+
+    /**
+     * 判定（目標ゾーンより余裕があれば圧力を上げ、苦戦していれば下げる）
+     */
+    evaluate(at, defense) {
+        const settings = this.settings;
+        this.defenseHistory.push({ at, defense });
+
+        const metrics = this.getMetrics(at);
+        const performance = this.getPerformance(metrics);
+        const previousPressure = this.pressure;
+
+        let action = 'hold';
+        if (performance !== null && performance > settings.zone) {
+            action = 'raise';
+            this.pressure = Math.min(settings.maxPressure, this.pressure + settings.step);
+        } else if (performance !== null && performance < -settings.zone) {
+            action = 'ease';
+            this.pressure = Math.max(settings.minPressure, this.pressure - settings.step);
+        }
+        this.pressure = Math.round(this.pressure * 100) / 100;
+
+        const decision = {
+            at: at,
+            action: action,
+            pressure: this.pressure,
+            previousPressure: previousPressure,
+            performance: performance !== null ? Math.round(performance * 100) / 100 : null,
+            metrics: metrics
+        };
+
+        this.log.push(decision);
+        if (this.log.length > DIRECTOR_LOG_LIMIT) {
+            this.log.shift();
+        }
+
+        if (this.pressure !== previousPressure) {
+            console.log(`Director ${action}: pressure ${previousPressure} -> ${this.pressure} (performance ${decision.performance}, accuracy ${metrics.accuracy}, failureRate ${metrics.failureRate}, latency ${metrics.averageLatency}, defenseTrend ${metrics.defenseTrend})`);
+        }
+
+        return decision;
+    }
+
+    /**
+     * 判定記録（調整用）
+     */
+    getLog() {
+        return this.log.map(decision => ({ ...decision, metrics: { ...decision.metrics } }));
+    }
+
+    /**
+     * 内部状態取得（保存・再現用）
+     */
+    getState() {
+        return JSON.parse(JSON.stringify({
+            pressure: this.pressure,
+            samples: this.samples,
+            defenseHistory: this.defenseHistory,
+            log: this.log
+        }));
+    }
+
+    /**
+     * 内部状態復元
+     */
+    setState(state) {
+        this.pressure = state.pressure;
+        this.samples = state.samples.map(sample => ({ ...sample }));
+        this.defenseHistory = state.defenseHistory.map(entry => ({ ...entry }));
+        this.log = state.log.map(decision => ({ ...decision }));
+    }
+}
\ No newline at end of file
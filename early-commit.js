@@ -0,0 +1,140 @@
+/**
+ * Voice Commander - 中間結果からのコマンド早期確定
+ * 認識途中の結果（interim）が続けて同じ1つのコマンドに一致したら、確定結果を待たずに実行する
+ * 同じ発話（結果の番号が同じ）の確定結果は通常どおり処理し、早期確定したコマンドだけを除く
+ * （「攻撃」で早期確定した後の確定結果「攻撃と防御」は防御だけを、「防御、北」は方面を指定した防御を実行する）
+ *
+ * 早期確定するのは同義語で1つのコマンドだけに一致した発話のみ（連続コマンド・自然言語の表現・取り消し・
+ * 信頼度が高くても確認が必要なコマンドは確定結果を待つ）
+ * 中間結果には信頼度がないため、早期確定したコマンドには確認システムの閾値による確認をしない
+ * （認識結果の記録・チュートリアルの信頼度には確定結果の信頼度を使う）
+ */
+
+// 同じコマンドにこの回数続けて一致したら確定
+const EARLY_COMMIT_STABLE_RESULTS = 2;
+
+class EarlyCommitTracker {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.stableResults = options.stableResults || EARLY_COMMIT_STABLE_RESULTS;
+        this.candidate = null;      // 一致が続いている中間結果 { resultIndex, key, count }
+        this.committed = new Map(); // 結果の番号 -> 早期確定したコマンド
+        this.finalCommitted = null; // 処理中の確定結果と同じ発話で早期確定したコマンド（除いたらnull）
+    }
+
+    /**
+     * 認識システムの中間結果の処理（早期確定したら認識システムの executeCommand で実行）
+     * 認識システムは events（EventBus）・getConfirmationSystem()・executeCommand() を持つ
+     */
+    handleInterimResult(recognizer, transcript, resultIndex) {
+        if (!this.enabled || resultIndex === undefined) return;
+
+        // 確認待ち・コマンド以外の発話を待っている間は確定結果で処理する
+        const confirmationSystem = recognizer.getConfirmationSystem();
+        if (confirmationSystem && confirmationSystem.getStatus().hasPendingConfirmation) return;
+        if (recognizer.events.emit('recognition:interimInput', transcript)) return;
+
+        const command = this.handleInterim(transcript, resultIndex);
+        if (!command) return;
+
+        console.log(`Early commit: "${transcript}" -> ${CommandGrammar.describe(command)}`);
+        recognizer.executeCommand(command, transcript);
+    }
+
+    /**
+     * 中間結果の処理（早期確定するなら構造化コマンド、しなければnull）
+     */
+    handleInterim(transcript, resultIndex) {
+        if (!this.enabled || this.committed.has(resultIndex)) return null;
+
+        const command = EarlyCommitTracker.matchCommand(transcript);
+        if (!command) {
+            this.candidate = null;
+            return null;
+        }
+
+        const key = EarlyCommitTracker.getKey(command);
+        if (this.candidate && this.candidate.resultIndex === resultIndex && this.candidate.key === key) {
+            this.candidate.count++;
+        } else {
+            this.candidate = { resultIndex: resultIndex, key: key, count: 1 };
+        }
+        if (this.candidate.count < this.stableResults) return null;
+
+        this.committed.set(resultIndex, command);
+        this.candidate = null;
+        return command;
+    }
+
+    /**
+     * 確定結果の処理（process の中で解析したコマンドは excludeCommitted で早期確定済みのものを除く）
+     */
+    processFinal(resultIndex, process) {
+        if (this.candidate && this.candidate.resultIndex === resultIndex) {
+            this.candidate = null;
+        }
+        this.finalCommitted = this.committed.get(resultIndex) || null;
+        this.committed.delete(resultIndex);
+
+        try {
+            process();
+        } finally {
+            if (this.finalCommitted) {
+                console.log(`Final result differs from early commit: ${CommandGrammar.describe(this.finalCommitted)}`);
+            }
+            this.finalCommitted = null;
+        }
+    }
+
+    /**
+     * 確定結果のコマンド（コマンド種別または構造化コマンドの配列）から早期確定済みのコマンドに含まれる最初の1つを除く
+     */
+    excludeCommitted(commands) {
+        if (!this.finalCommitted) return commands;
+
+        const index = commands.findIndex(command => EarlyCommitTracker.covers(this.finalCommitted, command));
+        if (index === -1) return commands;
+
+        console.log(`Early commit confirmed: ${CommandGrammar.describe(this.finalCommitted)}`);
+        this.finalCommitted = null;
+        return commands.filter((command, i) => i !== index);
+    }
+
+    /**
+     * 認識の開始・再開時（結果の番号は認識セッションごとに0から振り直される）
+     */
+    reset() {
+        this.candidate = null;
+        this.committed.clear();
+    }
+
+    /**
+     * 早期確定できるコマンド（同義語で1つだけに一致、なければnull）
+     */
+    static matchCommand(transcript) {
+        if (CommandGrammar.isUndo(transcript) || CommandGrammar.matchCombo(transcript)) return null;
+
+        const types = CommandGrammar.matchSynonyms(transcript);
+        if (types.length !== 1 || CommandGrammar.isCritical(types[0])) return null;
+
+        return CommandGrammar.createCommand(types[0], transcript);
+    }
+
+    /**
+     * 早期確定したコマンドが確定結果のコマンドを含むか（種別が同じで、方面・艦隊を付け足していない）
+     */
+    static covers(committed, command) {
+        if (CommandGrammar.getType(command) !== committed.type) return false;
+        if (typeof command === 'string') return true;
+
+        return (!command.sector || command.sector === committed.sector) &&
+            (!command.fleet || command.fleet === committed.fleet);
+    }
+
+    /**
+     * 同じコマンドかの比較用キー
+     */
+    static getKey(command) {
+        return `${command.type}:${command.sector || ''}:${command.fleet || ''}`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Voice Commander - 敵タイプ定義
+ * 敵ごとの耐久力・接近速度・攻撃パターン
+ */
+
+// 出現位置から防衛線までの距離
+const ENEMY_SPAWN_DISTANCE = 100;
+
+const ENEMY_TYPES = {
+    // 強襲機：高速で接近し一撃離脱
+    raider: {
+        name: '強襲機',
+        hp: 1,
+        speed: 25,               // 距離/秒（到達まで4秒）
+        attackPattern: 'direct',
+        strikes: 1,              // 離脱までの攻撃回数
+        attackInterval: 3000,
+        score: 50,
+        threat: 1.0,
+        spawnWeight: 0.3
+    },
+
+    // 包囲編隊：複数機で防衛線を取り囲む
+    swarm: {
+        name: '包囲編隊',
+        hp: 2,
+        speed: 15,               // 到達まで約7秒
+        attackPattern: 'surround',
+        strikes: 2,
+        attackInterval: 4000,
+        score: 60,
+        threat: 1.5,
+        spawnWeight: 0.4
+    },
+
+    // 重巡艦：低速だが艦隊を狙う強力な攻撃
+    destroyer: {
+        name: '重巡艦',
+        hp: 3,
+        speed: 10,               // 到達まで10秒
+        attackPattern: 'special',
+        strikes: 2,
+        attackInterval: 5000,
+        telegraphTime: 3000,     // 攻撃予告から着弾までの猶予（この間の「防御」で防げる）
+        score: 100,
+        threat: 2.5,
+        spawnWeight: 0.3
+    }
+};
+
+// 予告攻撃への防御判定（予告からの反応時間で評価、上から順に判定）
+const PARRY_GRADES = [
+    { id: 'perfect', label: '完璧', maxLatency: 1000, damageRate: 0, bonus: 200 },
+    { id: 'good', label: '良好', maxLatency: 2000, damageRate: 0.3, bonus: 100 },
+    { id: 'late', label: '遅延', maxLatency: Infinity, damageRate: 0.6, bonus: 30 }
+];
\ No newline at end of file
@@ -0,0 +1,163 @@
+/**
+ * Voice Commander - イベントバス
+ * ゲーム・音声認識・音声処理のイベントを複数の購読者に配信する（購読解除・ワイルドカード購読に対応）
+ *
+ * イベント名は「名前空間:イベント」。購読時に "*"（全イベント）や "game:*"（名前空間内の全イベント）を指定すると、
+ * リスナーは (イベント名, ...引数) で呼ばれる
+ */
+
+// イベント一覧（イベント名: 引数名）、未登録のイベントは購読・発行できない
+const EVENT_TYPES = {
+    // ゲーム進行（GameEngine）
+    'game:stateChange': ['state'],
+    'game:statsUpdate': ['stats'],
+    'game:message': ['message'],
+    'game:gameOver': ['results'],
+    'game:fleetLost': ['event'],
+    'game:checkpoint': ['saveData'],
+    'game:gameStart': ['info'],               // { mode, resumed }
+    'game:commandReceived': ['command'],      // 実行可否の判定前のコマンド
+    'game:command': ['command'],              // 実行したコマンド { type, sector, fleet, success }
+    'game:recognitionFailure': ['transcript'],
+    'game:combo': ['combo'],                  // { count }
+    'game:parry': ['parry'],                  // { grade, latency }
+    'game:waveCleared': ['wave'],             // { wave, boss, defense }
+
+    // 音声認識（VoiceRecognitionEngine・UnifiedVoiceRecognition・フォールバックの VoiceRecognition）
+    'recognition:result': ['transcript', 'confidence', 'isFinal', 'details'],  // details: { alternatives: [{ transcript, confidence }] }
+    'recognition:statusChange': ['status'],
+    'recognition:error': ['message', 'error', 'shouldRestart', 'details'],  // details: { transcript }（unrecognized のみ）
+    'recognition:command': ['command', 'originalText'],
+    'recognition:input': ['transcript'],      // リスナーが true を返したらコマンド解析しない
+    'recognition:interimInput': ['transcript'], // 中間結果、リスナーが true を返したら早期確定しない
+    'recognition:transcript': ['transcript', 'confidence'],
+    'recognition:commandQueue': ['commands'],
+    'recognition:userLearning': ['learningInfo'],
+    'recognition:confirmationRequest': ['confirmation'],
+
+    // 音声処理（AudioProcessor）
+    'audio:speechStart': [],
+    'audio:speechEnd': ['audioData', 'duration'],
+    'audio:audioData': ['audioData'],
+    'audio:volumeLevel': ['level'],
+    'audio:error': ['message', 'error']
+};
+
+class EventBus {
+    constructor() {
+        this.listeners = new Map();  // イベント名（ワイルドカード含む） -> Set<listener>
+    }
+
+    /**
+     * 購読（購読解除する関数を返す）
+     */
+    on(type, listener) {
+        EventBus.validatePattern(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        // 同じ関数を複数回購読しても個別に解除できるよう包む
+        const entry = (...args) => listener(...args);
+        this.listeners.get(type).add(entry);
+
+        return () => {
+            const listeners = this.listeners.get(type);
+            if (listeners) {
+                listeners.delete(entry);
+            }
+        };
+    }
+
+    /**
+     * 1回だけ購読
+     */
+    once(type, listener) {
+        const unsubscribe = this.on(type, (...args) => {
+            unsubscribe();
+            return listener(...args);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * 発行（いずれかのリスナーが true を返したら true）
+     * リスナーの例外は記録して他のリスナーへの配信を続ける
+     */
+    emit(type, ...args) {
+        if (!Object.prototype.hasOwnProperty.call(EVENT_TYPES, type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const namespace = type.split(':')[0];
+        const targets = [
+            [this.listeners.get(type), args],
+            [this.listeners.get(`${namespace}:*`), [type, ...args]],
+            [this.listeners.get('*'), [type, ...args]]
+        ];
+
+        let handled = false;
+        for (const [listeners, listenerArgs] of targets) {
+            if (!listeners) continue;
+            for (const listener of [...listeners]) {
+                try {
+                    if (listener(...listenerArgs) === true) {
+                        handled = true;
+                    }
+                } catch (error) {
+                    console.error(`Event listener error (${type}):`, error);
+                }
+            }
+        }
+        return handled;
+    }
+
+    /**
+     * 購読者がいるか（通知内容の生成を省くため）
+     */
+    hasListeners(type) {
+        const namespace = type.split(':')[0];
+        return [type, `${namespace}:*`, '*'].some(pattern => {
+            const listeners = this.listeners.get(pattern);
+            return listeners && listeners.size > 0;
+        });
+    }
+
+    /**
+     * 従来のコールバック（{ onXxx: 関数 }）を購読に変換
+     * callbackEvents はコールバック名 -> イベント名、slots は呼び出し側が持つ { callback, unsubscribe } の置き場所で、
+     * 同じ名前のコールバックを再設定すると前の購読を解除する（1コールバック1関数の従来の挙動）
+     */
+    bindCallbacks(callbacks, callbackEvents, slots) {
+        for (const [name, type] of Object.entries(callbackEvents)) {
+            if (!callbacks[name]) continue;
+
+            if (slots[name]) {
+                slots[name].unsubscribe();
+            }
+            slots[name] = { callback: callbacks[name], unsubscribe: this.on(type, callbacks[name]) };
+        }
+    }
+
+    /**
+     * bindCallbacks で購読したコールバックをすべて解除
+     */
+    unbindCallbacks(slots) {
+        for (const name of Object.keys(slots)) {
+            slots[name].unsubscribe();
+            delete slots[name];
+        }
+    }
+
+    /**
+     * 購読できるイベント名か（登録済みのイベント、"*"、"名前空間:*"）
+     */
+    static validatePattern(type) {
+        if (type === '*' || Object.prototype.hasOwnProperty.call(EVENT_TYPES, type)) return;
+
+        const [namespace, name] = type.split(':');
+        if (name === '*' && Object.keys(EVENT_TYPES).some(eventType => eventType.startsWith(`${namespace}:`))) return;
+
+        throw new Error(`Unknown event type: ${type}`);
+    }
+}
\ No newline at end of file
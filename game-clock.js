@@ -0,0 +1,119 @@
+/**
+ * Voice Commander - ゲーム時計
+ * 実時間（ブラウザ）と仮想時間（シミュレーション・再現）を同じインターフェースで扱う
+ */
+
+/**
+ * 実時間クロック（Date.now / setTimeout のラッパー）
+ */
+class SystemClock {
+    now() {
+        return Date.now();
+    }
+
+    setTimeout(callback, delay) {
+        return setTimeout(callback, delay);
+    }
+
+    clearTimeout(timerId) {
+        clearTimeout(timerId);
+    }
+
+    setInterval(callback, interval) {
+        return setInterval(callback, interval);
+    }
+
+    clearInterval(timerId) {
+        clearInterval(timerId);
+    }
+}
+
+/**
+ * 仮想クロック（advance() を呼んだ分だけ時間が進む）
+ */
+class VirtualClock {
+    constructor(startTime = 0) {
+        this.currentTime = startTime;
+        this.timers = new Map();
+        this.nextTimerId = 1;
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    setTimeout(callback, delay = 0) {
+        return this.addTimer(callback, delay, null);
+    }
+
+    clearTimeout(timerId) {
+        this.timers.delete(timerId);
+    }
+
+    setInterval(callback, interval) {
+        return this.addTimer(callback, interval, Math.max(1, interval));
+    }
+
+    clearInterval(timerId) {
+        this.timers.delete(timerId);
+    }
+
+    /**
+     * タイマー登録
+     */
+    addTimer(callback, delay, interval) {
+        const timerId = this.nextTimerId++;
+        this.timers.set(timerId, {
+            id: timerId,
+            callback: callback,
+            dueTime: this.currentTime + Math.max(0, delay || 0),
+            interval: interval
+        });
+        return timerId;
+    }
+
+    /**
+     * 時間を進め、期限が来たタイマーを時刻順に実行
+     */
+    advance(ms) {
+        const targetTime = this.currentTime + ms;
+
+        let timer = this.findNextDueTimer(targetTime);
+        while (timer) {
+            this.currentTime = timer.dueTime;
+
+            if (timer.interval) {
+                timer.dueTime += timer.interval;
+            } else {
+                this.timers.delete(timer.id);
+            }
+
+            timer.callback();
+            timer = this.findNextDueTimer(targetTime);
+        }
+
+        this.currentTime = targetTime;
+    }
+
+    /**
+     * 指定時刻までに期限が来る最初のタイマー（同時刻は登録順）
+     */
+    findNextDueTimer(limitTime) {
+        let nextTimer = null;
+        for (const timer of this.timers.values()) {
+            if (timer.dueTime > limitTime) continue;
+            if (!nextTimer || timer.dueTime < nextTimer.dueTime ||
+                (timer.dueTime === nextTimer.dueTime && timer.id < nextTimer.id)) {
+                nextTimer = timer;
+            }
+        }
+        return nextTimer;
+    }
+
+    /**
+     * 登録中のタイマー数
+     */
+    getPendingTimerCount() {
+        return this.timers.size;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Voice Commander - ゲームモード定義
+ * モードごとの勝敗条件・スコア計算と、モード選択（開始画面・音声）の補助
+ */
+
+// モード未指定時（従来のルール）
+const DEFAULT_GAME_MODE = 'endless';
+
+const GAME_MODES = {
+    // 防衛度が尽きるまで続く
+    endless: {
+        name: 'エンドレス',
+        keywords: ['エンドレス', 'えんどれす', '無限', 'むげん'],
+        description: '防衛線が突破されるまで戦い続ける',
+        timeLimit: null,         // 制限時間（ms、nullなら無制限）
+        waveLimit: null,         // このウェーブを撃退したらクリア（nullなら無制限）
+        lives: 1,                // 残機（防衛度が尽きても残っていれば防衛度を回復して続行）
+        survivalBonus: 10,       // 終了時の生存1秒あたりのスコア
+        starThresholds: null,    // クリア時の星評価（残り防衛度がこれ以上で星1つずつ）
+        clearBonusPerStar: 0,
+        dailySeed: false,        // 日付で決まるシードを使う
+        adaptiveDifficulty: true, // 適応難易度（スコアを競うモードでは全員同じ条件にするため無効）
+        scripted: false          // ウェーブを自動で始めない（敵は TutorialCampaign が配置する、戦績・保存の対象外）
+    },
+
+    // 3分間のスコアアタック（生存ボーナスなし）
+    timeAttack: {
+        name: 'タイムアタック',
+        keywords: ['タイムアタック', 'たいむあたっく', 'タイム', 'たいむ'],
+        description: '3分間で最高スコアを目指す',
+        timeLimit: 180000,
+        waveLimit: null,
+        lives: 1,
+        survivalBonus: 0,
+        starThresholds: null,
+        clearBonusPerStar: 0,
+        dailySeed: false,
+        adaptiveDifficulty: false,
+        scripted: false
+    },
+
+    // 残機制で規定ウェーブを守り抜く
+    survival: {
+        name: 'サバイバル',
+        keywords: ['サバイバル', 'さばいばる'],
+        description: '残機3で全15波を守り抜く（残り防衛度で星評価）',
+        timeLimit: null,
+        waveLimit: 15,
+        lives: 3,
+        survivalBonus: 0,
+        starThresholds: [1, 50, 80],
+        clearBonusPerStar: 1000,
+        dailySeed: false,
+        adaptiveDifficulty: true,
+        scripted: false
+    },
+
+    // 日付ごとに全プレイヤー共通の展開（ルールはエンドレスと同じ）
+    daily: {
+        name: 'デイリーチャレンジ',
+        keywords: ['デイリーチャレンジ', 'デイリー', 'でいりー', '今日', 'きょう'],
+        description: '今日の日付で決まる共通の展開に挑む',
+        timeLimit: null,
+        waveLimit: null,
+        lives: 1,
+        survivalBonus: 10,
+        starThresholds: null,
+        clearBonusPerStar: 0,
+        dailySeed: true,
+        adaptiveDifficulty: false,
+        scripted: false
+    },
+
+    // 敵1体ずつ、読み上げの案内に従ってコマンドを練習する
+    tutorial: {
+        name: 'チュートリアル',
+        keywords: ['チュートリアル', 'ちゅーとりある', '練習', 'れんしゅう'],
+        description: '敵1体ずつ、案内に従ってコマンドを声で練習する',
+        timeLimit: null,
+        waveLimit: null,
+        lives: 1,
+        survivalBonus: 0,
+        starThresholds: null,
+        clearBonusPerStar: 0,
+        dailySeed: false,
+        adaptiveDifficulty: false,
+        scripted: true
+    }
+};
+
+class GameModes {
+    /**
+     * モード定義取得（不明なIDは既定モード）
+     */
+    static get(modeId) {
+        return GAME_MODES[modeId] || GAME_MODES[DEFAULT_GAME_MODE];
+    }
+
+    /**
+     * 登録済みのモードIDか
+     */
+    static isValid(modeId) {
+        return Object.prototype.hasOwnProperty.call(GAME_MODES, modeId);
+    }
+
+    /**
+     * 発話からモードを抽出（最初に現れたモード、なければnull）
+     */
+    static findInText(text) {
+        return CommandGrammar.findEarliest(GAME_MODES, text);
+    }
+
+    /**
+     * 日付キー（ローカル日付 YYYY-MM-DD）
+     */
+    static getDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * デイリーチャレンジのシード（同じ日なら誰でも同じ）
+     */
+    static getDailySeed(date) {
+        return SeededRandom.hashString(`daily:${GameModes.getDateKey(date)}`);
+    }
+
+    /**
+     * 残り防衛度による星評価（星評価のないモードはnull）
+     */
+    static getStars(modeId, defense) {
+        const thresholds = GameModes.get(modeId).starThresholds;
+        if (!thresholds) return null;
+        return thresholds.filter(threshold => defense >= threshold).length;
+    }
+}
\ No newline at end of file
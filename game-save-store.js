@@ -0,0 +1,52 @@
+/**
+ * Voice Commander - ゲーム保存
+ * 進行中のゲームを localStorage に保存し、次回起動時に「続きから」再開できるようにする
+ */
+
+class GameSaveStore {
+    constructor(storageKey = 'voiceCommanderSavedGame') {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * 保存（GameEngine.serialize() の結果）
+     */
+    save(saveData) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(saveData));
+            console.log(`Game saved: wave ${saveData.state.currentWave}`);
+            return true;
+        } catch (error) {
+            console.error('Failed to save game:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 読み込み（保存がなければnull）
+     */
+    load() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Failed to load saved game:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存データ削除
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * 保存データの概要（再開確認の表示・読み上げ用）
+     */
+    describe(saveData) {
+        const state = saveData.state;
+        return `${GameModes.get(state.mode).name}、第${state.currentWave}波、スコア${state.score}点、防衛度${state.defense}パーセント`;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Voice Commander - ゲーム時間スケジューラ
+ * 固定タイムステップでゲーム内時間を進め、周期イベント・遅延イベントを一元管理する
+ */
+
+class GameScheduler {
+    constructor(clock, options = {}) {
+        this.clock = clock;
+
+        // 固定タイムステップ設定
+        this.tickInterval = options.tickInterval || 100; // 100ms刻み
+        this.maxCatchUpTicks = options.maxCatchUpTicks || 50; // 1回の駆動で進める最大ステップ数
+        this.speed = 1; // 実時間に対する進行倍率（リプレイの早送り用）
+
+        // ゲーム内時間（ms、一時停止中は進まない）
+        this.time = 0;
+
+        // イベント管理
+        this.handlers = new Map();
+        this.jobs = new Map();
+        this.nextJobId = 1;
+        this.onStep = null; // 各ステップ後の処理（リプレイ入力の投入用）
+
+        // 駆動状態
+        this.isRunning = false;
+        this.driverTimer = null;
+        this.lastRealTime = 0;
+        this.accumulatedTime = 0;
+    }
+
+    /**
+     * イベントハンドラ登録
+     */
+    on(name, handler) {
+        this.handlers.set(name, handler);
+    }
+
+    /**
+     * 周期イベント登録（interval毎に実行）
+     */
+    every(name, interval, payload = null) {
+        return this.addJob(name, interval, interval, payload);
+    }
+
+    /**
+     * 遅延イベント登録（delay後に1回実行）
+     */
+    after(name, delay, payload = null) {
+        return this.addJob(name, delay, null, payload);
+    }
+
+    /**
+     * ジョブ追加
+     */
+    addJob(name, delay, interval, payload) {
+        if (!this.handlers.has(name)) {
+            console.warn(`GameScheduler: no handler registered for "${name}"`);
+        }
+
+        const jobId = this.nextJobId++;
+        this.jobs.set(jobId, {
+            id: jobId,
+            name: name,
+            dueTime: this.time + Math.max(0, delay),
+            interval: interval ? Math.max(this.tickInterval, interval) : null,
+            payload: payload
+        });
+        return jobId;
+    }
+
+    /**
+     * ジョブ取り消し
+     */
+    cancel(jobId) {
+        if (jobId !== null && jobId !== undefined) {
+            this.jobs.delete(jobId);
+        }
+        return null;
+    }
+
+    /**
+     * 指定名のジョブを全て取り消し
+     */
+    cancelByName(name) {
+        for (const [jobId, job] of this.jobs.entries()) {
+            if (job.name === name) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+
+    /**
+     * 指定名のジョブが登録済みか
+     */
+    has(name) {
+        for (const job of this.jobs.values()) {
+            if (job.name === name) return true;
+        }
+        return false;
+    }
+
+    /**
+     * 時間進行開始
+     */
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.lastRealTime = this.clock.now();
+        this.accumulatedTime = 0;
+        this.driverTimer = this.clock.setInterval(() => {
+            this.pump();
+        }, this.tickInterval);
+    }
+
+    /**
+     * 一時停止（ジョブは保持したままゲーム時間を止める）
+     */
+    pause() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        if (this.driverTimer !== null) {
+            this.clock.clearInterval(this.driverTimer);
+            this.driverTimer = null;
+        }
+    }
+
+    /**
+     * 再開
+     */
+    resume() {
+        this.start();
+    }
+
+    /**
+     * 停止（全ジョブ破棄）
+     */
+    stop() {
+        this.pause();
+        this.jobs.clear();
+    }
+
+    /**
+     * 初期状態に戻す
+     */
+    reset() {
+        this.stop();
+        this.time = 0;
+        this.accumulatedTime = 0;
+    }
+
+    /**
+     * 実時間の経過分だけ固定ステップを実行
+     */
+    pump() {
+        if (!this.isRunning) return;
+
+        const now = this.clock.now();
+        this.accumulatedTime += (now - this.lastRealTime) * this.speed;
+        this.lastRealTime = now;
+
+        let ticks = 0;
+        while (this.isRunning && this.accumulatedTime >= this.tickInterval && ticks < this.maxCatchUpTicks) {
+            this.accumulatedTime -= this.tickInterval;
+            this.step();
+            ticks++;
+        }
+
+        // 長時間の中断（タブ非アクティブ等）は追いつかずに切り捨てる
+        if (ticks >= this.maxCatchUpTicks) {
+            this.accumulatedTime = 0;
+        }
+    }
+
+    /**
+     * 1ステップ進め、期限の来たジョブを時刻順に実行
+     */
+    step() {
+        this.time += this.tickInterval;
+
+        let job = this.findNextDueJob();
+        while (job) {
+            if (job.interval) {
+                job.dueTime += job.interval;
+            } else {
+                this.jobs.delete(job.id);
+            }
+
+            const handler = this.handlers.get(job.name);
+            if (handler) {
+                handler(job.payload);
+            }
+
+            job = this.findNextDueJob();
+        }
+
+        if (this.onStep) {
+            this.onStep(this.time);
+        }
+    }
+
+    /**
+     * 進行倍率設定（1で実時間と同速）
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, speed);
+    }
+
+    /**
+     * 現在時刻までに期限が来る最初のジョブ（同時刻は登録順）
+     */
+    findNextDueJob() {
+        let nextJob = null;
+        for (const job of this.jobs.values()) {
+            if (job.dueTime > this.time) continue;
+            if (!nextJob || job.dueTime < nextJob.dueTime ||
+                (job.dueTime === nextJob.dueTime && job.id < nextJob.id)) {
+                nextJob = job;
+            }
+        }
+        return nextJob;
+    }
+
+    /**
+     * 内部状態取得（保存・再現用、ハンドラは含まない）
+     */
+    getState() {
+        return {
+            time: this.time,
+            nextJobId: this.nextJobId,
+            jobs: Array.from(this.jobs.values()).map(job => ({ ...job }))
+        };
+    }
+
+    /**
+     * 内部状態復元（停止状態で復元し、resume() で再開する）
+     */
+    setState(savedState) {
+        this.stop();
+        this.time = savedState.time;
+        this.nextJobId = savedState.nextJobId;
+        this.accumulatedTime = 0;
+
+        for (const job of savedState.jobs) {
+            this.jobs.set(job.id, { ...job });
+        }
+    }
+
+    /**
+     * 状態取得
+     */
+    getStatus() {
+        return {
+            time: this.time,
+            isRunning: this.isRunning,
+            tickInterval: this.tickInterval,
+            jobs: Array.from(this.jobs.values()).map(job => ({
+                name: job.name,
+                dueTime: job.dueTime,
+                interval: job.interval
+            }))
+        };
+    }
+}
\ No newline at end of file
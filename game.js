@@ -3,37 +3,115 @@
  * メインのゲーム進行とロジック管理
  */
 
+// 保存データの形式（互換性のない変更をしたら上げる）
+const SAVE_VERSION = 5;
+
+// 保存対象のゲーム状態（乱数・スケジューラは別途保存）
+const SAVE_FIELDS = [
+    'gameStartTime', 'defense', 'fleets', 'energy', 'cooldowns', 'killCount', 'totalKills',
+    'currentWave', 'enemies', 'enemiesToSpawn', 'nextEnemyId', 'sectorShields', 'parryStats',
+    'maxEnemyCount', 'enemySpawnRate', 'waveInProgress', 'boss', 'supplies', 'upgrades',
+    'intermission', 'enemySpawnJob', 'intermissionJob', 'difficulty', 'score', 'commandCount',
+    'successfulCommands', 'lastCommandTime', 'comboCount', 'maxCombo', 'messages',
+    'startedAt', 'inputLog', 'transcriptLog', 'mode', 'lives', 'timeLimitJob', 'rules'
+];
+
+// 取り消しで巻き戻す状態（コマンドが変更しうるもの、エネルギーは消費分を返却）
+const UNDO_FIELDS = [
+    'defense', 'fleets', 'sectorShields', 'cooldowns', 'enemies', 'boss', 'parryStats', 'score',
+    'killCount', 'totalKills', 'commandCount', 'successfulCommands', 'comboCount', 'maxCombo',
+    'lastCommandTime'
+];
+
+const GAME_CALLBACK_EVENTS = {
+    onStateChange: 'game:stateChange',
+    onStatsUpdate: 'game:statsUpdate',
+    onMessage: 'game:message',
+    onGameOver: 'game:gameOver',
+    onFleetLost: 'game:fleetLost',
+    onCheckpoint: 'game:checkpoint'
+};
+
+// 再使用待ち中の理由表示
+const COOLDOWN_REASONS = {
+    attack: '砲撃準備中',
+    defend: 'シールド再充電中',
+    retreat: '艦隊再編中',
+    status: ''
+};
+
 class GameEngine {
-    constructor() {
+    constructor(options = {}) {
+        // 乱数・時計（注入可能：シミュレーションや再現実行では仮想時計を渡す）
+        this.rng = options.rng || new SeededRandom();
+        this.clock = options.clock || new SystemClock();
+        this.seed = this.rng.seed;
+        
+        // 音響出力（未指定ならブラウザの window.audioManager、ヘッドレス実行では無音）
+        this.audio = options.audio || null;
+        
+        // バランス定義（ルールファイルで差し替え可能、上限値・コマンドコストはここから設定）
+        this.rules = BalanceRules.resolve(options.rules);
+        this.applyRules();
+        
+        // ゲーム時間スケジューラ（周期・遅延イベントを一元管理）
+        this.scheduler = options.scheduler || new GameScheduler(this.clock);
+        this.registerScheduledEvents();
+        
         // ゲーム状態
         this.gameState = 'menu'; // menu, playing, paused, gameover
         this.gameStartTime = null;
         this.gameEndTime = null;
         
+        // ゲームモード（勝敗条件・スコア計算は GAME_MODES の定義に従う）
+        this.mode = DEFAULT_GAME_MODE;
+        this.lives = 1;             // 残機
+        this.result = null;         // 終了理由（defeated, timeup, clear）
+        this.stars = null;          // クリア時の星評価
+        
         // プレイヤー状態
-        this.defense = 100;
-        this.maxDefense = 100;
-        this.fleetCount = 3;
-        this.maxFleetCount = 3;
+        this.defense = this.maxDefense;
+        this.fleets = this.createFleets(); // 艦隊ごとの耐久力・配置
+        this.maxFleetCount = this.fleets.length;
+        this.energy = this.maxEnergy;
         this.killCount = 0;
         this.totalKills = 0;
         
         // 敵・ウェーブ管理
         this.currentWave = 1;
-        this.enemyCount = 0;
-        this.maxEnemyCount = 3;
-        this.enemySpawnRate = 3000; // 3秒間隔
+        this.enemies = [];          // 戦域内の敵（接近中・交戦中）
+        this.enemiesToSpawn = 0;    // このウェーブでまだ出現していない敵
+        this.nextEnemyId = 1;
+        this.sectorShields = this.createSectorShields(); // 方面別シールド
+        this.parryStats = this.createParryStats(); // 予告攻撃への防御成績
+        this.maxEnemyCount = this.rules.waves.baseEnemyCount;
+        this.enemySpawnRate = this.rules.waves.baseSpawnRate;
         this.waveInProgress = false;
+        this.boss = null;           // ボスウェーブ中のボス
+        this.bossWaveInterval = BOSS_WAVE_INTERVAL;
+        
+        // 補給フェーズ（ウェーブ間の強化購入）
+        this.supplies = 0;          // 補給ポイント
+        this.upgrades = this.createUpgradeLevels();
+        this.intermission = null;   // 補給フェーズ中の状態
         
-        // タイマー管理
-        this.enemySpawnTimer = null;
-        this.gameUpdateTimer = null;
-        this.waveTimer = null;
+        // スケジュール済みジョブ
+        this.enemySpawnJob = null;
+        this.intermissionJob = null;
+        this.timeLimitJob = null;
         
         // ゲーム設定
-        this.difficulty = 1.0;
+        this.difficulty = this.rules.difficulty.base;
         this.autoDefenseEnabled = true;
         
+        // 適応難易度（プレイヤーの状況に応じて敵の圧力を調整）
+        this.director = new DifficultyDirector(this.rules.director);
+        this.cooldowns = {};        // コマンド → 再使用可能になるゲーム内時刻
+        
+        // 直前コマンドの取り消し（猶予 rules.timing.undoWindow 内かつ敵の行動がなければ巻き戻せる）
+        this.lastUndoable = null;   // 直前コマンドの実行前状態
+        this.enemyEventCount = 0;   // 敵の出現・攻撃・予告・ウェーブ進行の発生数
+        
         // スコア・統計
         this.score = 0;
         this.commandCount = 0;
@@ -42,11 +120,14 @@ class GameEngine {
         this.comboCount = 0;
         this.maxCombo = 0;
         
-        // イベントコールバック
-        this.onStateChange = null;
-        this.onStatsUpdate = null;
-        this.onMessage = null;
-        this.onGameOver = null;
+        // イベント通知（共有するバスを注入可能、setCallbacks で設定したコールバックの購読解除関数）
+        this.events = options.eventBus || new EventBus();
+        this.callbackSlots = {};
+        
+        // リプレイ記録（シードと入力タイムラインで対局を再現できる）
+        this.startedAt = null;      // 開始時の実時刻
+        this.inputLog = [];         // handleCommand 等への入力（ゲーム内時刻付き）
+        this.transcriptLog = [];    // 認識結果と信頼度
         
         // その他
         this.messages = [];
@@ -56,29 +137,204 @@ class GameEngine {
     }
     
     /**
-     * ゲーム開始
+     * スケジューライベント登録
+     */
+    registerScheduledEvents() {
+        this.scheduler.on('update', () => this.updateGame());
+        this.scheduler.on('autoDefense', () => this.performAutoDefense());
+        this.scheduler.on('enemySpawn', () => this.spawnEnemy());
+        this.scheduler.on('enemyUpdate', () => this.updateEnemies(this.scheduler.tickInterval));
+        this.scheduler.on('waveStart', () => {
+            if (this.gameState === 'playing') {
+                this.startWave();
+            }
+        });
+        this.scheduler.on('intermissionEnd', () => {
+            this.intermissionJob = null;
+            this.endIntermission('timeout');
+        });
+        this.scheduler.on('directorUpdate', () => this.updateDirector());
+        this.scheduler.on('timeLimit', () => {
+            this.timeLimitJob = null;
+            if (this.gameState === 'playing') {
+                this.gameOver('timeup');
+            }
+        });
+    }
+    
+    /**
+     * バランス定義の反映（上限値・コマンドコスト）
+     */
+    applyRules() {
+        const rules = this.rules;
+        
+        this.maxDefense = rules.player.maxDefense;
+        this.maxFleetHp = rules.player.maxFleetHp;
+        this.maxEnergy = rules.player.maxEnergy;
+        this.energyRegenRate = rules.player.energyRegenRate; // 毎秒の回復量
+        this.maxSectorShield = rules.player.maxSectorShield;
+        if (this.director) {
+            this.director.settings = rules.director;
+        }
+        
+        // コマンドごとのエネルギー消費と再使用待ち時間（ms）
+        this.commandCosts = {};
+        for (const [type, cost] of Object.entries(rules.commands)) {
+            this.commandCosts[type] = { ...cost, cooldownReason: COOLDOWN_REASONS[type] };
+        }
+    }
+    
+    /**
+     * バランス定義の差し替え（次のゲームから有効、省略した項目は既定値）
+     */
+    setRules(rules) {
+        this.rules = BalanceRules.resolve(rules);
+        this.applyRules();
+        console.log(`Balance rules set: ${this.rules.name}`);
+        return this.rules;
+    }
+    
+    /**
+     * 範囲の値を抽選（scale は base への倍率、ダメージでは難易度）
+     */
+    rollAmount(range, scale = 1) {
+        return Math.floor(range.base * scale + this.rng.next() * range.random);
+    }
+    
+    /**
+     * 強化レベル初期値（艦隊修理は購入回数）
+     */
+    createUpgradeLevels() {
+        const levels = {};
+        for (const upgradeId of Object.keys(UPGRADES)) {
+            levels[upgradeId] = 0;
+        }
+        return levels;
+    }
+    
+    /**
+     * 方面別シールド初期値
+     */
+    createSectorShields() {
+        const shields = {};
+        for (const sectorId of Object.keys(SECTORS)) {
+            shields[sectorId] = 0;
+        }
+        return shields;
+    }
+    
+    /**
+     * 艦隊初期状態（status: active, withdrawn, lost）
+     */
+    createFleets() {
+        return Object.entries(FLEETS).map(([fleetId, fleet]) => ({
+            id: fleetId,
+            name: fleet.name,
+            hp: this.maxFleetHp,
+            maxHp: this.maxFleetHp,
+            sector: fleet.sector,
+            status: 'active'
+        }));
+    }
+    
+    /**
+     * 戦闘中の艦隊数
+     */
+    get fleetCount() {
+        return this.getActiveFleets().length;
+    }
+    
+    /**
+     * 戦闘中の艦隊
+     */
+    getActiveFleets() {
+        return this.fleets.filter(fleet => fleet.status === 'active');
+    }
+    
+    /**
+     * 艦隊取得
      */
-    startGame() {
+    getFleet(fleetId) {
+        return this.fleets.find(fleet => fleet.id === fleetId) || null;
+    }
+    
+    /**
+     * 予告攻撃防御成績の初期値
+     */
+    createParryStats() {
+        return { perfect: 0, good: 0, late: 0, missed: 0, totalLatency: 0, bestLatency: null };
+    }
+    
+    /**
+     * 敵残数（戦域内 + 未出現）
+     */
+    get enemyCount() {
+        return this.enemies.length + this.enemiesToSpawn + (this.boss ? 1 : 0);
+    }
+    
+    /**
+     * 音響マネージャ取得
+     */
+    getAudio() {
+        if (this.audio) return this.audio;
+        return typeof window !== 'undefined' ? window.audioManager || null : null;
+    }
+    
+    /**
+     * 現在のゲーム内時間（ms、一時停止中は進まない）
+     */
+    now() {
+        return this.scheduler.time;
+    }
+    
+    /**
+     * 現在のモード定義
+     */
+    getModeRules() {
+        return GameModes.get(this.mode);
+    }
+    
+    /**
+     * ゲーム開始（シードを指定すると同じ展開を再現できる、モード省略時は前回のモード）
+     */
+    startGame(seed, modeId = this.mode) {
         console.log('Game starting...');
         
-        // 状態リセット
+        // モード設定・状態リセット
+        this.mode = GameModes.isValid(modeId) ? modeId : DEFAULT_GAME_MODE;
+        const rules = this.getModeRules();
         this.resetGameState();
         
+        // 乱数シード設定（デイリーチャレンジは日付から決定）
+        if (seed === undefined) {
+            seed = rules.dailySeed ? GameModes.getDailySeed(new Date(this.clock.now())) : SeededRandom.generateSeed();
+        }
+        this.seed = seed;
+        this.rng.setSeed(this.seed);
+        console.log(`Game seed: ${this.rng.seed}, mode: ${this.mode}`);
+        
         // ゲーム状態変更
         this.gameState = 'playing';
-        this.gameStartTime = Date.now();
+        this.gameStartTime = this.now();
+        this.startedAt = this.clock.now();
         
         // タイマー開始
         this.startGameLoop();
         
-        // 最初のウェーブ開始
-        setTimeout(() => {
-            this.startWave();
-        }, 2000);
+        // 最初のウェーブ開始（チュートリアル等の台本付きモードは敵を外部から配置する）
+        if (!rules.scripted) {
+            this.scheduler.after('waveStart', this.rules.waves.firstWaveDelay);
+        }
+        
+        // 制限時間
+        if (rules.timeLimit) {
+            this.timeLimitJob = this.scheduler.after('timeLimit', rules.timeLimit);
+        }
         
         // イベント通知
         this.notifyStateChange();
-        this.addMessage('system', '防衛戦開始！地球を守り抜け！');
+        this.addMessage('system', `防衛戦開始！【${rules.name}・${this.rules.name}】${rules.description}`);
+        this.events.emit('game:gameStart', { mode: this.mode, resumed: false });
         
         console.log('Game started');
     }
@@ -88,18 +344,43 @@ class GameEngine {
      */
     resetGameState() {
         this.defense = this.maxDefense;
-        this.fleetCount = this.maxFleetCount;
+        this.lives = this.getModeRules().lives;
+        this.result = null;
+        this.stars = null;
+        this.fleets = this.createFleets();
+        this.energy = this.maxEnergy;
+        this.cooldowns = {};
         this.killCount = 0;
         this.currentWave = 1;
-        this.enemyCount = 0;
+        this.enemies = [];
+        this.enemiesToSpawn = 0;
+        this.nextEnemyId = 1;
+        this.sectorShields = this.createSectorShields();
+        this.parryStats = this.createParryStats();
         this.score = 0;
         this.commandCount = 0;
         this.successfulCommands = 0;
         this.comboCount = 0;
-        this.difficulty = 1.0;
+        this.difficulty = this.rules.difficulty.base;
+        this.maxEnemyCount = this.rules.waves.baseEnemyCount;
+        this.enemySpawnRate = this.rules.waves.baseSpawnRate;
         this.messages = [];
+        this.waveInProgress = false;
+        this.boss = null;
+        this.supplies = 0;
+        this.upgrades = this.createUpgradeLevels();
+        this.intermission = null;
+        this.intermissionJob = null;
+        this.timeLimitJob = null;
+        this.lastCommandTime = null;
+        this.lastUndoable = null;
+        this.enemyEventCount = 0;
+        this.inputLog = [];
+        this.transcriptLog = [];
+        this.director.reset();
         
         this.clearAllTimers();
+        this.scheduler.reset();
     }
     
     /**
@@ -107,16 +388,22 @@ class GameEngine {
      */
     startGameLoop() {
         // メイン更新ループ（1秒間隔）
-        this.gameUpdateTimer = setInterval(() => {
-            this.updateGame();
-        }, 1000);
+        this.scheduler.every('update', 1000);
+        
+        // 敵の移動・攻撃（毎ステップ）
+        this.scheduler.every('enemyUpdate', this.scheduler.tickInterval);
         
         // 自動防御（5秒間隔）
         if (this.autoDefenseEnabled) {
-            setInterval(() => {
-                this.performAutoDefense();
-            }, 5000);
+            this.scheduler.every('autoDefense', this.rules.autoDefense.interval);
+        }
+        
+        // 適応難易度の判定
+        if (this.isAdaptive()) {
+            this.scheduler.every('directorUpdate', this.rules.director.interval);
         }
+        
+        this.scheduler.start();
     }
     
     /**
@@ -129,14 +416,16 @@ class GameEngine {
         this.updateStats();
         
         // ゲームオーバー判定
-        if (this.defense <= 0) {
-            this.gameOver();
+        if (this.defense <= 0 && this.breachDefense()) {
             return;
         }
         
         // 難易度調整
         this.adjustDifficulty();
         
+        // エネルギー回復
+        this.regenerateEnergy();
+        
         // UI更新通知
         this.notifyStatsUpdate();
     }
@@ -145,209 +434,1223 @@ class GameEngine {
      * ウェーブ開始
      */
     startWave() {
+        this.markEnemyEvent();
+        
         console.log(`Wave ${this.currentWave} starting`);
         
+        if (this.currentWave % this.bossWaveInterval === 0) {
+            this.startBossWave();
+            return;
+        }
+        
         this.waveInProgress = true;
-        this.enemyCount = Math.floor(this.maxEnemyCount * this.difficulty);
+        this.enemiesToSpawn = Math.floor(this.maxEnemyCount * this.difficulty);
+        const waveSize = this.enemiesToSpawn;
         
         // 敵生成開始
         this.startEnemySpawning();
         
         // メッセージ
-        this.addMessage('alert', `第${this.currentWave}波 敵${this.enemyCount}体接近中！`);
+        this.addMessage('alert', `第${this.currentWave}波 敵${waveSize}体接近中！`);
         
         // 音声アナウンス
-        if (window.audioManager) {
-            window.audioManager.speakAsAlert(`第${this.currentWave}波、敵${this.enemyCount}体接近中！全艦隊戦闘配置！`);
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsAlert(`第${this.currentWave}波、敵${waveSize}体接近中！全艦隊戦闘配置！`);
         }
     }
     
+    /**
+     * ボスウェーブ開始
+     */
+    startBossWave() {
+        const type = BOSS_TYPES.mothership;
+        const encounter = this.currentWave / this.bossWaveInterval;
+        const hp = type.hp + type.hpPerEncounter * (encounter - 1);
+        
+        this.waveInProgress = true;
+        this.enemiesToSpawn = 0;
+        this.boss = {
+            type: 'mothership',
+            name: type.name,
+            hp: hp,
+            maxHp: hp,
+            phaseIndex: 0,
+            nextAttackAt: this.now() + type.phases[0].attackInterval,
+            telegraph: null,         // 予告中の攻撃
+            spawnedAt: this.now()
+        };
+        
+        this.addMessage('alert', `第${this.currentWave}波 ボス襲来！${type.name}（耐久${hp}）`);
+        this.announceBossPhase();
+    }
+    
     /**
      * 敵生成開始
      */
     startEnemySpawning() {
-        this.enemySpawnTimer = setInterval(() => {
-            this.spawnEnemy();
-        }, this.enemySpawnRate);
+        this.scheduler.cancel(this.enemySpawnJob);
+        this.enemySpawnJob = this.scheduler.every('enemySpawn', this.enemySpawnRate);
+        
+        // 最初の1体は即時出現
+        this.spawnEnemy();
     }
     
     /**
      * 敵生成
      */
     spawnEnemy() {
-        if (this.enemyCount <= 0) {
+        if (this.enemiesToSpawn <= 0) {
+            this.enemySpawnJob = this.scheduler.cancel(this.enemySpawnJob);
+            return;
+        }
+        
+        const enemy = this.addEnemy(this.pickEnemyType(), this.rng.pick(Object.keys(SECTORS)));
+        this.enemiesToSpawn--;
+        
+        this.addMessage('system', `${SECTORS[enemy.sector].name}方面に${enemy.name}出現 - 到達まで${Math.ceil(this.getEnemyEta(enemy))}秒`);
+    }
+    
+    /**
+     * 敵を生成して戦域に追加（holdDistance を指定するとその距離で停止し、防衛線に到達しない）
+     */
+    addEnemy(typeId, sector, holdDistance = 0) {
+        const type = ENEMY_TYPES[typeId];
+        
+        const enemy = {
+            id: this.nextEnemyId++,
+            type: typeId,
+            name: type.name,
+            sector: sector,
+            hp: type.hp,
+            maxHp: type.hp,
+            distance: ENEMY_SPAWN_DISTANCE,
+            holdDistance: holdDistance,
+            speed: type.speed,
+            attackPattern: type.attackPattern,
+            strikesLeft: type.strikes,
+            attackInterval: type.attackInterval,
+            nextAttackAt: null,
+            telegraphTime: type.telegraphTime || 0,
+            telegraph: null,         // 予告中の攻撃
+            spawnedAt: this.now()
+        };
+        
+        this.enemies.push(enemy);
+        this.markEnemyEvent();
+        return enemy;
+    }
+    
+    /**
+     * 出現する敵タイプを抽選
+     */
+    pickEnemyType() {
+        const typeIds = Object.keys(ENEMY_TYPES);
+        const totalWeight = typeIds.reduce((sum, typeId) => sum + ENEMY_TYPES[typeId].spawnWeight, 0);
+        
+        let roll = this.rng.next() * totalWeight;
+        for (const typeId of typeIds) {
+            roll -= ENEMY_TYPES[typeId].spawnWeight;
+            if (roll < 0) return typeId;
+        }
+        return typeIds[typeIds.length - 1];
+    }
+    
+    /**
+     * 敵の到達予想時間（秒、交戦中は0）
+     */
+    getEnemyEta(enemy) {
+        return enemy.distance > 0 ? enemy.distance / enemy.speed : 0;
+    }
+    
+    /**
+     * 敵の移動・攻撃処理（毎ステップ）
+     */
+    updateEnemies(deltaTime) {
+        if (this.gameState !== 'playing') return;
+        
+        const now = this.now();
+        
+        for (const enemy of [...this.enemies]) {
+            if (enemy.distance > 0) {
+                // 接近
+                enemy.distance = Math.max(enemy.holdDistance || 0, enemy.distance - enemy.speed * deltaTime / 1000);
+                if (enemy.distance === 0) {
+                    enemy.nextAttackAt = now;
+                    this.addMessage('alert', `${SECTORS[enemy.sector].name}方面、${enemy.name}が防衛線に到達！`);
+                }
+            }
+            
+            if (enemy.distance === 0 && now >= enemy.nextAttackAt) {
+                this.enemyStrike(enemy);
+                
+                if (this.gameState !== 'playing') return;
+            }
+        }
+        
+        if (this.boss) {
+            this.updateBoss(now);
+            if (this.gameState !== 'playing') return;
+        }
+        
+        // ウェーブ終了判定
+        if (this.waveInProgress && this.enemiesToSpawn === 0 && this.enemies.length === 0 && !this.boss) {
             this.endWave();
+        }
+    }
+    
+    /**
+     * 敵の攻撃（攻撃パターン別）
+     */
+    enemyStrike(enemy) {
+        this.markEnemyEvent();
+        
+        // 予告付きの攻撃は先に予告し、猶予後に着弾させる
+        if (enemy.telegraphTime > 0 && !enemy.telegraph) {
+            this.telegraphAttack(enemy);
             return;
         }
         
-        // ランダムな攻撃パターン
-        const attackType = Math.random();
+        switch (enemy.attackPattern) {
+            case 'direct':
+                this.enemyDirectAttack(enemy);
+                break;
+            case 'surround':
+                this.enemySurroundAttack(enemy);
+                break;
+            case 'special':
+                this.enemySpecialAttack(enemy);
+                break;
+        }
+        
+        // 予告分の猶予を差し引き、着弾の間隔を attackInterval に保つ
+        const telegraphDelay = enemy.telegraph ? enemy.telegraphTime : 0;
+        enemy.telegraph = null;
+        enemy.strikesLeft--;
+        enemy.nextAttackAt += enemy.attackInterval - telegraphDelay;
+        
+        // 攻撃を終えた敵は離脱
+        if (enemy.strikesLeft <= 0) {
+            this.removeEnemy(enemy);
+        }
+        
+        if (this.defense <= 0) {
+            this.breachDefense();
+        }
+    }
+    
+    /**
+     * 攻撃予告（猶予内の「防御」で被害を軽減できる）
+     */
+    telegraphAttack(enemy) {
+        this.markEnemyEvent();
+        
+        const now = this.now();
+        const kind = this.rng.next() < this.rules.enemyDamage.fleetStrikeChance && this.fleetCount > 1 ? 'fleet' : 'blast';
+        
+        enemy.telegraph = {
+            kind: kind,
+            warnedAt: now,
+            impactAt: now + enemy.telegraphTime,
+            parry: null
+        };
+        enemy.nextAttackAt = enemy.telegraph.impactAt;
+        
+        const seconds = Math.round(enemy.telegraphTime / 1000);
+        const attackName = kind === 'fleet' ? '艦隊砲撃' : '強力攻撃';
+        this.addMessage('alert', `${SECTORS[enemy.sector].name}方面、${enemy.name}が${seconds}秒後に${attackName}！「防御」で備えよ`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsAlert(`${seconds}秒後に${attackName}！`);
+        }
+        
+        this.notifyStatsUpdate();
+    }
+    
+    /**
+     * 予告中の攻撃（防御未実施のもの、着弾の早い順）
+     */
+    getTelegraphedEnemies(sector = null) {
+        return this.enemies
+            .filter(enemy => enemy.telegraph && !enemy.telegraph.parry)
+            .filter(enemy => !sector || enemy.sector === sector)
+            .sort((a, b) => a.telegraph.impactAt - b.telegraph.impactAt || a.id - b.id);
+    }
+    
+    /**
+     * 予告攻撃への防御（反応時間で判定）、対象がなければnull
+     */
+    tryParry(sector = null) {
+        const enemy = this.getTelegraphedEnemies(sector)[0];
+        if (!enemy) return null;
+        
+        const { grade, latency, points } = this.recordReaction(enemy.telegraph.warnedAt);
+        enemy.telegraph.parry = { grade: grade.id, latency: latency };
+        
+        const reactionText = `反応${(latency / 1000).toFixed(1)}秒`;
+        this.addMessage('commander', `${enemy.name}の攻撃に備えた！${grade.label}（${reactionText}） +${points}点`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('defend_success');
+        }
         
-        if (attackType < 0.3) {
-            // 直接攻撃
-            this.enemyDirectAttack();
-        } else if (attackType < 0.7) {
-            // 包囲攻撃
-            this.enemySurroundAttack();
+        return {
+            success: true,
+            effect: `迎撃態勢 ${grade.label} - ${reactionText} / 被害${Math.round(grade.damageRate * 100)}% +${points}点`
+        };
+    }
+    
+    /**
+     * 予告攻撃への反応を評価して成績・スコアに記録
+     */
+    recordReaction(warnedAt) {
+        const latency = this.now() - warnedAt;
+        const grade = PARRY_GRADES.find(candidate => latency <= candidate.maxLatency);
+        
+        this.parryStats[grade.id]++;
+        this.parryStats.totalLatency += latency;
+        this.events.emit('game:parry', { grade: grade.id, latency: latency });
+        this.director.record(this.now(), 'reaction', latency);
+        if (this.parryStats.bestLatency === null || latency < this.parryStats.bestLatency) {
+            this.parryStats.bestLatency = latency;
+        }
+        
+        const points = grade.bonus * this.comboCount;
+        this.score += points;
+        
+        return { grade, latency, points };
+    }
+    
+    /**
+     * 予告攻撃の被害倍率（防御なしは1）
+     */
+    getParryDamageRate(enemy) {
+        if (!enemy.telegraph || !enemy.telegraph.parry) return 1;
+        return PARRY_GRADES.find(grade => grade.id === enemy.telegraph.parry.grade).damageRate;
+    }
+    
+    /**
+     * 敵を戦域から除外
+     */
+    removeEnemy(enemy) {
+        this.enemies = this.enemies.filter(e => e.id !== enemy.id);
+    }
+    
+    /**
+     * ボスの現在の形態
+     */
+    getBossPhase() {
+        return BOSS_TYPES[this.boss.type].phases[this.boss.phaseIndex];
+    }
+    
+    /**
+     * ボス形態のアナウンス
+     */
+    announceBossPhase() {
+        const phase = this.getBossPhase();
+        this.addMessage('alert', `【${phase.name}】${phase.announcement}`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsAlert(phase.announcement);
+        }
+    }
+    
+    /**
+     * ボス更新（攻撃予告・着弾）
+     */
+    updateBoss(now) {
+        const boss = this.boss;
+        
+        if (boss.telegraph) {
+            if (now >= boss.telegraph.impactAt) {
+                this.resolveBossAttack();
+            }
+            return;
+        }
+        
+        if (now >= boss.nextAttackAt) {
+            this.startBossAttack();
+        }
+    }
+    
+    /**
+     * ボス攻撃開始（予告のある攻撃は予告のみ）
+     */
+    startBossAttack() {
+        this.markEnemyEvent();
+        
+        const boss = this.boss;
+        const phase = this.getBossPhase();
+        const attackId = this.rng.pick(phase.attacks);
+        const attack = BOSS_ATTACKS[attackId];
+        const now = this.now();
+        
+        if (!attack.telegraphTime) {
+            this.executeBossLaunch(attack);
+            boss.nextAttackAt = now + phase.attackInterval;
+            return;
+        }
+        
+        boss.telegraph = {
+            attack: attackId,
+            warnedAt: now,
+            impactAt: now + attack.telegraphTime,
+            response: null
+        };
+        
+        const seconds = Math.round(attack.telegraphTime / 1000);
+        const counterLabel = COMMAND_LABELS[attack.counter];
+        this.addMessage('alert', `${boss.name}、${seconds}秒後に${attack.name}！「${counterLabel}」で対処せよ`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsAlert(`${seconds}秒後に${attack.name}！${counterLabel}せよ！`);
+        }
+        
+        this.notifyStatsUpdate();
+    }
+    
+    /**
+     * 艦載機発進（護衛の敵を全方面に展開）
+     */
+    executeBossLaunch(attack) {
+        const sectors = Object.keys(SECTORS);
+        for (let i = 0; i < attack.spawnCount; i++) {
+            this.addEnemy(attack.spawnType, this.rng.pick(sectors));
+        }
+        
+        this.addMessage('alert', `${this.boss.name}から${ENEMY_TYPES[attack.spawnType].name}${attack.spawnCount}機が発進！`);
+    }
+    
+    /**
+     * ボス攻撃の着弾
+     */
+    resolveBossAttack() {
+        this.markEnemyEvent();
+        
+        const boss = this.boss;
+        const attack = BOSS_ATTACKS[boss.telegraph.attack];
+        const response = boss.telegraph.response;
+        
+        let damageRate = 1;
+        if (response) {
+            damageRate = attack.evade ? 0 : PARRY_GRADES.find(grade => grade.id === response.grade).damageRate;
         } else {
-            // 特殊攻撃
-            this.enemySpecialAttack();
+            this.parryStats.missed++;
+            this.director.record(this.now(), 'parryMissed');
+        }
+        
+        const baseDamage = Math.floor(attack.baseDamage * this.difficulty + this.rng.next() * attack.randomDamage);
+        const damage = Math.floor(baseDamage * damageRate);
+        
+        if (damage === 0) {
+            this.addMessage('system', `${boss.name}の${attack.name}を${attack.evade ? '回避' : '完全に防いだ'}！`);
+        } else {
+            this.defense = Math.max(0, this.defense - damage);
+            const reducedText = damage < baseDamage ? ` (軽減 ${baseDamage - damage})` : '';
+            this.addMessage('alert', `${boss.name}の${attack.name}！防衛度 -${damage}${reducedText}`);
+            
+            const audio = this.getAudio();
+            if (audio) {
+                audio.playSound('damage_taken');
+            }
+        }
+        
+        boss.telegraph = null;
+        boss.nextAttackAt = this.now() + this.getBossPhase().attackInterval;
+        
+        if (this.defense <= 0) {
+            this.breachDefense();
         }
     }
     
     /**
-     * 敵の直接攻撃
+     * ボスの予告攻撃への対処（対応するコマンドでなければnull）
      */
-    enemyDirectAttack() {
-        const damage = Math.floor(5 * this.difficulty + Math.random() * 5);
-        this.defense = Math.max(0, this.defense - damage);
+    respondToBossAttack(commandType) {
+        const boss = this.boss;
+        if (!boss || !boss.telegraph || boss.telegraph.response) return null;
         
-        this.addMessage('alert', `敵の直接攻撃！防衛度 -${damage}`);
+        const attack = BOSS_ATTACKS[boss.telegraph.attack];
+        if (attack.counter !== commandType) return null;
         
-        if (window.audioManager) {
-            window.audioManager.playSound('damage_taken');
+        const { grade, latency, points } = this.recordReaction(boss.telegraph.warnedAt);
+        boss.telegraph.response = { grade: grade.id, latency: latency };
+        
+        const reactionText = `反応${(latency / 1000).toFixed(1)}秒`;
+        const outcome = attack.evade ? '回避機動' : `迎撃態勢 ${grade.label}`;
+        this.addMessage('commander', `${attack.name}に${outcome}！（${reactionText}） +${points}点`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound(commandType === 'retreat' ? 'retreat' : 'defend_success');
         }
         
-        this.enemyCount--;
+        return {
+            success: true,
+            effect: `${outcome} - ${reactionText} / 被害${attack.evade ? 0 : Math.round(grade.damageRate * 100)}% +${points}点`
+        };
     }
     
     /**
-     * 敵の包囲攻撃
+     * ボスへの命中（撃破・形態移行を含む）、効果の文字列を返す
+     */
+    damageBoss(shots) {
+        const boss = this.boss;
+        boss.hp = Math.max(0, boss.hp - shots);
+        
+        if (boss.hp === 0) {
+            return this.defeatBoss();
+        }
+        
+        this.addMessage('commander', `${boss.name}に${shots}発命中！（耐久 ${boss.hp}/${boss.maxHp}）`);
+        
+        // 耐久力の割合に応じて形態移行
+        const phases = BOSS_TYPES[boss.type].phases;
+        let phaseChanged = false;
+        while (boss.phaseIndex < phases.length - 1 && boss.hp / boss.maxHp <= phases[boss.phaseIndex].untilHpRate) {
+            boss.phaseIndex++;
+            phaseChanged = true;
+        }
+        if (phaseChanged) {
+            this.announceBossPhase();
+        }
+        
+        return `${boss.name}に命中 (耐久 ${boss.hp}/${boss.maxHp})`;
+    }
+    
+    /**
+     * ボス撃破
+     */
+    defeatBoss() {
+        const type = BOSS_TYPES[this.boss.type];
+        const points = type.score * this.comboCount;
+        
+        this.score += points;
+        this.killCount++;
+        this.totalKills++;
+        this.addMessage('commander', `${this.boss.name}撃破！ +${points}点`);
+        this.boss = null;
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsCommander(`${type.name}撃破！見事だ！`);
+        }
+        
+        return `${type.name}撃破 +${points}点`;
+    }
+    
+    /**
+     * ボス情報（UI・外部参照用、ボス不在ならnull）
+     */
+    getBossSummary() {
+        if (!this.boss) return null;
+        
+        const boss = this.boss;
+        const phase = this.getBossPhase();
+        let incomingAttack = null;
+        if (boss.telegraph && !boss.telegraph.response) {
+            const attack = BOSS_ATTACKS[boss.telegraph.attack];
+            incomingAttack = {
+                name: attack.name,
+                counter: attack.counter,
+                eta: Math.max(0, boss.telegraph.impactAt - this.now()) / 1000
+            };
+        }
+        
+        return {
+            type: boss.type,
+            name: boss.name,
+            hp: boss.hp,
+            maxHp: boss.maxHp,
+            phase: phase.id,
+            phaseName: phase.name,
+            phaseIndex: boss.phaseIndex,
+            incomingAttack: incomingAttack
+        };
+    }
+    
+    /**
+     * 敵の直接攻撃
      */
-    enemySurroundAttack() {
-        const damage = Math.floor(3 * this.difficulty + Math.random() * 3);
-        this.defense = Math.max(0, this.defense - damage);
+    enemyDirectAttack(enemy) {
+        const damage = this.rollAmount(this.rules.enemyDamage.direct, this.difficulty);
+        const taken = this.applySectorDamage(enemy.sector, damage);
         
-        this.addMessage('alert', `敵が包囲攻撃！防衛度 -${damage}`);
+        this.addMessage('alert', `${enemy.name}の直接攻撃！防衛度 -${taken}${this.describeShieldAbsorb(damage, taken)}`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('damage_taken');
+        }
+    }
+    
+    /**
+     * 敵の包囲攻撃
+     */
+    enemySurroundAttack(enemy) {
+        const damage = this.rollAmount(this.rules.enemyDamage.surround, this.difficulty);
+        const taken = this.applySectorDamage(enemy.sector, damage);
         
-        // 2体同時に処理
-        this.enemyCount = Math.max(0, this.enemyCount - 2);
+        this.addMessage('alert', `${enemy.name}が包囲攻撃！防衛度 -${taken}${this.describeShieldAbsorb(damage, taken)}`);
     }
     
     /**
      * 敵の特殊攻撃
      */
-    enemySpecialAttack() {
-        const attackType = Math.random();
+    enemySpecialAttack(enemy) {
+        // 予告済みの攻撃は予告時に決めた種類で着弾
+        const kind = enemy.telegraph ? enemy.telegraph.kind :
+            (this.rng.next() < this.rules.enemyDamage.fleetStrikeChance && this.fleetCount > 1 ? 'fleet' : 'blast');
+        const damageRate = this.getParryDamageRate(enemy);
+        
+        if (enemy.telegraph && !enemy.telegraph.parry) {
+            this.parryStats.missed++;
+            this.director.record(this.now(), 'parryMissed');
+        }
         
-        if (attackType < 0.5 && this.fleetCount > 1) {
-            // 艦隊への攻撃
-            this.fleetCount--;
-            this.addMessage('alert', '艦隊が被弾！戦力減少');
+        if (damageRate === 0) {
+            this.addMessage('system', `${enemy.name}の攻撃を完全に防いだ！`);
+            return;
+        }
+        
+        if (kind === 'fleet' && this.fleetCount > 1) {
+            // 艦隊への攻撃（半分以下に抑えれば艦隊は守れる）
+            if (damageRate <= 0.5) {
+                this.addMessage('system', `${enemy.name}の砲撃を回避！艦隊は無事`);
+                return;
+            }
+            // 同じ方面の艦隊を優先して狙う
+            const activeFleets = this.getActiveFleets();
+            const sameSector = activeFleets.filter(fleet => fleet.sector === enemy.sector);
+            const target = sameSector.length > 0 ? sameSector[0] : this.rng.pick(activeFleets);
+            const fleetDamage = Math.floor(this.rollAmount(this.rules.enemyDamage.fleetStrike) * damageRate);
+            this.damageFleet(target, fleetDamage, `${enemy.name}の砲撃`);
         } else {
             // 強力な攻撃
-            const damage = Math.floor(8 * this.difficulty + Math.random() * 7);
-            this.defense = Math.max(0, this.defense - damage);
-            this.addMessage('alert', `敵の強力攻撃！防衛度 -${damage}`);
+            const baseDamage = this.rollAmount(this.rules.enemyDamage.special, this.difficulty);
+            const damage = Math.floor(baseDamage * damageRate);
+            const taken = this.applySectorDamage(enemy.sector, damage);
+            const reducedText = damage < baseDamage ? ` (軽減 ${baseDamage - damage})` : '';
+            this.addMessage('alert', `${enemy.name}の強力攻撃！防衛度 -${taken}${this.describeShieldAbsorb(damage, taken)}${reducedText}`);
+        }
+    }
+    
+    /**
+     * 方面からの被弾（方面シールドが先に吸収）、実際に受けたダメージを返す
+     */
+    applySectorDamage(sectorId, damage) {
+        const absorbed = Math.min(this.sectorShields[sectorId] || 0, damage);
+        if (absorbed > 0) {
+            this.sectorShields[sectorId] -= absorbed;
         }
         
-        this.enemyCount--;
+        const taken = damage - absorbed;
+        this.defense = Math.max(0, this.defense - taken);
+        return taken;
+    }
+    
+    /**
+     * シールド吸収量の表示文字列
+     */
+    describeShieldAbsorb(damage, taken) {
+        return damage > taken ? ` (シールド吸収 ${damage - taken})` : '';
     }
     
     /**
      * ウェーブ終了
      */
     endWave() {
+        this.markEnemyEvent();
+        
         console.log(`Wave ${this.currentWave} ended`);
         
-        clearInterval(this.enemySpawnTimer);
+        this.enemySpawnJob = this.scheduler.cancel(this.enemySpawnJob);
         this.waveInProgress = false;
         
-        // ボーナス計算
-        const waveBonus = this.currentWave * 100;
+        // ボーナス計算（ボスウェーブは補給ポイントを上乗せ）
+        const rewards = this.rules.rewards;
+        const waveBonus = this.currentWave * rewards.waveScore;
         this.score += waveBonus;
         
-        this.addMessage('system', `第${this.currentWave}波撃退成功！ボーナス +${waveBonus}点`);
+        const bossBonus = this.currentWave % this.bossWaveInterval === 0 ? rewards.bossSupplies : 0;
+        const supplyReward = rewards.baseSupplies + Math.floor(this.currentWave / rewards.wavesPerSupply) + bossBonus;
+        this.supplies += supplyReward;
+        
+        this.addMessage('system', `第${this.currentWave}波撃退成功！ボーナス +${waveBonus}点 / 補給ポイント +${supplyReward}`);
+        this.events.emit('game:waveCleared', { wave: this.currentWave, boss: bossBonus > 0, defense: this.defense });
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('victory');
+        }
         
-        // 次のウェーブ準備
         this.currentWave++;
-        setTimeout(() => {
-            if (this.gameState === 'playing') {
-                this.startWave();
-            }
-        }, 5000);
         
-        if (window.audioManager) {
-            window.audioManager.playSound('victory');
-            window.audioManager.speakAsCommander('ウェーブ撃退成功！よくやった！');
+        // 規定ウェーブを撃退したらクリア
+        const waveLimit = this.getModeRules().waveLimit;
+        if (waveLimit && this.currentWave > waveLimit) {
+            this.gameOver('clear');
+            return;
+        }
+        
+        // 補給フェーズを経て次のウェーブへ
+        this.startIntermission();
+        this.checkpoint();
+    }
+    
+    /**
+     * 補給フェーズ開始（強化メニューを読み上げ、音声で購入を受け付ける）
+     */
+    startIntermission() {
+        const now = this.now();
+        this.intermission = {
+            startedAt: now,
+            endsAt: now + INTERMISSION_DURATION,
+            purchases: []
+        };
+        this.intermissionJob = this.scheduler.after('intermissionEnd', INTERMISSION_DURATION);
+        
+        const menu = this.getUpgradeMenu();
+        const menuText = menu.map(item => `「${item.name}」${item.cost !== null ? `${item.cost}pt` : '最大'} ${item.description}`);
+        this.addMessage('system', `補給フェーズ（${INTERMISSION_DURATION / 1000}秒） - 補給ポイント ${this.supplies}`);
+        this.addMessage('system', `${menuText.join(' / ')} / 「スキップ」で次の波へ`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            const speechMenu = menu
+                .filter(item => item.cost !== null)
+                .map(item => `${item.name}${item.cost}ポイント`)
+                .join('、');
+            audio.speakAsCommander(`ウェーブ撃退成功！補給フェーズ。補給ポイント${this.supplies}。${speechMenu}。スキップで次の波へ。`);
+        }
+        
+        this.notifyStatsUpdate();
+    }
+    
+    /**
+     * 強化メニュー（cost が null なら最大レベル）
+     */
+    getUpgradeMenu() {
+        return Object.entries(UPGRADES).map(([upgradeId, upgrade]) => {
+            const cost = this.getUpgradeCost(upgradeId);
+            return {
+                id: upgradeId,
+                name: upgrade.name,
+                description: upgrade.description,
+                level: this.upgrades[upgradeId],
+                maxLevel: upgrade.costs ? upgrade.costs.length : null,
+                cost: cost,
+                affordable: cost !== null && this.supplies >= cost
+            };
+        });
+    }
+    
+    /**
+     * 次のレベルの価格（最大レベルならnull）
+     */
+    getUpgradeCost(upgradeId) {
+        const upgrade = UPGRADES[upgradeId];
+        if (!upgrade.costs) return upgrade.repeatCost;
+        
+        const level = this.upgrades[upgradeId];
+        return level < upgrade.costs.length ? upgrade.costs[level] : null;
+    }
+    
+    /**
+     * 補給フェーズ中の発話処理（強化・スキップ以外はnull）
+     */
+    handleIntermissionInput(text) {
+        if (this.gameState !== 'playing') return null;
+        
+        const choice = this.parseIntermissionInput(text);
+        if (!choice) return null;
+        
+        this.recordInput({ type: 'upgrade', choice: choice, text: text });
+        return this.applyUpgradeChoice(choice);
+    }
+    
+    /**
+     * 補給フェーズの発話を解析（'skip' または強化ID、該当なしはnull）
+     */
+    parseIntermissionInput(text) {
+        if (!this.intermission || typeof text !== 'string') return null;
+        
+        if (INTERMISSION_SKIP_KEYWORDS.some(keyword => TextNormalizer.contains(text, keyword))) {
+            return 'skip';
+        }
+        return CommandGrammar.findEarliest(UPGRADES, text);
+    }
+    
+    /**
+     * 強化の選択（'skip' で補給フェーズ終了）
+     */
+    chooseUpgrade(choice) {
+        if (this.gameState !== 'playing') {
+            return { success: false, reason: 'ゲームが実行中ではありません' };
+        }
+        
+        this.recordInput({ type: 'upgrade', choice: choice, text: '' });
+        return this.applyUpgradeChoice(choice);
+    }
+    
+    /**
+     * 強化選択の適用
+     */
+    applyUpgradeChoice(choice) {
+        if (!this.intermission) {
+            return { success: false, reason: '補給フェーズではありません' };
+        }
+        
+        if (choice === 'skip') {
+            return this.endIntermission('skip');
+        }
+        
+        const upgrade = UPGRADES[choice];
+        if (!upgrade) {
+            return { success: false, reason: `不明な強化: ${choice}` };
+        }
+        
+        const cost = this.getUpgradeCost(choice);
+        if (cost === null) {
+            return this.rejectAction(`${upgrade.name}は最大レベルです`);
+        }
+        if (this.supplies < cost) {
+            return this.rejectAction(`補給ポイント不足 - ${upgrade.name}には${cost}必要（現在${this.supplies}）`);
+        }
+        
+        const damagedFleets = this.getActiveFleets().filter(fleet => fleet.hp < fleet.maxHp);
+        if (choice === 'repair' && damagedFleets.length === 0) {
+            return this.rejectAction('修理が必要な艦隊はありません');
+        }
+        
+        this.supplies -= cost;
+        this.upgrades[choice]++;
+        this.intermission.purchases.push(choice);
+        
+        if (choice === 'repair') {
+            damagedFleets.forEach(fleet => {
+                fleet.hp = fleet.maxHp;
+            });
+        }
+        
+        const levelText = upgrade.costs ? ` Lv${this.upgrades[choice]}` : '';
+        this.addMessage('commander', `${upgrade.name}完了！${levelText} 残り補給ポイント ${this.supplies}`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('notification');
+            audio.speakAsCommander(`${upgrade.name}完了。残り${this.supplies}ポイント。`);
+        }
+        
+        this.notifyStatsUpdate();
+        
+        return {
+            success: true,
+            effect: `${upgrade.name}${levelText} (-${cost}pt, 残り${this.supplies}pt)`
+        };
+    }
+    
+    /**
+     * 強化購入・取り消し等の拒否（音声で理由を伝える）
+     */
+    rejectAction(reason) {
+        this.addMessage('system', reason);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsSystem(reason.split(' - ')[0]);
+        }
+        
+        return { success: false, reason: reason };
+    }
+    
+    /**
+     * 補給フェーズ終了（スキップまたは時間切れ）
+     */
+    endIntermission(reason) {
+        if (!this.intermission) return null;
+        
+        this.intermissionJob = this.scheduler.cancel(this.intermissionJob);
+        this.intermission = null;
+        this.scheduler.after('waveStart', this.rules.waves.nextWaveDelay);
+        
+        this.addMessage('system', reason === 'timeout' ? '補給フェーズ終了 - 次の波が接近中' : '補給フェーズ終了 - 次の波に備えよ');
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsSystem('補給完了。次の波に備えよ。');
         }
+        
+        this.notifyStatsUpdate();
+        
+        return { success: true, effect: '補給フェーズ終了 - 次の波に備えよ' };
+    }
+    
+    /**
+     * 補給フェーズ情報（UI・外部参照用、補給フェーズ外はnull）
+     */
+    getIntermissionSummary() {
+        if (!this.intermission) return null;
+        
+        return {
+            remaining: Math.max(0, this.intermission.endsAt - this.now()) / 1000,
+            purchases: [...this.intermission.purchases],
+            menu: this.getUpgradeMenu()
+        };
     }
     
     /**
      * コマンド処理
+     * command: 'attack' などの文字列、または { type: 'attack', sector: 'north' } の構造化コマンド
      */
     handleCommand(command, originalText) {
         if (this.gameState !== 'playing') {
             return { success: false, reason: 'ゲームが実行中ではありません' };
         }
         
-        console.log(`Executing command: ${command}`);
+        // コマンド文法にない種別は認識失敗として記録（適応難易度・イベント・実績で同じ扱いにする）
+        const normalized = this.normalizeCommand(command);
+        if (!Object.prototype.hasOwnProperty.call(COMMAND_GRAMMAR, normalized.type)) {
+            this.recordRecognitionFailure(originalText);
+            this.addMessage('system', `認識できないコマンド: "${originalText}"`);
+            return { success: false, reason: `認識できないコマンド: "${originalText}"` };
+        }
+        
+        // 入力を記録（リプレイ用）
+        this.recordInput({ type: 'command', command: normalized, text: originalText || '' });
+        this.events.emit('game:commandReceived', normalized);
+        
+        // 補給フェーズ中は強化・スキップの発話を優先
+        if (this.intermission) {
+            const choice = this.parseIntermissionInput(originalText);
+            if (choice) return this.applyUpgradeChoice(choice);
+        }
+        
+        const { type, sector, fleet } = normalized;
+        
+        // 取り消し（メタコマンド）はエネルギー・再使用待ちの対象外
+        if (type === 'undo') {
+            return this.undoLastCommand();
+        }
+        
+        // 指定艦隊が戦闘不能なら実行しない
+        const fleetState = fleet ? this.getFleet(fleet) : null;
+        if (fleetState && fleetState.status !== 'active') {
+            const reason = `${fleetState.name}は${fleetState.status === 'lost' ? '撃沈されています' : '撤退済みです'}`;
+            this.addMessage('system', reason);
+            return { success: false, reason: `${reason} - 他の艦隊に指示してください` };
+        }
+        
+        // エネルギー・再使用待ちの確認（連打はコンボも途切れる）
+        const rejection = this.checkCommandAvailability(type);
+        if (rejection) {
+            return this.rejectCommand(rejection);
+        }
+        
+        console.log(`Executing command: ${type}${sector ? ` (${sector})` : ''}${fleet ? ` [${fleet}]` : ''}`);
+        
+        // 取り消し用に実行前の状態を保存（状況報告は状態を変えない）
+        const snapshot = type !== 'status' ? this.createUndoSnapshot() : null;
         
         this.commandCount++;
         let result = { success: false, effect: '', reason: '' };
         
-        switch (command) {
+        switch (type) {
             case 'attack':
-                result = this.performAttack();
+                result = this.performAttack(sector, fleetState);
                 break;
             case 'defend':
-                result = this.performDefense();
+                result = this.performDefense(sector, fleetState);
                 break;
             case 'retreat':
-                result = this.performRetreat();
+                result = this.performRetreat(fleetState);
                 break;
             case 'status':
                 result = this.performStatusReport();
                 break;
-            default:
-                this.addMessage('system', `認識できないコマンド: "${originalText}"`);
-                return { success: false, reason: `認識できないコマンド: "${originalText}"` };
         }
-        
-        if (result.success) {
-            this.successfulCommands++;
-            this.updateCombo();
+        
+        this.director.record(this.now(), result.success ? 'commandSuccess' : 'commandFailure');
+        
+        // 実行した行動（外れた攻撃を含む）はエネルギーと再使用待ちを消費
+        if (result.success || result.attempted) {
+            this.spendCommandCost(type);
+            this.events.emit('game:command', { type, sector, fleet, success: !!result.success });
+        }
+        
+        if (result.success) {
+            this.successfulCommands++;
+            this.updateCombo();
+        }
+        
+        if (snapshot && (result.success || result.attempted)) {
+            this.lastUndoable = {
+                command: { type, sector, fleet },
+                at: this.now(),
+                snapshot: snapshot,
+                energySpent: this.commandCosts[type].energy,
+                enemyEventCount: this.enemyEventCount
+            };
+        }
+        
+        return result;
+    }
+    
+    /**
+     * 取り消し用の状態保存
+     */
+    createUndoSnapshot() {
+        const snapshot = {};
+        for (const field of UNDO_FIELDS) {
+            snapshot[field] = this[field];
+        }
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+    
+    /**
+     * 直前のコマンドを取り消し（猶予内・敵の行動なしの場合のみ）
+     */
+    undoLastCommand() {
+        const undo = this.lastUndoable;
+        if (!undo) {
+            return this.rejectAction('取り消せるコマンドがありません');
+        }
+        
+        this.lastUndoable = null;
+        const label = CommandGrammar.describe(undo.command);
+        const elapsed = this.now() - undo.at;
+        
+        if (elapsed > this.rules.timing.undoWindow) {
+            return this.rejectAction(`取り消し期限切れ - ${label}から${(elapsed / 1000).toFixed(1)}秒経過`);
+        }
+        if (undo.enemyEventCount !== this.enemyEventCount) {
+            return this.rejectAction(`敵の行動があったため取り消せません - ${label}は実行済みです`);
+        }
+        
+        this.restoreUndoSnapshot(undo.snapshot, elapsed);
+        this.energy = Math.min(this.maxEnergy, this.energy + undo.energySpent);
+        
+        this.addMessage('commander', `${label}を取り消した！`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsCommander(`${label}を取り消しました`);
+        }
+        
+        this.notifyStatsUpdate();
+        
+        return {
+            success: true,
+            effect: `${label}を取り消し - ${(elapsed / 1000).toFixed(1)}秒前の状態に復帰`
+        };
+    }
+    
+    /**
+     * 取り消し時の状態復元（敵の位置は現在のものを使い、取り消しまでに出現した敵は残す）
+     */
+    restoreUndoSnapshot(snapshot, elapsed) {
+        const latestEnemies = new Map(this.enemies.map(enemy => [enemy.id, enemy]));
+        
+        for (const field of UNDO_FIELDS) {
+            this[field] = snapshot[field];
+        }
+        
+        const restoredIds = new Set(this.enemies.map(enemy => enemy.id));
+        this.enemies = this.enemies.map(enemy => {
+            const latest = latestEnemies.get(enemy.id);
+            if (latest) {
+                return { ...enemy, distance: latest.distance, nextAttackAt: latest.nextAttackAt };
+            }
+            
+            // 撃破を取り消した敵は経過時間分だけ前進させる
+            const distance = Math.max(0, enemy.distance - enemy.speed * elapsed / 1000);
+            const arrived = distance === 0 && enemy.distance > 0;
+            return { ...enemy, distance: distance, nextAttackAt: arrived ? this.now() : enemy.nextAttackAt };
+        });
+        
+        for (const enemy of latestEnemies.values()) {
+            if (!restoredIds.has(enemy.id)) {
+                this.enemies.push(enemy);
+            }
+        }
+    }
+    
+    /**
+     * 敵の行動の発生を記録（これ以前のコマンドは取り消し不可）
+     */
+    markEnemyEvent() {
+        this.enemyEventCount++;
+    }
+    
+    /**
+     * コマンド実行可否（実行できなければ理由を返す）
+     */
+    checkCommandAvailability(type) {
+        const cost = this.commandCosts[type];
+        if (!cost) return null;
+        
+        const cooldown = this.getCooldownRemaining(type);
+        if (cooldown > 0) {
+            return `${cost.cooldownReason} - あと${Math.ceil(cooldown / 1000)}秒`;
+        }
+        
+        if (this.energy < cost.energy) {
+            return `エネルギー不足 - ${COMMAND_LABELS[type]}には${cost.energy}必要（現在${Math.floor(this.energy)}）`;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * コマンド拒否（音声で理由を伝える）
+     */
+    rejectCommand(reason) {
+        this.comboCount = 0;
+        this.addMessage('system', reason);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.speakAsSystem(reason.split(' - ')[0]);
+        }
+        
+        return { success: false, rejected: true, reason: reason };
+    }
+    
+    /**
+     * エネルギー消費・再使用待ち開始
+     */
+    spendCommandCost(type) {
+        const cost = this.commandCosts[type];
+        if (!cost) return;
+        
+        this.energy = Math.max(0, this.energy - cost.energy);
+        if (cost.cooldown > 0) {
+            this.cooldowns[type] = this.now() + cost.cooldown;
+        }
+
+        this.notifyStatsUpdate();
+    }
+    
+    /**
+     * 再使用可能までの残り時間（ms）
+     */
+    getCooldownRemaining(type) {
+        const readyAt = this.cooldowns[type];
+        return readyAt ? Math.max(0, readyAt - this.now()) : 0;
+    }
+    
+    /**
+     * 再使用待ち中のコマンド一覧（残り秒）
+     */
+    getCooldownSummary() {
+        const summary = {};
+        for (const type of Object.keys(this.commandCosts)) {
+            const remaining = this.getCooldownRemaining(type);
+            if (remaining > 0) {
+                summary[type] = Math.ceil(remaining / 100) / 10;
+            }
+        }
+        return summary;
+    }
+    
+    /**
+     * 再使用待ちの要約（例：「撤退4秒、防御1秒」）
+     */
+    describeCooldowns() {
+        return Object.entries(this.getCooldownSummary())
+            .map(([type, seconds]) => `${COMMAND_LABELS[type]}${Math.ceil(seconds)}秒`)
+            .join('、');
+    }
+    
+    /**
+     * エネルギー回復（毎秒）
+     */
+    regenerateEnergy() {
+        this.energy = Math.min(this.maxEnergy, this.energy + this.energyRegenRate);
+    }
+    
+    /**
+     * 構造化コマンドへの正規化
+     */
+    normalizeCommand(command) {
+        if (typeof command === 'string') {
+            return { type: command, sector: null, fleet: null };
         }
         
-        return result;
+        const sector = command && SECTORS[command.sector] ? command.sector : null;
+        const fleet = command && FLEETS[command.fleet] ? command.fleet : null;
+        return { type: command ? command.type : null, sector: sector, fleet: fleet };
     }
     
     /**
-     * 攻撃実行
+     * 攻撃実行（方面指定時はその方面の敵のみを集中攻撃、艦隊指定がなければ全艦隊）
      */
-    performAttack() {
-        if (this.enemyCount <= 0) {
+    performAttack(sector = null, fleet = null) {
+        if (this.enemies.length === 0 && !this.boss) {
             this.addMessage('system', '攻撃する敵がいません');
             return { success: false, reason: '攻撃対象なし - 敵の出現を待機してください' };
         }
         
-        // 攻撃成功率（艦隊数と難易度による）
-        const successRate = Math.min(0.9, 0.5 + (this.fleetCount * 0.15));
-        const success = Math.random() < successRate;
+        // ボスは全方面から狙える
+        const candidates = sector ? this.enemies.filter(enemy => enemy.sector === sector) : this.enemies;
+        if (candidates.length === 0 && !this.boss) {
+            this.addMessage('system', `${SECTORS[sector].name}方面に敵はいません`);
+            return { success: false, reason: `${SECTORS[sector].name}方面に敵なし - 方面を確認してください` };
+        }
+        
+        if (fleet && sector) {
+            this.moveFleet(fleet, sector);
+        }
+        
+        // 攻撃成功率（参加艦隊の戦力による、方面指定の集中攻撃・照準強化で命中率上昇）
+        const rules = this.rules.attack;
+        const attackers = fleet ? [fleet] : this.getActiveFleets();
+        const firepower = attackers.reduce((sum, attacker) => sum + attacker.hp / attacker.maxHp, 0);
+        const focusBonus = sector ? rules.focusBonus : 0;
+        const accuracyBonus = this.upgrades.accuracy * this.rules.upgrades.accuracy;
+        const successRate = Math.min(rules.maxSuccessRate + focusBonus + accuracyBonus, rules.baseSuccessRate + (firepower * rules.firepowerRate) + focusBonus + accuracyBonus);
+        const success = this.rng.next() < successRate;
         
         if (success) {
-            const destroyCount = Math.min(
-                Math.floor(1 + Math.random() * 2), 
-                this.enemyCount
-            );
+            // 抽選した射数を最も近い敵から順に命中させ、残りはボスへ
+            const shots = this.rollAmount(rules.shots);
+            const { target, destroyed, remainingShots } = this.fireAtEnemies(shots, candidates);
+            const destroyCount = destroyed.length;
             
-            this.enemyCount = Math.max(0, this.enemyCount - destroyCount);
             this.killCount += destroyCount;
             this.totalKills += destroyCount;
             
-            const points = destroyCount * 50 * this.comboCount;
+            const points = destroyed.reduce((sum, enemy) => sum + ENEMY_TYPES[enemy.type].score, 0) * this.comboCount;
             this.score += points;
             
-            this.addMessage('commander', `攻撃成功！敵${destroyCount}体撃破！ +${points}点`);
+            let effect = '';
+            if (destroyCount > 0) {
+                const names = destroyed.map(enemy => enemy.name).join('・');
+                this.addMessage('commander', `攻撃成功！${names}撃破！ +${points}点`);
+                effect = `敵${destroyCount}体撃破 +${points}点`;
+            } else if (target) {
+                this.addMessage('commander', `命中！${target.name}に損傷（耐久 ${target.hp}/${target.maxHp}）`);
+                effect = `${target.name}に命中 (耐久 ${target.hp}/${target.maxHp})`;
+            }
+            
+            if (remainingShots > 0 && this.boss) {
+                const bossEffect = this.damageBoss(remainingShots);
+                effect = effect ? `${effect} / ${bossEffect}` : bossEffect;
+            }
             
-            if (window.audioManager) {
-                window.audioManager.playSound('attack_success');
+            const audio = this.getAudio();
+            if (audio) {
+                audio.playSound('attack_success');
             }
             
             // 反撃リスク
             let counterAttack = '';
-            if (Math.random() < 0.3) {
-                const damage = Math.floor(3 + Math.random() * 4);
+            if (this.rng.next() < rules.counterChance) {
+                const damage = this.rollAmount(rules.counterDamage);
                 this.defense = Math.max(0, this.defense - damage);
                 this.addMessage('alert', `反撃を受けました！ -${damage}`);
                 counterAttack = ` / 反撃 -${damage}`;
@@ -355,19 +1658,65 @@ class GameEngine {
             
             return { 
                 success: true, 
-                effect: `敵${destroyCount}体撃破 +${points}点${counterAttack}` 
+                effect: `${effect}${counterAttack}` 
             };
         } else {
             this.addMessage('system', '攻撃が外れました');
-            return { success: false, reason: '攻撃失敗 - 再試行してください' };
+            return { success: false, attempted: true, reason: '攻撃失敗 - 再試行してください' };
+        }
+    }
+    
+    /**
+     * 最も近い敵から順に射撃し、撃破した敵を除外
+     */
+    fireAtEnemies(shots, candidates = this.enemies) {
+        const targets = [...candidates].sort((a, b) => a.distance - b.distance || a.id - b.id);
+        const destroyed = [];
+        let target = targets[0];
+        let remainingShots = shots;
+        
+        while (remainingShots > 0 && targets.length > 0) {
+            remainingShots--;
+            target = targets[0];
+            target.hp--;
+            
+            if (target.hp <= 0) {
+                destroyed.push(target);
+                targets.shift();
+                this.removeEnemy(target);
+            }
         }
+        
+        return { target, destroyed, remainingShots };
     }
     
     /**
-     * 防御実行
+     * 防御実行（方面指定時はその方面のシールドを展開、艦隊指定時はその艦隊を修理）
      */
-    performDefense() {
-        const healAmount = Math.floor(5 + Math.random() * 10);
+    performDefense(sector = null, fleet = null) {
+        // 予告攻撃があれば迎撃態勢を優先
+        const bossResult = this.respondToBossAttack('defend');
+        if (bossResult) {
+            return bossResult;
+        }
+        
+        const parryResult = this.tryParry(sector);
+        if (parryResult) {
+            return parryResult;
+        }
+        
+        if (sector) {
+            if (fleet) {
+                this.moveFleet(fleet, sector);
+            }
+            return this.reinforceSectorShield(sector);
+        }
+        
+        if (fleet) {
+            return this.repairFleet(fleet);
+        }
+        
+        const healAmount = this.rollAmount(this.rules.defend.heal) + this.upgrades.shield * this.rules.upgrades.shieldHeal;
         const oldDefense = this.defense;
         
         this.defense = Math.min(this.maxDefense, this.defense + healAmount);
@@ -376,8 +1725,9 @@ class GameEngine {
         if (actualHeal > 0) {
             this.addMessage('commander', `防御強化！防衛度 +${actualHeal}`);
             
-            if (window.audioManager) {
-                window.audioManager.playSound('defend_success');
+            const audio = this.getAudio();
+            if (audio) {
+                audio.playSound('defend_success');
             }
             
             return { 
@@ -390,50 +1740,240 @@ class GameEngine {
         }
     }
     
+    /**
+     * 方面シールド上限（シールド強化で増加）
+     */
+    getMaxSectorShield() {
+        return this.maxSectorShield + this.upgrades.shield * this.rules.upgrades.shieldCapacity;
+    }
+    
+    /**
+     * 方面シールド展開
+     */
+    reinforceSectorShield(sector) {
+        const sectorName = SECTORS[sector].name;
+        const oldShield = this.sectorShields[sector];
+        const maxShield = this.getMaxSectorShield();
+        
+        if (oldShield >= maxShield) {
+            this.addMessage('system', `${sectorName}方面のシールドは最大です`);
+            return { success: false, reason: `${sectorName}方面シールド最大 - 他の方面を固めてください` };
+        }
+        
+        const shieldAmount = this.rollAmount(this.rules.defend.sectorShield);
+        this.sectorShields[sector] = Math.min(maxShield, oldShield + shieldAmount);
+        const actualGain = this.sectorShields[sector] - oldShield;
+        
+        this.addMessage('commander', `${sectorName}方面の防御を固めた！シールド +${actualGain}`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('defend_success');
+        }
+        
+        return {
+            success: true,
+            effect: `${sectorName}方面シールド +${actualGain} (現在${this.sectorShields[sector]})`
+        };
+    }
+    
     /**
      * 撤退実行
      */
-    performRetreat() {
+    performRetreat(fleet = null) {
+        // ボスの突撃予告中は回避機動（艦隊は失わない）
+        const bossResult = this.respondToBossAttack('retreat');
+        if (bossResult) {
+            return bossResult;
+        }
+        
         if (this.fleetCount <= 1) {
             this.addMessage('system', 'これ以上撤退できません');
             return { success: false, reason: '最後の艦隊 - 撤退不可能です' };
         }
         
-        this.fleetCount--;
-        const healAmount = Math.floor(15 + Math.random() * 10);
+        // 指定がなければ最も損傷した艦隊を下げる
+        const target = fleet || this.getActiveFleets().reduce((weakest, candidate) =>
+            candidate.hp < weakest.hp ? candidate : weakest);
+        target.status = 'withdrawn';
+        
+        const healAmount = this.rollAmount(this.rules.retreat.heal);
         const oldDefense = this.defense;
         
         this.defense = Math.min(this.maxDefense, this.defense + healAmount);
         const actualHeal = this.defense - oldDefense;
         
-        this.addMessage('commander', `戦術的撤退！艦隊-1, 防衛度 +${actualHeal}`);
+        this.addMessage('commander', `${target.name}、戦術的撤退！防衛度 +${actualHeal}`);
         
-        if (window.audioManager) {
-            window.audioManager.playSound('retreat');
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('retreat');
         }
         
         return { 
             success: true, 
-            effect: `艦隊-1, 防衛度 +${actualHeal} (緊急回復成功)` 
+            effect: `${target.name}撤退, 防衛度 +${actualHeal} (緊急回復成功)` 
+        };
+    }
+    
+    /**
+     * 艦隊を指定方面へ展開
+     */
+    moveFleet(fleet, sector) {
+        if (fleet.sector === sector) return;
+        
+        fleet.sector = sector;
+        this.addMessage('commander', `${fleet.name}、${SECTORS[sector].name}方面へ展開`);
+    }
+    
+    /**
+     * 艦隊修理
+     */
+    repairFleet(fleet) {
+        if (fleet.hp >= fleet.maxHp) {
+            this.addMessage('system', `${fleet.name}は損傷していません`);
+            return { success: false, reason: `${fleet.name}は無傷 - 他の指示を出してください` };
+        }
+        
+        const repairAmount = this.rollAmount(this.rules.defend.fleetRepair);
+        const oldHp = fleet.hp;
+        fleet.hp = Math.min(fleet.maxHp, fleet.hp + repairAmount);
+        const actualRepair = fleet.hp - oldHp;
+        
+        this.addMessage('commander', `${fleet.name}修理完了！耐久 +${actualRepair}`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('defend_success');
+        }
+        
+        return {
+            success: true,
+            effect: `${fleet.name} 耐久 +${actualRepair} (現在${fleet.hp}/${fleet.maxHp})`
         };
     }
     
+    /**
+     * 艦隊への被弾（耐久が尽きれば撃沈）
+     */
+    damageFleet(fleet, damage, cause) {
+        fleet.hp = Math.max(0, fleet.hp - damage);
+        
+        if (fleet.hp === 0) {
+            this.loseFleet(fleet, cause);
+        } else {
+            this.addMessage('alert', `${cause}で${fleet.name}が被弾！耐久 -${damage}（残り${fleet.hp}）`);
+        }
+    }
+    
+    /**
+     * 艦隊喪失
+     */
+    loseFleet(fleet, cause) {
+        this.markEnemyEvent();
+        
+        fleet.status = 'lost';
+        fleet.hp = 0;
+        
+        this.addMessage('alert', `${cause}で${fleet.name}が撃沈された！`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('damage_taken');
+            audio.speakAsAlert(`${fleet.name}、撃沈！`);
+        }
+        
+        this.events.emit('game:fleetLost', {
+            fleet: { ...fleet },
+            cause: cause,
+            remainingFleets: this.fleetCount
+        });
+    }
+    
+    /**
+     * 艦隊状況の要約（例：「第一艦隊 北 80 / 第二艦隊 撃沈」）
+     */
+    describeFleets() {
+        return this.fleets.map(fleet => {
+            if (fleet.status === 'lost') return `${fleet.name} 撃沈`;
+            if (fleet.status === 'withdrawn') return `${fleet.name} 撤退`;
+            return `${fleet.name} ${SECTORS[fleet.sector].name} ${fleet.hp}`;
+        }).join(' / ');
+    }
+    
+    /**
+     * 艦隊情報一覧（UI・外部参照用のコピー）
+     */
+    getFleetSummaries() {
+        return this.fleets.map(fleet => ({ ...fleet }));
+    }
+    
     /**
      * 状況報告
      */
     performStatusReport() {
+        const engagedCount = this.getEngagedEnemies().length;
+        const approachingCount = this.enemies.length - engagedCount;
+        const nearestEta = this.getNearestEnemyEta();
+        const intermission = this.getIntermissionSummary();
+        const waveText = intermission ?
+            `補給フェーズ中（残り${Math.ceil(intermission.remaining)}秒）` :
+            `第${this.currentWave}波進行中`;
+        const modeText = this.describeModeProgress();
+        
         const report = [
             `防衛度: ${this.defense}%`,
-            `艦隊: ${this.fleetCount}隻`,
-            `敵残数: ${this.enemyCount}体`,
-            `第${this.currentWave}波進行中`
+            `艦隊: ${this.fleetCount}隻 (${this.describeFleets()})`,
+            `エネルギー: ${Math.floor(this.energy)}/${this.maxEnergy}`,
+            `補給ポイント: ${this.supplies}`,
+            `モード: ${modeText}`,
+            `敵残数: ${this.enemyCount}体 (交戦中${engagedCount} / 接近中${approachingCount} / 未出現${this.enemiesToSpawn})`,
+            waveText
         ];
         
+        const sectorText = this.describeSectorThreats();
+        if (sectorText) {
+            report.push(`方面別: ${sectorText}`);
+        }
+        
+        const boss = this.getBossSummary();
+        if (boss) {
+            report.push(`${boss.name}: 耐久${boss.hp}/${boss.maxHp} ${boss.phaseName}`);
+        }
+        
+        const cooldownText = this.describeCooldowns();
+        if (cooldownText) {
+            report.push(`再使用待ち: ${cooldownText}`);
+        }
+        
         this.addMessage('system', report.join(', '));
         
-        if (window.audioManager) {
-            const reportText = `現在の状況をお知らせします。防衛度${this.defense}パーセント、艦隊${this.fleetCount}隻、敵残り${this.enemyCount}体、第${this.currentWave}波進行中。`;
-            window.audioManager.speakAsCommander(reportText);
+        const audio = this.getAudio();
+        if (audio) {
+            let threatText = '';
+            if (engagedCount > 0) {
+                threatText = `防衛線で${engagedCount}体と交戦中。`;
+            } else if (nearestEta !== null) {
+                threatText = `次の敵は${Math.ceil(nearestEta)}秒後に到達。`;
+            }
+            if (sectorText) {
+                threatText += `${sectorText}。`;
+            }
+            if (boss) {
+                threatText += `${boss.name}は${boss.phaseName}、耐久残り${boss.hp}。`;
+                if (boss.incomingAttack) {
+                    threatText += `${boss.incomingAttack.name}が来る、${COMMAND_LABELS[boss.incomingAttack.counter]}せよ。`;
+                }
+            }
+            if (cooldownText) {
+                threatText += `再使用待ち、${cooldownText}。`;
+            }
+            const damagedFleets = this.getActiveFleets().filter(fleet => fleet.hp < fleet.maxHp);
+            if (damagedFleets.length > 0) {
+                threatText += `損傷艦隊、${damagedFleets.map(fleet => `${fleet.name}耐久${fleet.hp}`).join('、')}。`;
+            }
+            const reportText = `現在の状況をお知らせします。防衛度${this.defense}パーセント、艦隊${this.fleetCount}隻、エネルギー${Math.floor(this.energy)}、敵残り${this.enemyCount}体。${threatText}補給ポイント${this.supplies}。${waveText}。${modeText}。`;
+            audio.speakAsCommander(reportText);
         }
         
         return { 
@@ -442,18 +1982,131 @@ class GameEngine {
         };
     }
     
+    /**
+     * モードの進行状況（残り時間・目標ウェーブ・残機）
+     */
+    describeModeProgress() {
+        const rules = this.getModeRules();
+        const parts = [rules.name];
+        
+        const timeRemaining = this.getTimeRemaining();
+        if (timeRemaining !== null) {
+            parts.push(`残り${Math.ceil(timeRemaining)}秒`);
+        }
+        if (rules.waveLimit) {
+            parts.push(`目標第${rules.waveLimit}波`);
+        }
+        if (rules.lives > 1) {
+            parts.push(`残機${this.lives}`);
+        }
+        return parts.join('、');
+    }
+    
+    /**
+     * 方面別の敵数
+     */
+    getEnemiesBySector() {
+        const counts = {};
+        for (const sectorId of Object.keys(SECTORS)) {
+            counts[sectorId] = 0;
+        }
+        for (const enemy of this.enemies) {
+            counts[enemy.sector]++;
+        }
+        return counts;
+    }
+    
+    /**
+     * 敵のいる方面の要約（例：「北2体、西1体」）
+     */
+    describeSectorThreats() {
+        const counts = this.getEnemiesBySector();
+        return Object.keys(SECTORS)
+            .filter(sectorId => counts[sectorId] > 0)
+            .map(sectorId => `${SECTORS[sectorId].name}${counts[sectorId]}体`)
+            .join('、');
+    }
+    
+    /**
+     * 防衛線で交戦中の敵
+     */
+    getEngagedEnemies() {
+        return this.enemies.filter(enemy => enemy.distance === 0);
+    }
+    
+    /**
+     * 最接近の敵の到達予想時間（秒、接近中の敵がいなければnull）
+     */
+    getNearestEnemyEta() {
+        const approaching = this.enemies.filter(enemy => enemy.distance > 0);
+        if (approaching.length === 0) return null;
+        return Math.min(...approaching.map(enemy => this.getEnemyEta(enemy)));
+    }
+    
+    /**
+     * 脅威度（敵タイプの脅威値、交戦中の敵は1.5倍）
+     */
+    getThreatScore() {
+        const enemyThreat = this.enemies.reduce((sum, enemy) => {
+            const weight = ENEMY_TYPES[enemy.type].threat;
+            return sum + (enemy.distance === 0 ? weight * 1.5 : weight);
+        }, 0);
+        
+        // ボスは形態が進むほど脅威が増す
+        const bossThreat = this.boss ? BOSS_TYPES[this.boss.type].threat * (1 + this.boss.phaseIndex * 0.5) : 0;
+        return enemyThreat + bossThreat;
+    }
+    
+    /**
+     * 敵情報一覧（UI・外部参照用のコピー）
+     */
+    getEnemySummaries() {
+        return this.enemies.map(enemy => ({
+            id: enemy.id,
+            type: enemy.type,
+            name: enemy.name,
+            sector: enemy.sector,
+            hp: enemy.hp,
+            maxHp: enemy.maxHp,
+            distance: Math.round(enemy.distance),
+            eta: Math.round(this.getEnemyEta(enemy) * 10) / 10,
+            attackPattern: enemy.attackPattern,
+            strikesLeft: enemy.strikesLeft,
+            telegraphed: !!enemy.telegraph
+        }));
+    }
+    
+    /**
+     * 最も早く着弾する予告攻撃までの時間（秒、なければnull）
+     */
+    getIncomingStrikeEta() {
+        const enemy = this.getTelegraphedEnemies()[0];
+        if (!enemy) return null;
+        return Math.max(0, enemy.telegraph.impactAt - this.now()) / 1000;
+    }
+    
+    /**
+     * 予告攻撃への平均反応時間（ms、記録がなければnull）
+     */
+    getAverageParryLatency() {
+        const parries = this.parryStats.perfect + this.parryStats.good + this.parryStats.late;
+        return parries > 0 ? Math.round(this.parryStats.totalLatency / parries) : null;
+    }
+    
     /**
      * 自動防御
      */
     performAutoDefense() {
         if (this.gameState !== 'playing') return;
         
-        // 防衛度が低い時のみ自動防御
-        if (this.defense < 50) {
-            const healAmount = Math.floor(2 + Math.random() * 3);
+        // 防衛度が低い時のみ自動防御（強化レベルで発動条件・回復量が上昇）
+        const rules = this.rules.autoDefense;
+        const level = this.upgrades.autoDefense;
+        if (this.defense < rules.threshold + level * this.rules.upgrades.autoDefenseThreshold) {
+            const healAmount = this.rollAmount(rules.heal) + level * this.rules.upgrades.autoDefenseHeal;
             this.defense = Math.min(this.maxDefense, this.defense + healAmount);
             
-            if (Math.random() < 0.3) {
+            if (this.rng.next() < rules.messageChance) {
                 this.addMessage('system', `自動防御システム作動 +${healAmount}`);
             }
         }
@@ -463,9 +2116,9 @@ class GameEngine {
      * コンボ更新
      */
     updateCombo() {
-        const now = Date.now();
+        const now = this.now();
         
-        if (this.lastCommandTime && (now - this.lastCommandTime) < 5000) {
+        if (this.lastCommandTime !== null && (now - this.lastCommandTime) < this.rules.timing.comboWindow) {
             this.comboCount++;
         } else {
             this.comboCount = 1;
@@ -473,23 +2126,53 @@ class GameEngine {
         
         this.maxCombo = Math.max(this.maxCombo, this.comboCount);
         this.lastCommandTime = now;
+        this.events.emit('game:combo', { count: this.comboCount });
         
         if (this.comboCount > 3) {
             this.addMessage('system', `コンボ x${this.comboCount}！`);
         }
     }
     
+    /**
+     * 適応難易度が有効か（ルールで有効かつモードが許可している）
+     */
+    isAdaptive() {
+        return this.rules.director.enabled && this.getModeRules().adaptiveDifficulty;
+    }
+    
+    /**
+     * 適応難易度の判定（圧力は次の難易度調整から反映）
+     */
+    updateDirector() {
+        if (this.gameState !== 'playing') return;
+        this.director.evaluate(this.now(), this.defense);
+    }
+    
+    /**
+     * 音声認識の失敗（コマンドにならなかった発話）を記録
+     */
+    recordRecognitionFailure(transcript) {
+        if (this.gameState !== 'playing') return;
+        
+        this.recordInput({ type: 'unrecognized', text: transcript || '' });
+        this.director.record(this.now(), 'recognitionFailure');
+        this.events.emit('game:recognitionFailure', transcript || '');
+    }
+    
     /**
      * 難易度調整
      */
     adjustDifficulty() {
         // 時間経過による難易度上昇
-        const gameTime = Date.now() - this.gameStartTime;
+        const gameTime = this.now() - this.gameStartTime;
         const timeMinutes = gameTime / 60000;
         
-        this.difficulty = 1.0 + (timeMinutes * 0.1);
-        this.maxEnemyCount = Math.floor(3 + (this.currentWave * 0.5));
-        this.enemySpawnRate = Math.max(1000, 3000 - (this.currentWave * 100));
+        // 適応難易度の圧力を難易度と出現間隔に反映
+        const { difficulty, waves } = this.rules;
+        const pressure = this.director.pressure;
+        this.difficulty = (difficulty.base + (timeMinutes * difficulty.increasePerMinute)) * pressure;
+        this.maxEnemyCount = Math.floor(waves.baseEnemyCount + (this.currentWave * waves.enemyCountPerWave));
+        this.enemySpawnRate = Math.round(Math.max(waves.minSpawnRate, waves.baseSpawnRate - (this.currentWave * waves.spawnRateDecreasePerWave)) / pressure);
     }
     
     /**
@@ -497,46 +2180,115 @@ class GameEngine {
      */
     updateStats() {
         // 統計計算
-        const accuracy = this.commandCount > 0 ? 
-            (this.successfulCommands / this.commandCount * 100).toFixed(1) : 0;
+        const accuracy = (this.getAccuracy() * 100).toFixed(1);
+    }
+    
+    /**
+     * コマンド成功率（0-1）
+     */
+    getAccuracy() {
+        return this.commandCount > 0 ? this.successfulCommands / this.commandCount : 0;
+    }
+    
+    /**
+     * 防衛線突破（残機があれば防衛度を回復して続行、なければゲームオーバー）
+     * ゲームが終了した場合はtrueを返す
+     */
+    breachDefense() {
+        if (this.gameState !== 'playing') return true;
+        
+        this.lives--;
+        if (this.lives <= 0) {
+            this.lives = 0;
+            this.gameOver('defeated');
+            return true;
+        }
+        
+        this.markEnemyEvent();
+        this.defense = this.maxDefense;
+        this.addMessage('alert', `防衛線突破！予備戦力で防衛線を再構築 - 残機 ${this.lives}`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            audio.playSound('damage_taken', 0.8);
+            audio.speakAsAlert(`防衛線突破！防衛線を再構築。残機${this.lives}。`);
+        }
+        
+        this.notifyStatsUpdate();
+        return false;
+    }
+    
+    /**
+     * 制限時間の残り（秒、制限なしならnull）
+     */
+    getTimeRemaining() {
+        const timeLimit = this.getModeRules().timeLimit;
+        if (!timeLimit || this.gameStartTime === null) return null;
+        return Math.max(0, (this.gameStartTime + timeLimit - this.now()) / 1000);
     }
     
     /**
-     * ゲームオーバー
+     * ゲーム終了（result: defeated 防衛線突破, timeup 時間切れ, clear 規定ウェーブ撃退）
      */
-    gameOver() {
-        console.log('Game Over');
+    gameOver(result = 'defeated') {
+        this.markEnemyEvent();
+        
+        console.log(`Game Over: ${result}`);
         
         this.gameState = 'gameover';
-        this.gameEndTime = Date.now();
+        this.gameEndTime = this.now();
+        this.result = result;
         
         this.clearAllTimers();
         
-        // 最終スコア計算
+        // 最終スコア計算（生存ボーナス・クリア時の星評価はモードごと）
+        const rules = this.getModeRules();
         const gameTime = (this.gameEndTime - this.gameStartTime) / 1000;
-        const survivalBonus = Math.floor(gameTime * 10);
+        const survivalBonus = Math.floor(gameTime * rules.survivalBonus);
         this.score += survivalBonus;
         
-        this.addMessage('alert', 'ゲームオーバー！地球防衛線突破...');
-        this.addMessage('system', `最終スコア: ${this.score}点 (撃破数: ${this.totalKills})`);
+        this.stars = result === 'clear' ? GameModes.getStars(this.mode, this.defense) : (rules.starThresholds ? 0 : null);
+        if (this.stars) {
+            this.score += this.stars * rules.clearBonusPerStar;
+        }
         
-        if (window.audioManager) {
-            window.audioManager.playSound('game_over');
-            setTimeout(() => {
-                window.audioManager.speakAsSystem(`ゲームオーバー。最終スコア${this.score}点。撃破数${this.totalKills}体。`);
+        const starText = this.stars !== null ? ` 評価 ${'★'.repeat(this.stars)}${'☆'.repeat(rules.starThresholds.length - this.stars)}` : '';
+        if (result === 'clear') {
+            this.addMessage('system', `防衛成功！全${rules.waveLimit}波を撃退${starText}`);
+        } else if (result === 'timeup') {
+            this.addMessage('system', 'タイムアップ！');
+        } else {
+            this.addMessage('alert', 'ゲームオーバー！地球防衛線突破...');
+        }
+        this.addMessage('system', `【${rules.name}】最終スコア: ${this.score}点 (撃破数: ${this.totalKills})`);
+        
+        const audio = this.getAudio();
+        if (audio) {
+            const resultText = { clear: '防衛成功', timeup: 'タイムアップ', defeated: 'ゲームオーバー' }[result];
+            const starSpeech = this.stars !== null ? `評価、星${this.stars}つ。` : '';
+            audio.playSound(result === 'defeated' ? 'game_over' : 'victory');
+            this.clock.setTimeout(() => {
+                audio.speakAsSystem(`${resultText}。${starSpeech}最終スコア${this.score}点。撃破数${this.totalKills}体。`);
             }, 1000);
         }
         
         // コールバック通知
-        if (this.onGameOver) {
-            this.onGameOver({
-                score: this.score,
-                kills: this.totalKills,
-                waves: this.currentWave - 1,
-                survivalTime: gameTime,
-                maxCombo: this.maxCombo
-            });
-        }
+        const results = {
+            mode: this.mode,
+            modeName: rules.name,
+            result: result,
+            stars: this.stars,
+            lives: this.lives,
+            score: this.score,
+            kills: this.totalKills,
+            waves: this.currentWave - 1,
+            survivalTime: gameTime,
+            maxCombo: this.maxCombo,
+            accuracy: this.getAccuracy(),
+            parries: { ...this.parryStats },
+            averageParryLatency: this.getAverageParryLatency()
+        };
+        this.events.emit('game:gameOver', results);
         
         this.notifyStateChange();
     }
@@ -548,7 +2300,7 @@ class GameEngine {
         const message = {
             type: type,
             text: text,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
         
         this.messages.unshift(message);
@@ -558,52 +2310,57 @@ class GameEngine {
             this.messages = this.messages.slice(0, 50);
         }
         
-        // コールバック通知
-        if (this.onMessage) {
-            this.onMessage(message);
-        }
+        // イベント通知
+        this.events.emit('game:message', message);
         
         console.log(`[${type}] ${text}`);
     }
     
     /**
-     * 全タイマークリア
+     * 全タイマークリア（スケジュール済みのゲームイベントを全て破棄）
      */
     clearAllTimers() {
-        if (this.enemySpawnTimer) {
-            clearInterval(this.enemySpawnTimer);
-            this.enemySpawnTimer = null;
-        }
-        if (this.gameUpdateTimer) {
-            clearInterval(this.gameUpdateTimer);
-            this.gameUpdateTimer = null;
-        }
-        if (this.waveTimer) {
-            clearInterval(this.waveTimer);
-            this.waveTimer = null;
-        }
+        this.scheduler.stop();
+        this.enemySpawnJob = null;
     }
     
     /**
      * 状態変更通知
      */
     notifyStateChange() {
-        if (this.onStateChange) {
-            this.onStateChange(this.gameState);
-        }
+        this.events.emit('game:stateChange', this.gameState);
     }
     
     /**
      * 統計更新通知
      */
     notifyStatsUpdate() {
-        if (this.onStatsUpdate) {
-            this.onStatsUpdate({
+        if (this.events.hasListeners('game:statsUpdate')) {
+            this.events.emit('game:statsUpdate', {
                 defense: this.defense,
                 fleetCount: this.fleetCount,
+                fleets: this.getFleetSummaries(),
+                energy: Math.floor(this.energy),
+                maxEnergy: this.maxEnergy,
+                cooldowns: this.getCooldownSummary(),
                 killCount: this.killCount,
                 currentWave: this.currentWave,
                 enemyCount: this.enemyCount,
+                enemies: this.getEnemySummaries(),
+                engagedEnemyCount: this.getEngagedEnemies().length,
+                nearestEnemyEta: this.getNearestEnemyEta(),
+                threatScore: this.getThreatScore(),
+                incomingStrikeEta: this.getIncomingStrikeEta(),
+                boss: this.getBossSummary(),
+                enemiesBySector: this.getEnemiesBySector(),
+                sectorShields: { ...this.sectorShields },
+                supplies: this.supplies,
+                upgrades: { ...this.upgrades },
+                intermission: this.getIntermissionSummary(),
+                mode: this.mode,
+                lives: this.lives,
+                pressure: this.director.pressure,
+                timeRemaining: this.getTimeRemaining(),
                 score: this.score,
                 comboCount: this.comboCount
             });
@@ -616,9 +2373,10 @@ class GameEngine {
     pauseGame() {
         if (this.gameState === 'playing') {
             this.gameState = 'paused';
-            this.clearAllTimers();
+            this.scheduler.pause();
             this.addMessage('system', 'ゲーム一時停止');
             this.notifyStateChange();
+            this.checkpoint();
         }
     }
     
@@ -628,10 +2386,7 @@ class GameEngine {
     resumeGame() {
         if (this.gameState === 'paused') {
             this.gameState = 'playing';
-            this.startGameLoop();
-            if (this.waveInProgress) {
-                this.startEnemySpawning();
-            }
+            this.scheduler.resume();
             this.addMessage('system', 'ゲーム再開');
             this.notifyStateChange();
         }
@@ -641,10 +2396,127 @@ class GameEngine {
      * コールバック設定
      */
     setCallbacks(callbacks) {
-        if (callbacks.onStateChange) this.onStateChange = callbacks.onStateChange;
-        if (callbacks.onStatsUpdate) this.onStatsUpdate = callbacks.onStatsUpdate;
-        if (callbacks.onMessage) this.onMessage = callbacks.onMessage;
-        if (callbacks.onGameOver) this.onGameOver = callbacks.onGameOver;
+        this.events.bindCallbacks(callbacks, GAME_CALLBACK_EVENTS, this.callbackSlots);
+    }
+    
+    /**
+     * ゲーム中断（結果を残さずメニューに戻る）
+     */
+    stopGame() {
+        this.clearAllTimers();
+        this.intermission = null;
+        this.gameState = 'menu';
+        this.notifyStateChange();
+    }
+    
+    /**
+     * 入力記録（リプレイ用、ゲーム内時刻付き）
+     */
+    recordInput(entry) {
+        this.inputLog.push({ at: this.now(), ...entry });
+    }
+    
+    /**
+     * 音声認識結果の記録（リプレイ用、コマンドにならなかった発話も含む）
+     */
+    recordTranscript(transcript, confidence) {
+        if (this.gameState !== 'playing' && this.gameState !== 'paused') return;
+        
+        this.transcriptLog.push({
+            at: this.now(),
+            transcript: transcript,
+            confidence: confidence !== undefined ? confidence : null
+        });
+    }
+    
+    /**
+     * リプレイデータ取得（JSONで書き出してそのまま再生・共有できる）
+     */
+    getReplay() {
+        return JSON.parse(JSON.stringify({
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            mode: this.mode,
+            rules: this.rules,
+            recordedAt: this.startedAt,
+            duration: this.now(),
+            result: this.gameState === 'gameover' ? {
+                result: this.result,
+                stars: this.stars,
+                score: this.score,
+                waves: this.currentWave - 1,
+                kills: this.totalKills
+            } : null,
+            inputs: this.inputLog,
+            transcripts: this.transcriptLog,
+            directorLog: this.director.getLog()
+        }));
+    }
+    
+    /**
+     * 保存ポイント通知（ウェーブ終了時・一時停止時）
+     */
+    checkpoint() {
+        if (this.events.hasListeners('game:checkpoint')) {
+            this.events.emit('game:checkpoint', this.serialize());
+        }
+    }
+    
+    /**
+     * 進行中のゲームをJSON化可能なデータに変換
+     */
+    serialize() {
+        const state = {};
+        for (const field of SAVE_FIELDS) {
+            state[field] = this[field];
+        }
+        
+        return JSON.parse(JSON.stringify({
+            version: SAVE_VERSION,
+            savedAt: this.clock.now(),
+            seed: this.seed,
+            rng: this.rng.getState(),
+            scheduler: this.scheduler.getState(),
+            director: this.director.getState(),
+            state: state
+        }));
+    }
+    
+    /**
+     * 保存データから復元（一時停止状態になるので resumeGame() で再開）
+     */
+    restore(saveData) {
+        if (!saveData || saveData.version !== SAVE_VERSION) {
+            console.warn('GameEngine: incompatible save data', saveData && saveData.version);
+            return false;
+        }
+        
+        this.clearAllTimers();
+        
+        const state = JSON.parse(JSON.stringify(saveData.state));
+        for (const field of SAVE_FIELDS) {
+            if (state[field] !== undefined) {
+                this[field] = state[field];
+            }
+        }
+        
+        this.rules = BalanceRules.resolve(this.rules);
+        this.applyRules();
+        this.director.setState(saveData.director);
+        
+        this.seed = saveData.seed;
+        this.rng.setState(saveData.rng);
+        this.scheduler.setState(saveData.scheduler);
+        
+        this.gameEndTime = null;
+        this.lastUndoable = null;
+        this.gameState = 'paused';
+        
+        console.log(`Game restored: wave ${this.currentWave}, score ${this.score}`);
+        this.notifyStateChange();
+        this.notifyStatsUpdate();
+        this.events.emit('game:gameStart', { mode: this.mode, resumed: true });
+        return true;
     }
     
     /**
@@ -653,11 +2525,31 @@ class GameEngine {
     getGameState() {
         return {
             state: this.gameState,
+            seed: this.rng.seed,
             defense: this.defense,
             fleetCount: this.fleetCount,
+            fleets: this.getFleetSummaries(),
+            energy: Math.floor(this.energy),
+            maxEnergy: this.maxEnergy,
+            cooldowns: this.getCooldownSummary(),
             killCount: this.killCount,
             currentWave: this.currentWave,
             enemyCount: this.enemyCount,
+            enemies: this.getEnemySummaries(),
+            engagedEnemyCount: this.getEngagedEnemies().length,
+            nearestEnemyEta: this.getNearestEnemyEta(),
+            threatScore: this.getThreatScore(),
+            incomingStrikeEta: this.getIncomingStrikeEta(),
+            boss: this.getBossSummary(),
+            enemiesBySector: this.getEnemiesBySector(),
+            sectorShields: { ...this.sectorShields },
+            supplies: this.supplies,
+            upgrades: { ...this.upgrades },
+            intermission: this.getIntermissionSummary(),
+            mode: this.mode,
+            lives: this.lives,
+            pressure: this.director.pressure,
+            timeRemaining: this.getTimeRemaining(),
             score: this.score,
             comboCount: this.comboCount,
             messages: this.messages.slice(0, 10) // 最新10件
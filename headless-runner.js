@@ -0,0 +1,274 @@
+/**
+ * Voice Commander - ヘッドレス実行環境（Node.js専用）
+ * DOM・音響・音声認識なしで GameEngine を仮想時間で実行する
+ *
+ * ブラウザと同じスクリプトを index.html と同じ順序で読み込むため、
+ * ゲームロジック側にNode.js向けの分岐を持ち込まない。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ゲームロジックのスクリプト（index.html の読み込み順）
+const GAME_SCRIPTS = [
+    'event-bus.js',
+    'text-normalizer.js',
+    'command-grammar.js',
+    'seeded-random.js',
+    'game-clock.js',
+    'game-scheduler.js',
+    'balance-rules.js',
+    'difficulty-director.js',
+    'enemy-types.js',
+    'boss-types.js',
+    'upgrade-types.js',
+    'game-modes.js',
+    'replay-player.js',
+    'game.js'
+];
+
+// 組み込みコマンドポリシー（ルール形式：「コマンド:条件」を先頭から評価）
+const POLICIES = {
+    'idle': '',
+    'attack-spam': 'attack:enemyCount>0',
+    'attack-defend': 'defend:defense<50,attack:enemyCount>0',
+    'cautious': 'retreat:defense<20,defend:defense<60,attack:enemyCount>0',
+    'parry': 'defend:incomingStrikeEta>0,defend:defense<50,attack:enemyCount>0',
+    'random': 'random'
+};
+
+// 補給フェーズの購入優先順位（損傷艦隊があれば修理を優先）
+const UPGRADE_PRIORITY = ['accuracy', 'shield', 'autoDefense'];
+
+const RULE_PATTERN = /^(\w+):(\w+)(<=|>=|==|!=|<|>)(-?[\d.]+)$/;
+const RANDOM_COMMANDS = ['attack', 'defend', 'retreat', 'status'];
+
+/**
+ * ゲームスクリプトを隔離コンテキストに読み込み、クラスを取得
+ */
+function loadGameClasses(options = {}) {
+    const context = vm.createContext({
+        console: options.console || createSilentConsole()
+    });
+
+    for (const file of GAME_SCRIPTS) {
+        const filename = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    }
+
+    return {
+        GameEngine: vm.runInContext('GameEngine', context),
+        EventBus: vm.runInContext('EventBus', context),
+        SeededRandom: vm.runInContext('SeededRandom', context),
+        VirtualClock: vm.runInContext('VirtualClock', context),
+        GameScheduler: vm.runInContext('GameScheduler', context),
+        ReplayPlayer: vm.runInContext('ReplayPlayer', context),
+        GameModes: vm.runInContext('GameModes', context),
+        BalanceRules: vm.runInContext('BalanceRules', context)
+    };
+}
+
+/**
+ * ログ出力しないコンソール
+ */
+function createSilentConsole() {
+    const noop = () => {};
+    return { log: noop, info: noop, warn: noop, error: noop, debug: noop };
+}
+
+/**
+ * ルール文字列からポリシー関数を作成
+ * 例: "defend:defense<50,attack:enemyCount>0"
+ */
+function createRulePolicy(spec) {
+    const rules = spec.split(',').map(rule => rule.trim()).filter(rule => rule.length > 0).map(rule => {
+        const match = rule.match(RULE_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid policy rule: "${rule}"`);
+        }
+        return {
+            command: match[1],
+            field: match[2],
+            operator: match[3],
+            value: parseFloat(match[4])
+        };
+    });
+
+    return (state) => {
+        for (const rule of rules) {
+            if (compareValue(state[rule.field], rule.operator, rule.value)) {
+                return rule.command;
+            }
+        }
+        return null;
+    };
+}
+
+/**
+ * 比較演算
+ */
+function compareValue(actual, operator, expected) {
+    // 値なし（例：予告攻撃がない時の incomingStrikeEta）はどの条件にも一致しない
+    if (actual === null || actual === undefined) return false;
+    
+    switch (operator) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '==': return actual === expected;
+        case '!=': return actual !== expected;
+        default: return false;
+    }
+}
+
+/**
+ * ランダムポリシー作成（ゲームとは別系列の乱数で決定論的に選択）
+ */
+function createRandomPolicy(rng) {
+    return () => rng.pick(RANDOM_COMMANDS);
+}
+
+/**
+ * 標準の補給フェーズ方針：損傷艦隊があれば修理、次に優先順で購入可能な強化、なければスキップ
+ */
+function chooseDefaultUpgrade(state) {
+    const menu = state.intermission.menu.filter(item => item.affordable);
+    const repair = menu.find(item => item.id === 'repair');
+    const damaged = state.fleets.some(fleet => fleet.status === 'active' && fleet.hp < fleet.maxHp * 0.7);
+    if (repair && damaged) return 'repair';
+
+    for (const upgradeId of UPGRADE_PRIORITY) {
+        if (menu.some(item => item.id === upgradeId)) return upgradeId;
+    }
+    return 'skip';
+}
+
+/**
+ * コマンドタイムラインから台本ポリシー作成
+ * timeline: [{ at: ゲーム内時間ms, command: 'attack' }, ...]
+ */
+function createScriptedPolicy(timeline) {
+    const entries = [...timeline].sort((a, b) => a.at - b.at);
+    let index = 0;
+
+    return (state, engine) => {
+        const commands = [];
+        while (index < entries.length && entries[index].at <= engine.now()) {
+            commands.push(entries[index].command);
+            index++;
+        }
+        return commands;
+    };
+}
+
+/**
+ * ポリシー指定（名前・ルール文字列・関数・タイムライン）を関数に解決
+ */
+function resolvePolicy(policy, classes, seed) {
+    if (typeof policy === 'function') return policy;
+    if (Array.isArray(policy)) return createScriptedPolicy(policy);
+
+    const spec = POLICIES[policy] !== undefined ? POLICIES[policy] : policy;
+    if (spec === 'random') {
+        return createRandomPolicy(new classes.SeededRandom(`policy:${seed}`));
+    }
+    return createRulePolicy(spec || '');
+}
+
+/**
+ * ゲームを1回ヘッドレス実行
+ */
+function runHeadlessGame(options = {}) {
+    const classes = options.classes || loadGameClasses();
+    const seed = options.seed !== undefined ? options.seed : 1;
+    const maxGameTime = options.maxGameTime || 30 * 60 * 1000;
+
+    const clock = new classes.VirtualClock();
+    const engine = new classes.GameEngine({ clock: clock, rules: options.rules });
+    const policy = resolvePolicy(options.policy || 'attack-defend', classes, seed);
+    const upgradePolicy = options.upgradePolicy || chooseDefaultUpgrade;
+
+    // 音声認識の失敗を模擬（この確率でコマンドが認識されない）
+    const misrecognitionRate = options.misrecognitionRate || 0;
+    const misrecognitionRng = new classes.SeededRandom(`misrecognition:${seed}`);
+
+    // タイムラインは記録時刻どおりに投入するため1ステップ毎に判定する
+    const decisionInterval = Array.isArray(options.policy) ?
+        engine.scheduler.tickInterval :
+        (options.decisionInterval || 1500); // 音声コマンド1回の所要時間
+
+    let results = null;
+    engine.setCallbacks({
+        onGameOver: (gameResults) => {
+            results = gameResults;
+        }
+    });
+
+    // リプレイ指定時は記録のシードで開始し、入力はリプレイが投入する
+    const replayPlayer = options.replay ? new classes.ReplayPlayer(engine, options.replay) : null;
+    if (replayPlayer) {
+        replayPlayer.start();
+    } else {
+        engine.startGame(seed, options.mode);
+    }
+
+    while (engine.gameState === 'playing' && engine.now() < maxGameTime) {
+        clock.advance(decisionInterval);
+        if (engine.gameState !== 'playing') break;
+        if (replayPlayer) continue;
+
+        // 補給フェーズ中は強化を選択（購入できる間は毎判定で1つずつ）
+        if (engine.intermission) {
+            engine.chooseUpgrade(upgradePolicy(engine.getGameState(), engine));
+            continue;
+        }
+
+        const decision = policy(engine.getGameState(), engine);
+        const commands = Array.isArray(decision) ? decision : (decision ? [decision] : []);
+        for (const command of commands) {
+            const text = typeof command === 'string' ? command : '';
+            if (misrecognitionRate > 0 && misrecognitionRng.chance(misrecognitionRate)) {
+                engine.recordRecognitionFailure(text);
+                continue;
+            }
+            engine.handleCommand(command, text);
+        }
+    }
+
+    const timedOut = !results;
+    if (timedOut) {
+        engine.clearAllTimers();
+    }
+
+    return {
+        seed: engine.seed,
+        mode: engine.mode,
+        rules: engine.rules.name,
+        result: engine.result,
+        stars: engine.stars,
+        timedOut: timedOut,
+        survivalTime: results ? results.survivalTime : engine.now() / 1000,
+        wavesReached: engine.currentWave,
+        score: engine.score,
+        kills: engine.totalKills,
+        maxCombo: engine.maxCombo,
+        commandCount: engine.commandCount,
+        accuracy: engine.getAccuracy(),
+        parries: engine.parryStats.perfect + engine.parryStats.good + engine.parryStats.late,
+        averageParryLatency: engine.getAverageParryLatency(),
+        upgrades: { ...engine.upgrades },
+        pressure: engine.director.pressure,
+        directorAdjustments: engine.director.getLog().filter(decision => decision.action !== 'hold').length
+    };
+}
+
+module.exports = {
+    GAME_SCRIPTS,
+    POLICIES,
+    loadGameClasses,
+    createRulePolicy,
+    createScriptedPolicy,
+    runHeadlessGame
+};
\ No newline at end of file
@@ -6,10 +6,14 @@
 class VoiceCommanderApp {
     constructor() {
         // システムインスタンス
+        this.eventBus = null;      // ゲーム・音声認識・音声処理で共有するイベントバス
         this.voiceRecognition = null;
         this.audioManager = null;
         this.gameEngine = null;
         this.microphoneTest = null;
+        this.saveStore = null;
+        this.scoreStore = null;
+        this.achievements = null;
         
         // UI要素
         this.elements = {};
@@ -17,6 +21,18 @@ class VoiceCommanderApp {
         // 状態管理
         this.isInitialized = false;
         this.isGameRunning = false;
+        this.pendingResume = null; // 「続きから」の確認待ちの保存データ
+        this.pendingModeSelect = false; // 開始前のモード選択待ち
+        this.replayPlayer = null;  // リプレイ再生中のプレイヤー
+        this.lastReplay = null;    // 直前のゲーム（または読み込んだ）リプレイ
+        this.tutorial = null;      // 進行中のチュートリアル
+        
+        // 再開確認への応答
+        this.resumeKeywords = ['続きから', 'つづきから', '続き', 'つづき', '再開'];
+        this.newGameKeywords = ['新規', 'しんき', '新しく', '最初から', 'はじめから', 'ニューゲーム'];
+        
+        // モード選択中に選択中のモードで開始する発話
+        this.modeStartKeywords = ['開始', 'かいし', 'スタート', '出撃', 'しゅつげき'];
         
         console.log('VoiceCommanderApp created');
     }
@@ -56,6 +72,15 @@ class VoiceCommanderApp {
             
             this.addLogMessage('system', 'まず「マイクテスト」でマイクの動作を確認してください');
             this.addLogMessage('system', '準備ができたら「防衛戦開始」ボタンをクリック');
+            if (localStorage.getItem('voiceCommanderConfirmationThreshold') === null) {
+                this.addLogMessage('system', '初めての方はモード「チュートリアル」でコマンドを練習できます');
+            }
+            
+            // 保存済みのゲームを案内
+            const savedGame = this.saveStore.load();
+            if (savedGame) {
+                this.addLogMessage('system', `💾 前回のゲームが保存されています（${this.saveStore.describe(savedGame)}）- 開始後に「続きから」で再開できます`);
+            }
             
             // ガイド表示制御
             this.checkGuideVisibility();
@@ -79,6 +104,7 @@ class VoiceCommanderApp {
             // ステータス要素
             defense: document.getElementById('defense'),
             fleetCount: document.getElementById('fleet-count'),
+            energy: document.getElementById('energy'),
             killCount: document.getElementById('kill-count'),
             waveNumber: document.getElementById('wave-number'),
             enemyCount: document.getElementById('enemy-count'),
@@ -88,9 +114,41 @@ class VoiceCommanderApp {
             
             // コントロール要素
             startBtn: document.getElementById('start-btn'),
+            modeSelection: document.getElementById('mode-selection'),
+            modeSelect: document.getElementById('mode-select'),
+            modeDescription: document.getElementById('mode-description'),
+            commandHelp: document.getElementById('command-help'),
+            tutorialPanel: document.getElementById('tutorial-panel'),
+            tutorialStep: document.getElementById('tutorial-step'),
+            tutorialPhrase: document.getElementById('tutorial-phrase'),
+            tutorialHeard: document.getElementById('tutorial-heard'),
+            rulesSelect: document.getElementById('rules-select'),
+            rulesLoadBtn: document.getElementById('rules-load-btn'),
+            rulesFile: document.getElementById('rules-file'),
+            rulesDescription: document.getElementById('rules-description'),
             pauseBtn: document.getElementById('pause-btn'),
             restartBtn: document.getElementById('restart-btn'),
             
+            // リプレイ要素
+            replayPlayBtn: document.getElementById('replay-play-btn'),
+            replayExportBtn: document.getElementById('replay-export-btn'),
+            replayLoadBtn: document.getElementById('replay-load-btn'),
+            replayStopBtn: document.getElementById('replay-stop-btn'),
+            replaySpeed: document.getElementById('replay-speed'),
+            replayFile: document.getElementById('replay-file'),
+            
+            // ハイスコア・戦績要素
+            scoreModeSelect: document.getElementById('score-mode-select'),
+            scoreTableBody: document.getElementById('score-table-body'),
+            personalBest: document.getElementById('personal-best'),
+            scoreTrendMetric: document.getElementById('score-trend-metric'),
+            scoreTrend: document.getElementById('score-trend'),
+            scoreHistory: document.getElementById('score-history'),
+            scoreExportBtn: document.getElementById('score-export-btn'),
+            scoreImportBtn: document.getElementById('score-import-btn'),
+            scoreFile: document.getElementById('score-file'),
+            achievementList: document.getElementById('achievement-list'),
+            
             // 音声制御要素
             voiceControls: document.getElementById('voice-controls'),
             gameControls: document.getElementById('game-controls'),
@@ -114,6 +172,9 @@ class VoiceCommanderApp {
      * システム初期化
      */
     async initializeSystems() {
+        // イベントバス（実績など複数の購読者が同じイベントを受け取る）
+        this.eventBus = new EventBus();
+        
         // 音響システム初期化
         this.audioManager = new AudioManager();
         await this.audioManager.init();
@@ -127,7 +188,7 @@ class VoiceCommanderApp {
         try {
             // 新しい統合システムを試行
             if (window.UnifiedVoiceRecognition) {
-                this.voiceRecognition = new UnifiedVoiceRecognition();
+                this.voiceRecognition = new UnifiedVoiceRecognition({ eventBus: this.eventBus });
                 await this.voiceRecognition.init();
                 console.log('Using UnifiedVoiceRecognition system');
             } else {
@@ -136,21 +197,28 @@ class VoiceCommanderApp {
         } catch (error) {
             console.warn('Failed to initialize UnifiedVoiceRecognition, falling back to AdvancedVoiceRecognition:', error);
             
+            // 初期化に失敗した統合システムの購読を解除（フォールバックも同じバスに認識結果を通知する）
+            if (this.voiceRecognition) {
+                this.voiceRecognition.cleanup();
+                this.voiceRecognition = null;
+            }
+            
             // フォールバック: 既存のAdvancedVoiceRecognitionを使用
             if (window.AdvancedVoiceRecognition) {
-                this.voiceRecognition = new AdvancedVoiceRecognition();
+                this.voiceRecognition = new AdvancedVoiceRecognition({ eventBus: this.eventBus });
                 console.log('Using AdvancedVoiceRecognition system (fallback)');
             } else if (window.VoiceRecognition) {
-                this.voiceRecognition = new VoiceRecognition();
+                this.voiceRecognition = new VoiceRecognition({ eventBus: this.eventBus });
                 console.log('Using basic VoiceRecognition system (fallback)');
             } else {
                 throw new Error('No voice recognition system available');
             }
         }
         
-        // 確認システム初期化
+        // 確認システム初期化（チュートリアルで調整した閾値を反映）
         if (this.voiceRecognition.initConfirmationSystem) {
             this.voiceRecognition.initConfirmationSystem(this.audioManager);
+            this.applyConfirmationThreshold();
         }
         
         // 音声認識コールバック設定
@@ -161,8 +229,19 @@ class VoiceCommanderApp {
             onStatusChange: (status) => {
                 this.handleVoiceStatusChange(status);
             },
-            onError: (message, error, shouldRestart) => {
-                this.handleVoiceError(message, error, shouldRestart);
+            onError: (message, error, shouldRestart, details) => {
+                this.handleVoiceError(message, error, shouldRestart, details);
+            },
+            onInput: (transcript) => {
+                return this.handleVoiceInput(transcript);
+            },
+            onInterimInput: () => {
+                return this.isAwaitingNonCommandInput();
+            },
+            onTranscript: (transcript, confidence) => {
+                if (!this.replayPlayer) {
+                    this.gameEngine.recordTranscript(transcript, confidence);
+                }
             },
             onCommandQueue: (queue) => {
                 this.handleCommandQueue(queue);
@@ -175,8 +254,23 @@ class VoiceCommanderApp {
             }
         });
         
+        // ゲーム保存初期化
+        this.saveStore = new GameSaveStore();
+        
+        // ハイスコア・戦績の記録先（開けなくてもゲームは続行）
+        this.scoreStore = new ScoreStore();
+        await this.scoreStore.open();
+        
+        // 実績（リプレイ再生中・チュートリアル中のイベントは対象外）
+        this.achievements = new AchievementTracker({
+            onUnlock: (achievement) => {
+                this.handleAchievementUnlock(achievement);
+            }
+        });
+        this.achievements.attach(this.eventBus, () => !this.replayPlayer && !this.tutorial);
+        
         // ゲームエンジン初期化
-        this.gameEngine = new GameEngine();
+        this.gameEngine = new GameEngine({ eventBus: this.eventBus });
         
         // ゲームエンジンコールバック設定
         this.gameEngine.setCallbacks({
@@ -191,6 +285,15 @@ class VoiceCommanderApp {
             },
             onGameOver: (results) => {
                 this.handleGameOver(results);
+            },
+            onFleetLost: (event) => {
+                this.handleFleetLost(event);
+            },
+            onCheckpoint: (saveData) => {
+                // リプレイ再生中・チュートリアル中のゲームは保存しない
+                if (!this.replayPlayer && !this.tutorial) {
+                    this.saveStore.save(saveData);
+                }
             }
         });
         
@@ -206,6 +309,17 @@ class VoiceCommanderApp {
             this.startGame();
         });
         
+        // 音声コマンドの説明
+        this.setupCommandHelp();
+        
+        // モード・難易度選択
+        this.setupModeSelection();
+        this.setupRulesSelection();
+        
+        // ハイスコア・戦績・実績
+        this.setupScoreBoard();
+        this.updateAchievementDisplay();
+        
         // ガイド非表示ボタン
         const hideGuideBtn = document.getElementById('hide-guide-btn');
         if (hideGuideBtn) {
@@ -232,8 +346,30 @@ class VoiceCommanderApp {
             this.restartGame();
         });
         
-        // ページ離脱時の処理
+        // リプレイ
+        this.elements.replayPlayBtn.addEventListener('click', () => {
+            this.startReplay(this.lastReplay);
+        });
+        this.elements.replayExportBtn.addEventListener('click', () => {
+            this.exportReplay();
+        });
+        this.elements.replayLoadBtn.addEventListener('click', () => {
+            this.elements.replayFile.click();
+        });
+        this.elements.replayFile.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) {
+                this.loadReplayFile(file);
+            }
+        });
+        this.elements.replayStopBtn.addEventListener('click', () => {
+            this.stopReplay();
+        });
+        
+        // ページ離脱時の処理（進行中のゲームは保存して次回「続きから」再開）
         window.addEventListener('beforeunload', () => {
+            this.saveCurrentGame();
             this.cleanup();
         });
         
@@ -274,35 +410,408 @@ class VoiceCommanderApp {
                 return;
             }
             
-            // ゲーム開始
-            this.gameEngine.startGame();
-            
-            // UI状態更新
-            this.elements.startBtn.style.display = 'none';
-            this.elements.voiceControls.classList.remove('hidden');
-            this.elements.gameControls.classList.remove('hidden');
-            
-            // 状況表示を有効化
-            const situationDisplay = document.getElementById('situation-display');
-            if (situationDisplay) {
-                situationDisplay.classList.remove('hidden');
+            // 保存済みのゲームがあれば音声で再開を確認
+            const savedGame = this.saveStore.load();
+            if (savedGame) {
+                this.offerResume(savedGame);
+                return;
             }
             
-            this.isGameRunning = true;
+            this.offerModeSelect();
+            
+        } catch (error) {
+            console.error('Failed to start game:', error);
+            this.showError('ゲームの開始に失敗しました: ' + error.message);
+        }
+    }
+    
+    /**
+     * モード選択欄の初期化（GAME_MODES から選択肢を生成、前回のモードを復元）
+     */
+    setupModeSelection() {
+        const select = this.elements.modeSelect;
+        for (const [modeId, mode] of Object.entries(GAME_MODES)) {
+            const option = document.createElement('option');
+            option.value = modeId;
+            option.textContent = mode.name;
+            select.appendChild(option);
+        }
+        
+        select.value = this.getPreferredMode();
+        this.updateModeDescription();
+        
+        select.addEventListener('change', () => {
+            localStorage.setItem('voiceCommanderGameMode', select.value);
+            this.updateModeDescription();
+        });
+    }
+    
+    /**
+     * 音声コマンドの説明を COMMAND_GRAMMAR から生成（補給フェーズの説明より前に並べる）
+     */
+    setupCommandHelp() {
+        const list = this.elements.commandHelp;
+        const firstStaticItem = list.firstElementChild;
+        
+        for (const command of CommandGrammar.getCommands()) {
+            const item = document.createElement('div');
+            item.className = 'command-item';
             
-            // 開始効果音
-            this.audioManager.playSound('game_start');
+            const name = document.createElement('span');
+            name.className = 'command-name';
+            name.textContent = `「${command.label}」`;
             
-            // 開始アナウンス
-            setTimeout(() => {
-                this.audioManager.speakAsSystem('防衛戦を開始します。音声コマンドで艦隊を指揮してください。');
-            }, 1000);
+            const desc = document.createElement('span');
+            desc.className = 'command-desc';
+            command.help.lines.forEach((line, index) => {
+                if (index > 0) {
+                    desc.appendChild(document.createElement('br'));
+                }
+                desc.appendChild(document.createTextNode(line));
+            });
             
-            console.log('Game started successfully');
+            const timing = document.createElement('span');
+            timing.className = 'command-timing';
+            timing.textContent = command.help.timing;
             
+            item.append(name, desc, timing);
+            list.insertBefore(item, firstStaticItem);
+        }
+    }
+    
+    /**
+     * 前回選んだモード（チュートリアル等の台本付きモードは除く）
+     */
+    getPreferredMode() {
+        const savedMode = localStorage.getItem('voiceCommanderGameMode');
+        return GameModes.isValid(savedMode) && !GameModes.get(savedMode).scripted ? savedMode : DEFAULT_GAME_MODE;
+    }
+    
+    /**
+     * 難易度選択欄の初期化（プリセットのルールファイル、前回の難易度を復元）
+     */
+    setupRulesSelection() {
+        const select = this.elements.rulesSelect;
+        for (const [presetId, preset] of Object.entries(BALANCE_PRESETS)) {
+            const option = document.createElement('option');
+            option.value = presetId;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        }
+        
+        const savedPreset = localStorage.getItem('voiceCommanderRulesPreset');
+        select.value = BALANCE_PRESETS[savedPreset] ? savedPreset : DEFAULT_BALANCE_PRESET;
+        this.updateRulesDescription();
+        if (select.value !== DEFAULT_BALANCE_PRESET) {
+            this.loadRulesPreset(select.value);
+        }
+        
+        select.addEventListener('change', () => {
+            localStorage.setItem('voiceCommanderRulesPreset', select.value);
+            this.loadRulesPreset(select.value);
+        });
+        this.elements.rulesLoadBtn.addEventListener('click', () => {
+            this.elements.rulesFile.click();
+        });
+        this.elements.rulesFile.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) {
+                this.loadRulesFile(file);
+            }
+        });
+    }
+    
+    /**
+     * 難易度プリセットのルールファイル読み込み（既定の難易度は読めなければ内蔵ルール）
+     */
+    async loadRulesPreset(presetId) {
+        const preset = BALANCE_PRESETS[presetId];
+        try {
+            const response = await fetch(preset.file);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.gameEngine.setRules(BalanceRules.parse(await response.text()));
         } catch (error) {
-            console.error('Failed to start game:', error);
-            this.showError('ゲームの開始に失敗しました: ' + error.message);
+            if (presetId !== DEFAULT_BALANCE_PRESET) {
+                this.showError(`難易度「${preset.name}」のルールを読み込めませんでした: ${error.message}`);
+                return;
+            }
+            this.gameEngine.setRules(DEFAULT_BALANCE_RULES);
+        }
+        this.updateRulesDescription();
+    }
+    
+    /**
+     * カスタムルールファイル読み込み（省略した項目は既定値）
+     */
+    async loadRulesFile(file) {
+        try {
+            const rules = this.gameEngine.setRules(BalanceRules.parse(await file.text()));
+            this.updateRulesDescription();
+            this.addLogMessage('system', `📂 ルール「${rules.name}」を読み込みました`);
+        } catch (error) {
+            this.showError('ルールを読み込めませんでした: ' + error.message);
+        }
+    }
+    
+    /**
+     * 適用中のルールの説明表示
+     */
+    updateRulesDescription() {
+        const rules = this.gameEngine.rules;
+        this.elements.rulesDescription.textContent = `${rules.name} - ${rules.description}`;
+    }
+    
+    /**
+     * 選択中のモードの説明表示
+     */
+    updateModeDescription() {
+        const mode = GameModes.get(this.elements.modeSelect.value);
+        this.elements.modeDescription.textContent = mode.description;
+    }
+    
+    /**
+     * 開始前のモード選択（モード名で即開始、「開始」で選択中のモード）
+     */
+    offerModeSelect() {
+        this.pendingResume = null;
+        this.pendingModeSelect = true;
+        
+        const selected = GameModes.get(this.elements.modeSelect.value);
+        const modeNames = Object.values(GAME_MODES).map(mode => mode.name);
+        this.addLogMessage('system', `🎮 モードを選択: ${modeNames.map(name => `「${name}」`).join(' / ')} - 「開始」で${selected.name}`);
+        this.showCommandEffect('モード名または「開始」と話してください');
+        this.audioManager.speakAsSystem(`モードを選んでください。${modeNames.join('、')}。開始、と話すと${selected.name}で始めます。`);
+    }
+    
+    /**
+     * モード選択への応答処理
+     */
+    handleModeAnswer(transcript) {
+        this.addLogMessage('player', `> ${transcript}`);
+        
+        const modeId = GameModes.findInText(transcript);
+        if (modeId) {
+            this.elements.modeSelect.value = modeId;
+            localStorage.setItem('voiceCommanderGameMode', modeId);
+            this.updateModeDescription();
+            this.beginNewGame(modeId);
+        } else if (this.modeStartKeywords.some(keyword => TextNormalizer.contains(transcript, keyword))) {
+            this.beginNewGame(this.elements.modeSelect.value);
+        } else {
+            this.audioManager.playSound('error', 0.3);
+            this.audioManager.speakAsSystem('モード名、または、開始、と話してください。');
+        }
+        return true;
+    }
+    
+    /**
+     * 新しいゲームを開始
+     */
+    beginNewGame(modeId = this.elements.modeSelect.value) {
+        this.pendingResume = null;
+        this.pendingModeSelect = false;
+        
+        // チュートリアルは保存済みのゲームを残したまま始める
+        if (GameModes.get(modeId).scripted) {
+            this.startTutorial(modeId);
+            return;
+        }
+        
+        this.saveStore.clear();
+        
+        // ゲーム開始
+        this.gameEngine.startGame(undefined, modeId);
+        this.showGameScreen();
+        
+        // 開始効果音
+        this.audioManager.playSound('game_start');
+        
+        // 開始アナウンス
+        const mode = this.gameEngine.getModeRules();
+        setTimeout(() => {
+            this.audioManager.speakAsSystem(`${mode.name}。${mode.description}。防衛戦を開始します。音声コマンドで艦隊を指揮してください。`);
+        }, 1000);
+        
+        console.log('Game started successfully');
+    }
+    
+    /**
+     * チュートリアル開始（敵の配置・説明・判定は TutorialCampaign が行う）
+     */
+    startTutorial(modeId) {
+        this.gameEngine.startGame(undefined, modeId);
+        this.showGameScreen();
+        this.elements.tutorialPanel.classList.remove('hidden');
+        this.audioManager.playSound('game_start');
+        
+        this.tutorial = new TutorialCampaign({
+            engine: this.gameEngine,
+            eventBus: this.eventBus,
+            audio: this.audioManager,
+            onUpdate: (progress) => {
+                this.updateTutorialDisplay(progress);
+            },
+            onComplete: (calibration) => {
+                this.finishTutorial(calibration);
+            }
+        });
+        this.tutorial.start();
+        
+        console.log('Tutorial started successfully');
+    }
+    
+    /**
+     * チュートリアルの表示更新（ステップ・話す言葉・聞き取った言葉）
+     */
+    updateTutorialDisplay(progress) {
+        const step = progress.step;
+        this.elements.tutorialStep.textContent = step ?
+            `ステップ ${progress.stepIndex + 1}/${progress.stepCount} - ${step.title}` :
+            (progress.stepIndex < 0 ? '準備中...' : '完了');
+        this.elements.tutorialPhrase.textContent = step ? `「${step.phrase}」と話してください` : '';
+        
+        const heard = progress.heard;
+        const heardElement = this.elements.tutorialHeard;
+        if (!heard) {
+            heardElement.textContent = '';
+            heardElement.className = '';
+            return;
+        }
+        
+        const confidenceText = typeof heard.confidence === 'number' ? `（信頼度 ${Math.round(heard.confidence * 100)}%）` : '';
+        const resultText = heard.correct === null ? '' :
+            (heard.command ? ` → ${heard.command}` : ' → コマンドとして認識できませんでした');
+        heardElement.textContent = `🎙️ 聞き取り:「${heard.transcript}」${confidenceText}${resultText}`;
+        heardElement.className = heard.correct === null ? '' : (heard.correct ? 'tutorial-correct' : 'tutorial-retry');
+    }
+    
+    /**
+     * チュートリアル完了（調整した確認の閾値を保存・反映してメニューに戻る）
+     */
+    finishTutorial(calibration) {
+        if (calibration.threshold !== null) {
+            localStorage.setItem('voiceCommanderConfirmationThreshold', String(calibration.threshold));
+            this.applyConfirmationThreshold();
+            this.addLogMessage('system', `🎚️ 確認の閾値を信頼度${Math.round(calibration.threshold * 100)}%に調整しました（発話${calibration.samples}回・言い直し${calibration.misses}回）`);
+        }
+        
+        this.gameEngine.stopGame();
+        this.stopTutorial();
+        this.handleGameEnd();
+        this.elements.startBtn.textContent = '🎮 防衛戦開始';
+        this.elements.modeSelect.value = this.getPreferredMode();
+        this.updateModeDescription();
+    }
+    
+    /**
+     * チュートリアル中断
+     */
+    stopTutorial() {
+        if (!this.tutorial) return;
+        
+        this.tutorial.stop();
+        this.tutorial = null;
+        this.elements.tutorialPanel.classList.add('hidden');
+    }
+    
+    /**
+     * 確認システムの信頼度閾値を反映（チュートリアルで調整した値がなければ既定値のまま）
+     */
+    applyConfirmationThreshold() {
+        const threshold = parseFloat(localStorage.getItem('voiceCommanderConfirmationThreshold'));
+        if (Number.isNaN(threshold)) return;
+        
+        const features = this.voiceRecognition.advancedFeatures;
+        const confirmationSystem = features ? features.confirmationSystem : this.voiceRecognition.confirmationSystem;
+        if (confirmationSystem) {
+            confirmationSystem.setConfidenceThreshold(threshold);
+        }
+    }
+    
+    /**
+     * 保存済みゲームの再開確認（「続きから」「新規」を音声で受け付ける）
+     */
+    offerResume(savedGame) {
+        this.pendingResume = savedGame;
+        
+        const summary = this.saveStore.describe(savedGame);
+        this.addLogMessage('system', `💾 前回のゲーム（${summary}）があります - 「続きから」で再開 / 「新規」で新しく開始`);
+        this.showCommandEffect('「続きから」または「新規」と話してください');
+        this.audioManager.speakAsSystem(`前回のゲームが保存されています。${summary}。続きから、で再開、新規、で新しく開始します。`);
+    }
+    
+    /**
+     * 再開確認への応答処理
+     */
+    handleResumeAnswer(transcript) {
+        this.addLogMessage('player', `> ${transcript}`);
+        
+        if (this.resumeKeywords.some(keyword => TextNormalizer.contains(transcript, keyword))) {
+            this.resumeSavedGame();
+        } else if (this.newGameKeywords.some(keyword => TextNormalizer.contains(transcript, keyword))) {
+            this.offerModeSelect();
+        } else {
+            this.audioManager.playSound('error', 0.3);
+            this.audioManager.speakAsSystem('続きから、または、新規、と話してください。');
+        }
+        return true;
+    }
+    
+    /**
+     * 保存済みゲームを再開
+     */
+    resumeSavedGame() {
+        const savedGame = this.pendingResume;
+        this.pendingResume = null;
+        
+        if (!savedGame || !this.gameEngine.restore(savedGame)) {
+            this.addLogMessage('alert', '保存データを読み込めませんでした - 新しく開始します');
+            this.beginNewGame();
+            return;
+        }
+        
+        this.gameEngine.resumeGame();
+        this.showGameScreen();
+        
+        this.audioManager.playSound('game_start');
+        this.addLogMessage('system', `💾 第${this.gameEngine.currentWave}波から再開しました`);
+        this.audioManager.speakAsSystem(`第${this.gameEngine.currentWave}波から再開します。`);
+        
+        console.log('Game resumed from save');
+    }
+    
+    /**
+     * ゲーム画面表示（開始・再開共通）
+     */
+    showGameScreen() {
+        this.elements.startBtn.style.display = 'none';
+        this.elements.modeSelection.classList.add('hidden');
+        this.elements.pauseBtn.textContent = '⏸️ 一時停止';
+        this.elements.voiceControls.classList.remove('hidden');
+        this.elements.gameControls.classList.remove('hidden');
+        
+        // 状況表示を有効化
+        const situationDisplay = document.getElementById('situation-display');
+        if (situationDisplay) {
+            situationDisplay.classList.remove('hidden');
+        }
+        
+        this.isGameRunning = true;
+        this.updateReplayControls();
+    }
+    
+    /**
+     * 進行中（一時停止中を含む）のゲームを保存
+     */
+    saveCurrentGame() {
+        if (!this.gameEngine || !this.saveStore || this.tutorial) return;
+        
+        const state = this.gameEngine.gameState;
+        if (state === 'playing' || state === 'paused') {
+            this.saveStore.save(this.gameEngine.serialize());
         }
     }
     
@@ -312,12 +821,16 @@ class VoiceCommanderApp {
     pauseGame() {
         if (this.gameEngine && this.gameEngine.gameState === 'playing') {
             this.gameEngine.pauseGame();
-            this.voiceRecognition.stop();
+            if (!this.replayPlayer) {
+                this.voiceRecognition.stop();
+            }
             this.elements.pauseBtn.textContent = '▶️ 再開';
             this.addLogMessage('system', 'ゲームを一時停止しました');
         } else if (this.gameEngine && this.gameEngine.gameState === 'paused') {
             this.gameEngine.resumeGame();
-            this.voiceRecognition.start();
+            if (!this.replayPlayer) {
+                this.voiceRecognition.start();
+            }
             this.elements.pauseBtn.textContent = '⏸️ 一時停止';
             this.addLogMessage('system', 'ゲームを再開しました');
         }
@@ -327,16 +840,30 @@ class VoiceCommanderApp {
      * ゲームリスタート
      */
     restartGame() {
+        // リプレイ再生中は再生を止めるだけ
+        if (this.replayPlayer) {
+            this.stopReplay();
+            return;
+        }
+        
         // 確認ダイアログ
-        if (this.isGameRunning && !confirm('現在のゲームを終了して再開始しますか？')) {
+        if (this.isGameRunning && !confirm('現在のゲームを終了して再開始しますか？（進行状況は保存され「続きから」で再開できます）')) {
             return;
         }
         
+        if (this.isGameRunning && !this.tutorial) {
+            this.setLastReplay(this.gameEngine.getReplay());
+        }
+        this.saveCurrentGame();
+        this.stopTutorial();
         this.cleanup();
+        this.pendingResume = null;
+        this.pendingModeSelect = false;
         
         // UI リセット
         this.elements.startBtn.style.display = 'block';
         this.elements.startBtn.textContent = '🎮 防衛戦開始';
+        this.elements.modeSelection.classList.remove('hidden');
         this.elements.voiceControls.classList.add('hidden');
         this.elements.gameControls.classList.add('hidden');
         
@@ -344,15 +871,422 @@ class VoiceCommanderApp {
         this.elements.logContent.innerHTML = '<div class=\"log-entry system\">[システム] 再開始しました</div>';
         
         this.isGameRunning = false;
+        this.updateReplayControls();
         
         this.addLogMessage('system', 'ゲームをリセットしました');
     }
     
+    /**
+     * リプレイ再生開始
+     */
+    async startReplay(replay) {
+        if (!replay) return;
+        if (this.isGameRunning) {
+            this.showError('ゲーム中はリプレイを再生できません');
+            return;
+        }
+        
+        await this.audioManager.resumeContext();
+        
+        const speed = parseFloat(this.elements.replaySpeed.value) || 1;
+        this.replayPlayer = new ReplayPlayer(this.gameEngine, replay, {
+            speed: speed,
+            onTranscript: (entry) => {
+                const confidenceText = entry.confidence !== null ? ` (${Math.round(entry.confidence * 100)}%)` : '';
+                this.addLogMessage('player', `▶ ${entry.transcript}${confidenceText}`);
+            },
+            onInput: (input, result) => {
+                this.showCommandResult(result);
+            },
+            onFinish: (progress) => {
+                this.handleReplayFinish(progress);
+            }
+        });
+        
+        try {
+            this.addLogMessage('system', `▶️ リプレイ再生開始（${GameModes.get(replay.mode).name} / シード ${replay.seed} / ${speed}倍速）`);
+            this.replayPlayer.start();
+            this.showGameScreen();
+        } catch (error) {
+            this.replayPlayer = null;
+            this.showError('リプレイを再生できません: ' + error.message);
+        }
+    }
+    
+    /**
+     * リプレイ再生停止
+     */
+    stopReplay() {
+        if (this.replayPlayer) {
+            this.replayPlayer.stop();
+        }
+    }
+    
+    /**
+     * リプレイ再生終了処理
+     */
+    handleReplayFinish(progress) {
+        this.replayPlayer = null;
+        this.addLogMessage('system', `⏹️ リプレイ再生終了（${Math.floor(progress.time / 1000)}秒 / 入力 ${progress.inputsPlayed}/${progress.inputsTotal}）`);
+        this.handleGameEnd();
+    }
+    
+    /**
+     * 直前のリプレイを保持
+     */
+    setLastReplay(replay) {
+        this.lastReplay = replay;
+        this.updateReplayControls();
+    }
+    
+    /**
+     * リプレイをJSONファイルとして書き出し（不具合報告・共有用）
+     */
+    exportReplay() {
+        if (!this.lastReplay) return;
+        
+        const json = JSON.stringify(this.lastReplay, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `voice-commander-replay-${this.lastReplay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.addLogMessage('system', `💾 リプレイを書き出しました（シード ${this.lastReplay.seed}）`);
+    }
+    
+    /**
+     * リプレイファイル読み込み（読み込み後すぐ再生）
+     */
+    async loadReplayFile(file) {
+        try {
+            const replay = ReplayPlayer.parse(await file.text());
+            this.setLastReplay(replay);
+            this.startReplay(replay);
+        } catch (error) {
+            this.showError('リプレイを読み込めませんでした: ' + error.message);
+        }
+    }
+    
+    /**
+     * リプレイ操作ボタンの状態更新
+     */
+    updateReplayControls() {
+        const busy = this.isGameRunning || !!this.replayPlayer;
+        this.elements.replayPlayBtn.disabled = busy || !this.lastReplay;
+        this.elements.replayExportBtn.disabled = !this.lastReplay;
+        this.elements.replayLoadBtn.disabled = busy;
+        this.elements.replayStopBtn.classList.toggle('hidden', !this.replayPlayer);
+    }
+    
+    /**
+     * ハイスコア表の初期化（モード・推移グラフの指標の選択肢、書き出し/読み込み）
+     */
+    setupScoreBoard() {
+        const modeSelect = this.elements.scoreModeSelect;
+        for (const [modeId, mode] of Object.entries(GAME_MODES)) {
+            if (mode.scripted) continue;
+            
+            const option = document.createElement('option');
+            option.value = modeId;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        }
+        modeSelect.value = this.elements.modeSelect.value;
+        
+        const metricSelect = this.elements.scoreTrendMetric;
+        for (const [metricId, metric] of Object.entries(SCORE_TREND_METRICS)) {
+            const option = document.createElement('option');
+            option.value = metricId;
+            option.textContent = metric.name;
+            metricSelect.appendChild(option);
+        }
+        
+        modeSelect.addEventListener('change', () => {
+            this.updateScoreBoard();
+        });
+        metricSelect.addEventListener('change', () => {
+            this.updateScoreBoard();
+        });
+        this.elements.scoreExportBtn.addEventListener('click', () => {
+            this.exportScores();
+        });
+        this.elements.scoreImportBtn.addEventListener('click', () => {
+            this.elements.scoreFile.click();
+        });
+        this.elements.scoreFile.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) {
+                this.importScoresFile(file);
+            }
+        });
+        
+        const available = this.scoreStore.isAvailable();
+        this.elements.scoreExportBtn.disabled = !available;
+        this.elements.scoreImportBtn.disabled = !available;
+        this.updateScoreBoard();
+    }
+    
+    /**
+     * 終了したゲームを戦績に記録し、順位・自己ベスト更新を通知
+     */
+    async recordScore(results) {
+        if (!this.scoreStore.isAvailable()) return;
+        
+        try {
+            const previousBests = await this.scoreStore.getPersonalBests(results.mode);
+            const record = ScoreStore.createRecord(results, {
+                engine: this.getCurrentEngineName(),
+                rules: this.gameEngine.rules.name,
+                seed: this.gameEngine.seed
+            });
+            record.id = await this.scoreStore.add(record);
+            
+            const rank = await this.scoreStore.getRank(record);
+            if (!previousBests || record.score > previousBests.score) {
+                this.addLogMessage('system', `🏆 自己ベスト更新！（${results.modeName} ${record.score}点）`);
+            } else if (rank <= SCORE_TABLE_SIZE) {
+                this.addLogMessage('system', `🏆 ${results.modeName}のランキング${rank}位に入りました`);
+            }
+            
+            this.elements.scoreModeSelect.value = results.mode;
+            this.updateScoreBoard();
+        } catch (error) {
+            console.error('Failed to record score:', error);
+        }
+    }
+    
+    /**
+     * 実績解除の演出（ファンファーレと読み上げ）
+     */
+    handleAchievementUnlock(achievement) {
+        this.addLogMessage('system', `🎖️ 実績解除「${achievement.name}」- ${achievement.description}`);
+        this.audioManager.playSound('achievement');
+        setTimeout(() => {
+            this.audioManager.speakAsSystem(`実績解除、${achievement.name}。`);
+        }, 800);
+        this.updateAchievementDisplay();
+    }
+    
+    /**
+     * 実績一覧の表示更新
+     */
+    updateAchievementDisplay() {
+        const list = this.elements.achievementList;
+        list.innerHTML = '';
+        
+        for (const achievement of this.achievements.getAll()) {
+            const item = document.createElement('li');
+            item.className = achievement.unlockedAt ? 'achievement unlocked' : 'achievement';
+            item.textContent = `${achievement.unlockedAt ? '🎖️' : '🔒'} ${achievement.name} - ${achievement.description}`;
+            if (achievement.unlockedAt) {
+                item.title = `${new Date(achievement.unlockedAt).toLocaleString()} に解除`;
+            }
+            list.appendChild(item);
+        }
+    }
+    
+    /**
+     * 使用中の音声認識エンジン名
+     */
+    getCurrentEngineName() {
+        if (this.voiceRecognition && this.voiceRecognition.getAvailableEngines) {
+            const currentEngine = this.voiceRecognition.getAvailableEngines().find(engine => engine.isCurrent);
+            if (currentEngine) return currentEngine.name;
+        }
+        return 'Web Speech API';
+    }
+    
+    /**
+     * ハイスコア表・自己ベスト・戦績推移の表示更新
+     */
+    async updateScoreBoard() {
+        if (!this.scoreStore.isAvailable()) {
+            this.elements.personalBest.textContent = 'このブラウザでは戦績を記録できません（IndexedDB 未対応）';
+            return;
+        }
+        
+        try {
+            const records = await this.scoreStore.getByMode(this.elements.scoreModeSelect.value);
+            this.renderScoreTable(ScoreStore.rank(records).slice(0, SCORE_TABLE_SIZE));
+            this.renderPersonalBests(ScoreStore.getBests(records));
+            
+            const recent = records.slice(-SCORE_HISTORY_SIZE);
+            this.drawScoreTrend(recent, SCORE_TREND_METRICS[this.elements.scoreTrendMetric.value]);
+            this.renderScoreHistory(recent.slice(-5).reverse());
+        } catch (error) {
+            console.error('Failed to update score board:', error);
+        }
+    }
+    
+    /**
+     * モード別ランキング表
+     */
+    renderScoreTable(records) {
+        const tbody = this.elements.scoreTableBody;
+        tbody.innerHTML = '';
+        
+        if (records.length === 0) {
+            const row = tbody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 8;
+            cell.textContent = 'まだ記録がありません';
+            return;
+        }
+        
+        records.forEach((record, index) => {
+            const row = tbody.insertRow();
+            const starText = record.stars ? ` ${'★'.repeat(record.stars)}` : '';
+            const cells = [
+                `${index + 1}`,
+                `${record.score}${starText}`,
+                `第${record.waves}波`,
+                `${record.kills}体`,
+                `${record.survivalTime}秒`,
+                `x${record.maxCombo}`,
+                `${Math.round(record.accuracy * 100)}%`,
+                new Date(record.playedAt).toLocaleDateString()
+            ];
+            cells.forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            row.title = `エンジン: ${record.engine || '不明'} / ルール: ${record.rules || '不明'}`;
+        });
+    }
+    
+    /**
+     * 自己ベスト表示
+     */
+    renderPersonalBests(bests) {
+        if (!bests) {
+            this.elements.personalBest.textContent = '';
+            return;
+        }
+        
+        this.elements.personalBest.textContent = `自己ベスト（${bests.games}ゲーム）: スコア ${bests.score}点 / 第${bests.waves}波 / 撃破 ${bests.kills}体 / 生存 ${bests.survivalTime}秒 / コンボ x${bests.maxCombo} / 成功率 ${Math.round(bests.accuracy * 100)}%`;
+    }
+    
+    /**
+     * 直近のゲーム一覧
+     */
+    renderScoreHistory(records) {
+        const resultTexts = { clear: '防衛成功', timeup: 'タイムアップ', defeated: '防衛線突破' };
+        this.elements.scoreHistory.innerHTML = '';
+        
+        for (const record of records) {
+            const entry = document.createElement('div');
+            entry.className = 'score-history-entry';
+            entry.textContent = `${new Date(record.playedAt).toLocaleString()} - ${resultTexts[record.result] || record.result} ${record.score}点（第${record.waves}波・${record.engine || '不明'}）`;
+            this.elements.scoreHistory.appendChild(entry);
+        }
+    }
+    
+    /**
+     * 戦績推移グラフ（古い順の折れ線）
+     */
+    drawScoreTrend(records, metric) {
+        const canvas = this.elements.scoreTrend;
+        const context = canvas.getContext('2d');
+        const padding = 24;
+        const width = canvas.width - padding * 2;
+        const height = canvas.height - padding * 2;
+        
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.font = '12px sans-serif';
+        context.fillStyle = '#88ccff';
+        
+        if (records.length < 2) {
+            context.fillText('2ゲーム以上で推移を表示します', padding, canvas.height / 2);
+            return;
+        }
+        
+        const values = records.map(record => metric.getValue(record));
+        const max = Math.max(...values, 1);
+        const points = values.map((value, index) => ({
+            x: padding + (index / (values.length - 1)) * width,
+            y: padding + height - (value / max) * height
+        }));
+        
+        // 軸と最大値
+        context.strokeStyle = '#335577';
+        context.beginPath();
+        context.moveTo(padding, padding);
+        context.lineTo(padding, padding + height);
+        context.lineTo(padding + width, padding + height);
+        context.stroke();
+        context.fillText(`${metric.name} 最大 ${max}`, padding, padding - 8);
+        
+        // 折れ線
+        context.strokeStyle = '#00ff88';
+        context.lineWidth = 2;
+        context.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                context.moveTo(point.x, point.y);
+            } else {
+                context.lineTo(point.x, point.y);
+            }
+        });
+        context.stroke();
+        context.lineWidth = 1;
+        
+        context.fillStyle = '#00ff88';
+        for (const point of points) {
+            context.beginPath();
+            context.arc(point.x, point.y, 3, 0, Math.PI * 2);
+            context.fill();
+        }
+    }
+    
+    /**
+     * 全戦績をJSONファイルとして書き出し（別の端末との比較用）
+     */
+    async exportScores() {
+        try {
+            const json = await this.scoreStore.exportJSON();
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `voice-commander-scores-${GameModes.getDateKey(new Date())}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+            
+            this.addLogMessage('system', '💾 戦績を書き出しました');
+        } catch (error) {
+            this.showError('戦績を書き出せませんでした: ' + error.message);
+        }
+    }
+    
+    /**
+     * 戦績ファイル読み込み（既にある記録は追加しない）
+     */
+    async importScoresFile(file) {
+        try {
+            const imported = await this.scoreStore.importJSON(await file.text());
+            this.addLogMessage('system', `📂 戦績を${imported}件読み込みました`);
+            this.updateScoreBoard();
+        } catch (error) {
+            this.showError('戦績を読み込めませんでした: ' + error.message);
+        }
+    }
+    
     /**
      * 音声コマンド処理
      */
     handleVoiceCommand(command, originalText) {
-        console.log(`Voice command received: ${command} ("${originalText}")`);
+        console.log(`Voice command received: ${CommandGrammar.describe(command)} ("${originalText}")`);
+        
+        // 連続コマンド・候補の提案・コマンド一覧の案内（フォールバックの認識システム）は表示だけ
+        if (RECOGNITION_NOTICE_TYPES.includes(command)) {
+            this.addLogMessage('system', originalText);
+            return;
+        }
         
         // プレイヤーの発言をログに記録
         this.addLogMessage('player', `> ${originalText}`);
@@ -360,28 +1294,75 @@ class VoiceCommanderApp {
         if (command && this.gameEngine) {
             // ゲームエンジンにコマンド送信
             const result = this.gameEngine.handleCommand(command, originalText);
-            
-            if (result.success) {
-                // 成功時の効果音
-                this.audioManager.playSound('notification', 0.3);
-                
-                // コマンド効果を表示
-                this.showCommandEffect(result.effect);
-            } else {
-                // 失敗時の効果音
-                this.audioManager.playSound('error', 0.5);
-                
-                // 失敗理由を表示
-                this.showCommandEffect(result.reason || 'コマンド実行に失敗しました');
-            }
+            this.showCommandResult(result);
         } else {
-            // 認識できなかった場合
+            // 認識できなかった場合（適応難易度の判断材料として記録）
+            if (this.gameEngine && !this.replayPlayer) {
+                this.gameEngine.recordRecognitionFailure(originalText);
+            }
             this.addLogMessage('system', `認識できませんでした: "${originalText}"`);
             this.audioManager.playSound('error', 0.3);
             this.showCommandEffect('コマンドを認識できませんでした');
         }
     }
     
+    /**
+     * コマンド以外の発話を待っているか（その間は中間結果からコマンドを早期確定しない）
+     * チュートリアル中も、認識結果と実行したコマンドを組にして信頼度を較正するため確定結果を待つ
+     */
+    isAwaitingNonCommandInput() {
+        return !!(this.replayPlayer || this.pendingResume || this.pendingModeSelect || this.tutorial ||
+            (this.gameEngine && this.gameEngine.intermission));
+    }
+    
+    /**
+     * コマンド解析前の発話処理（再開確認・モード選択・補給フェーズ中の強化選択）
+     * 処理した場合はtrueを返し、通常のコマンド解析を行わない
+     */
+    handleVoiceInput(transcript) {
+        // リプレイ再生中の発話はゲームに渡さない
+        if (this.replayPlayer) {
+            return true;
+        }
+        
+        if (this.pendingResume) {
+            return this.handleResumeAnswer(transcript);
+        }
+        
+        if (this.pendingModeSelect) {
+            return this.handleModeAnswer(transcript);
+        }
+        
+        if (!this.gameEngine || !this.gameEngine.intermission) return false;
+        
+        const result = this.gameEngine.handleIntermissionInput(transcript);
+        if (!result) return false;
+        
+        console.log(`Intermission input: "${transcript}"`);
+        this.addLogMessage('player', `> ${transcript}`);
+        this.showCommandResult(result);
+        return true;
+    }
+    
+    /**
+     * コマンド実行結果の表示
+     */
+    showCommandResult(result) {
+        if (result.success) {
+            // 成功時の効果音
+            this.audioManager.playSound('notification', 0.3);
+            
+            // コマンド効果を表示
+            this.showCommandEffect(result.effect);
+        } else {
+            // 失敗時の効果音
+            this.audioManager.playSound('error', 0.5);
+            
+            // 失敗理由を表示
+            this.showCommandEffect(result.reason || 'コマンド実行に失敗しました');
+        }
+    }
+    
     /**
      * 音声認識状態変更処理
      */
@@ -397,8 +1378,8 @@ class VoiceCommanderApp {
                 this.elements.micIndicator.textContent = 'OFF';
                 this.elements.micIndicator.className = 'status-off';
                 
-                // ゲーム中なら自動再開
-                if (this.isGameRunning && this.gameEngine.gameState === 'playing') {
+                // ゲーム中・再開確認中・モード選択中なら自動再開
+                if ((this.isGameRunning && this.gameEngine.gameState === 'playing') || this.pendingResume || this.pendingModeSelect) {
                     setTimeout(() => {
                         this.voiceRecognition.start();
                     }, 500);
@@ -410,7 +1391,7 @@ class VoiceCommanderApp {
     /**
      * 音声認識エラー処理
      */
-    handleVoiceError(message, error, shouldRestart = false) {
+    handleVoiceError(message, error, shouldRestart = false, details = {}) {
         console.error('Voice recognition error:', error, shouldRestart);
         
         // 重大なエラーの場合は詳細表示
@@ -429,6 +1410,11 @@ class VoiceCommanderApp {
             if (shouldRestart && error === 'no-speech') {
                 this.addLogMessage('system', '音声認識を再開します...');
             }
+            
+            // コマンドとして解釈できなかった発話（統合システム）・聞き取れなかった発話も認識失敗として記録
+            if ((error === 'unrecognized' || error === 'no-match') && this.gameEngine && !this.replayPlayer) {
+                this.gameEngine.recordRecognitionFailure(details.transcript || '');
+            }
         }
         
         // 音響フィードバック
@@ -467,6 +1453,7 @@ class VoiceCommanderApp {
         // UI要素更新
         this.elements.defense.textContent = stats.defense;
         this.elements.fleetCount.textContent = stats.fleetCount;
+        this.elements.energy.textContent = stats.energy;
         this.elements.killCount.textContent = stats.killCount;
         this.elements.waveNumber.textContent = stats.currentWave;
         this.elements.enemyCount.textContent = stats.enemyCount;
@@ -502,12 +1489,33 @@ class VoiceCommanderApp {
     handleGameOver(results) {
         console.log('Game over:', results);
         
+        // チュートリアル中に防衛線を突破されたら中断（保存済みのゲーム・戦績には触れない）
+        if (this.tutorial) {
+            this.stopTutorial();
+            this.addLogMessage('system', 'チュートリアルを中断しました - もう一度モード「チュートリアル」で練習できます');
+        } else if (!this.replayPlayer) {
+            // 終了したゲームは再開対象から外し、リプレイとして保持・戦績に記録
+            this.saveStore.clear();
+            this.setLastReplay(this.gameEngine.getReplay());
+            this.recordScore(results);
+        }
+        
         // 結果表示
         setTimeout(() => {
             this.showGameResults(results);
         }, 2000);
     }
     
+    /**
+     * 艦隊喪失処理
+     */
+    handleFleetLost(event) {
+        console.log('Fleet lost:', event);
+        
+        this.audioManager.playSound('damage_taken', 0.8);
+        this.showCommandEffect(`${event.fleet.name}喪失 - 残り${event.remainingFleets}艦隊`);
+    }
+    
     /**
      * ゲーム終了処理
      */
@@ -519,6 +1527,8 @@ class VoiceCommanderApp {
         this.elements.pauseBtn.textContent = '⏸️ 一時停止';
         this.elements.startBtn.style.display = 'block';
         this.elements.startBtn.textContent = '🔄 再挑戦';
+        this.elements.modeSelection.classList.remove('hidden');
+        this.updateReplayControls();
     }
     
     /**
@@ -596,22 +1606,30 @@ class VoiceCommanderApp {
      * ゲーム結果表示
      */
     showGameResults(results) {
-        const resultText = [
+        const resultTexts = { clear: '防衛成功', timeup: 'タイムアップ', defeated: '防衛線突破' };
+        const starText = results.stars !== null && results.stars !== undefined ? ` ${'★'.repeat(results.stars)}` : '';
+        const resultLines = [
+            `モード: ${results.modeName} - ${resultTexts[results.result]}${starText}`,
             `最終スコア: ${results.score}点`,
             `撃破数: ${results.kills}体`,
             `到達ウェーブ: 第${results.waves}波`,
             `生存時間: ${Math.floor(results.survivalTime)}秒`,
             `最大コンボ: x${results.maxCombo}`
-        ].join('\\n');
+        ];
+        
+        if (results.averageParryLatency !== null && results.averageParryLatency !== undefined) {
+            const parries = results.parries;
+            resultLines.push(`予告攻撃への反応: 平均${(results.averageParryLatency / 1000).toFixed(1)}秒 (完璧${parries.perfect} / 良好${parries.good} / 遅延${parries.late} / 被弾${parries.missed})`);
+        }
         
         // 結果をログに表示
         this.addLogMessage('system', '=== ゲーム結果 ===');
-        resultText.split('\\n').forEach(line => {
+        resultLines.forEach(line => {
             this.addLogMessage('system', line);
         });
         
         // 音声で結果読み上げ
-        const speechText = `お疲れ様でした。最終スコア${results.score}点、撃破数${results.kills}体、到達ウェーブ第${results.waves}波でした。`;
+        const speechText = `お疲れ様でした。${results.modeName}、最終スコア${results.score}点、撃破数${results.kills}体、到達ウェーブ第${results.waves}波でした。`;
         setTimeout(() => {
             this.audioManager.speakAsCommander(speechText);
         }, 500);
@@ -639,6 +1657,7 @@ class VoiceCommanderApp {
         if (this.elements.defense) {
             this.elements.defense.textContent = '100';
             this.elements.fleetCount.textContent = '3';
+            this.elements.energy.textContent = '100';
             this.elements.killCount.textContent = '0';
             this.elements.waveNumber.textContent = '1';
             this.elements.enemyCount.textContent = '0';
@@ -702,19 +1721,23 @@ class VoiceCommanderApp {
         let threatText = '脅威レベル: 低';
         let recommendedActionText = '推奨行動: 待機';
         
+        // 戦域内の敵の脅威度（交戦中の敵ほど高い）から判定
+        const threatScore = stats.threatScore || 0;
+        
         if (stats.enemyCount === 0) {
             threatLevel = 'low';
             threatText = '脅威レベル: なし';
             recommendedActionText = '推奨行動: 待機';
-        } else if (stats.enemyCount <= 2) {
+        } else if (threatScore <= 2) {
             threatLevel = 'low';
             threatText = '脅威レベル: 低';
-            recommendedActionText = '推奨行動: 「攻撃」で排除';
-        } else if (stats.enemyCount <= 5) {
+            recommendedActionText = stats.engagedEnemyCount > 0 ?
+                '推奨行動: 「攻撃」で排除' : '推奨行動: 到達前に「攻撃」で迎撃';
+        } else if (threatScore <= 5) {
             threatLevel = 'medium';
             threatText = '脅威レベル: 中';
             recommendedActionText = '推奨行動: 「攻撃」連続実行';
-        } else if (stats.enemyCount <= 8) {
+        } else if (threatScore <= 9) {
             threatLevel = 'high';
             threatText = '脅威レベル: 高';
             recommendedActionText = '推奨行動: 「攻撃」で集中排除';
@@ -724,12 +1747,19 @@ class VoiceCommanderApp {
             recommendedActionText = '推奨行動: 「撤退」を検討';
         }
         
+        // 交戦・接近状況
+        if (stats.engagedEnemyCount > 0) {
+            threatText += ` (交戦中 ${stats.engagedEnemyCount}体)`;
+        } else if (stats.nearestEnemyEta !== null && stats.nearestEnemyEta !== undefined) {
+            threatText += ` (到達まで ${Math.ceil(stats.nearestEnemyEta)}秒)`;
+        }
+        
         // 防衛度による調整
         if (stats.defense <= 20) {
             threatLevel = 'critical';
             recommendedActionText = '推奨行動: 「撤退」で回復';
         } else if (stats.defense <= 50) {
-            if (stats.enemyCount <= 2) {
+            if (!stats.engagedEnemyCount) {
                 recommendedActionText = '推奨行動: 「防御」で回復';
             }
         }
@@ -739,10 +1769,140 @@ class VoiceCommanderApp {
             recommendedActionText = '推奨行動: 慎重に「防御」';
         }
         
+        // 予告攻撃が迫っていれば最優先
+        if (stats.incomingStrikeEta !== null && stats.incomingStrikeEta !== undefined) {
+            threatLevel = 'critical';
+            threatText += ` ⚠️ 着弾まで ${Math.ceil(stats.incomingStrikeEta)}秒`;
+            recommendedActionText = '推奨行動: 今すぐ「防御」！';
+        }
+        
+        // ボス戦
+        if (stats.boss) {
+            threatText += ` 👾 ${stats.boss.name} ${stats.boss.hp}/${stats.boss.maxHp} (${stats.boss.phaseName})`;
+            
+            const incoming = stats.boss.incomingAttack;
+            if (incoming) {
+                threatLevel = 'critical';
+                recommendedActionText = `推奨行動: ${incoming.name}まで${Math.ceil(incoming.eta)}秒 - 今すぐ「${COMMAND_LABELS[incoming.counter]}」！`;
+            }
+        }
+        
+        // 補給フェーズ（敵はいないため強化の購入を案内）
+        if (stats.intermission) {
+            threatLevel = 'low';
+            threatText = `🔧 補給フェーズ 残り${Math.ceil(stats.intermission.remaining)}秒 / 補給ポイント ${stats.supplies}`;
+            recommendedActionText = '推奨行動: 強化名を発声して購入、「スキップ」で次の波へ';
+        }
+        
         // UI更新
         enemyThreat.className = `threat-${threatLevel}`;
         enemyThreat.textContent = threatText;
         recommendedAction.textContent = recommendedActionText;
+        
+        this.updateModeDisplay(stats);
+        this.updateSectorDisplay(stats);
+        this.updateFleetDisplay(stats);
+        this.updateCooldownDisplay(stats);
+        this.updateUpgradeDisplay(stats);
+    }
+    
+    /**
+     * モードの進行状況表示（残り時間・目標ウェーブ・残機）
+     */
+    updateModeDisplay(stats) {
+        const modeStatus = document.getElementById('mode-status');
+        if (!modeStatus) return;
+        
+        const mode = GameModes.get(stats.mode);
+        const parts = [`🏁 ${mode.name}`];
+        
+        if (stats.timeRemaining !== null && stats.timeRemaining !== undefined) {
+            const seconds = Math.ceil(stats.timeRemaining);
+            parts.push(`残り ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        }
+        if (mode.waveLimit) {
+            parts.push(`第${Math.min(stats.currentWave, mode.waveLimit)}/${mode.waveLimit}波`);
+        }
+        if (mode.lives > 1) {
+            parts.push(`残機 ${'♥'.repeat(stats.lives)}${'♡'.repeat(mode.lives - stats.lives)}`);
+        }
+        if (mode.adaptiveDifficulty && stats.pressure !== 1) {
+            parts.push(`敵の圧力 ×${stats.pressure}`);
+        }
+        
+        modeStatus.textContent = parts.join(' / ');
+    }
+    
+    /**
+     * 補給フェーズの強化メニュー表示
+     */
+    updateUpgradeDisplay(stats) {
+        const upgradeStatus = document.getElementById('upgrade-status');
+        if (!upgradeStatus) return;
+        
+        upgradeStatus.innerHTML = '';
+        if (!stats.intermission) return;
+        
+        for (const item of stats.intermission.menu) {
+            const element = document.createElement('span');
+            element.className = item.affordable ? 'upgrade-item' : 'upgrade-item upgrade-unavailable';
+            const levelText = item.maxLevel !== null ? ` Lv${item.level}/${item.maxLevel}` : '';
+            const costText = item.cost !== null ? `${item.cost}pt` : '最大';
+            element.textContent = `「${item.name}」${levelText} ${costText}`;
+            element.title = item.description;
+            upgradeStatus.appendChild(element);
+        }
+    }
+    
+    /**
+     * 艦隊ごとの配置・耐久表示
+     */
+    updateFleetDisplay(stats) {
+        const fleetStatus = document.getElementById('fleet-status');
+        if (!fleetStatus || !stats.fleets) return;
+        
+        fleetStatus.innerHTML = '';
+        for (const fleet of stats.fleets) {
+            const item = document.createElement('span');
+            item.className = `fleet-item fleet-${fleet.status}`;
+            if (fleet.status === 'active') {
+                item.textContent = `${fleet.name} ${SECTORS[fleet.sector].name} ${fleet.hp}/${fleet.maxHp}`;
+            } else {
+                item.textContent = `${fleet.name} ${fleet.status === 'lost' ? '撃沈' : '撤退'}`;
+            }
+            fleetStatus.appendChild(item);
+        }
+    }
+    
+    /**
+     * コマンド再使用待ち表示
+     */
+    updateCooldownDisplay(stats) {
+        const cooldownStatus = document.getElementById('cooldown-status');
+        if (!cooldownStatus || !stats.cooldowns) return;
+        
+        const entries = Object.entries(stats.cooldowns);
+        cooldownStatus.textContent = entries.length > 0 ?
+            `⏳ ${entries.map(([type, seconds]) => `${COMMAND_LABELS[type]} ${Math.ceil(seconds)}秒`).join(' / ')}` : '';
+    }
+    
+    /**
+     * 方面別の敵数・シールド表示
+     */
+    updateSectorDisplay(stats) {
+        const sectorStatus = document.getElementById('sector-status');
+        if (!sectorStatus || !stats.enemiesBySector) return;
+        
+        sectorStatus.innerHTML = '';
+        for (const [sectorId, sector] of Object.entries(SECTORS)) {
+            const enemyCount = stats.enemiesBySector[sectorId] || 0;
+            const shield = stats.sectorShields ? stats.sectorShields[sectorId] : 0;
+            
+            const item = document.createElement('span');
+            item.className = enemyCount > 0 ? 'sector-item sector-hot' : 'sector-item';
+            item.textContent = `${sector.name} 敵${enemyCount}${shield > 0 ? ` 🛡️${shield}` : ''}`;
+            sectorStatus.appendChild(item);
+        }
     }
     
     /**
@@ -773,7 +1933,7 @@ class VoiceCommanderApp {
         console.log('Command queue updated:', queue);
         
         if (queue.length > 1) {
-            this.addLogMessage('system', `🎯 連続コマンド: ${queue.join(' → ')}`);
+            this.addLogMessage('system', `🎯 連続コマンド: ${queue.map(command => CommandGrammar.describe(command)).join(' → ')}`);
         }
     }
     
@@ -799,7 +1959,7 @@ class VoiceCommanderApp {
         console.log('Confirmation requested:', confirmation);
         
         // 低信頼度コマンドの確認表示
-        this.addLogMessage('system', `❓ 確認: "${confirmation.originalText}" → "${confirmation.interpretedCommand}"でよろしいですか？`);
+        this.addLogMessage('system', `❓ 確認: "${confirmation.originalText}" → "${CommandGrammar.describe(confirmation.interpretedCommand)}"でよろしいですか？`);
         this.addLogMessage('system', '「はい」「いいえ」で回答、または正しいコマンドを言い直してください');
         
         // 確認効果音
@@ -828,6 +1988,21 @@ class VoiceCommanderApp {
             });
         }
         
+        // 早期確定（前回の設定を復元、既定は有効）
+        const earlyCommitToggle = document.getElementById('early-commit-toggle');
+        if (earlyCommitToggle && this.voiceRecognition && this.voiceRecognition.setEarlyCommit) {
+            earlyCommitToggle.checked = localStorage.getItem('voiceCommanderEarlyCommit') !== 'false';
+            this.voiceRecognition.setEarlyCommit(earlyCommitToggle.checked);
+            
+            earlyCommitToggle.addEventListener('change', () => {
+                localStorage.setItem('voiceCommanderEarlyCommit', String(earlyCommitToggle.checked));
+                this.voiceRecognition.setEarlyCommit(earlyCommitToggle.checked);
+                this.addLogMessage('system', `⚡ 早期確定を${earlyCommitToggle.checked ? '有効' : '無効'}にしました（次の認識開始から反映）`);
+            });
+        } else if (earlyCommitToggle) {
+            earlyCommitToggle.disabled = true;
+        }
+        
         // 設定適用ボタン
         const applyEngineBtn = document.getElementById('apply-engine-btn');
         if (applyEngineBtn) {
@@ -932,6 +2107,7 @@ class VoiceCommanderApp {
             // 確認システム再初期化
             if (this.voiceRecognition.initConfirmationSystem) {
                 this.voiceRecognition.initConfirmationSystem(this.audioManager);
+                this.applyConfirmationThreshold();
             }
             
             // 音声認識再開
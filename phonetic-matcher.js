@@ -0,0 +1,226 @@
+/**
+ * Voice Commander - 音の近さによるコマンド照合
+ * 同義語に一致しなかった発話（「後撃」「高撃」「ぼうぎょう」など）を、読みの拍（モーラ）単位の重み付き編集距離で
+ * コマンドの同義語と比べ、候補を一致度（0〜1）の順に並べる
+ *
+ * 読みは TextNormalizer（reading: true）の読み仮名と、聞き間違えやすい漢字の読みで求める
+ * 拗音（きょ・じゅ）と外来音（ふぁ・てぃ）は小書きの仮名を前の仮名とまとめて1拍、促音・撥音・長音はそれぞれ1拍
+ * 置き換えの重みは子音・母音に分けて決める（清音・濁音の取り違えは軽く、まったく違う音は重い）
+ */
+
+// 聞き間違え・誤変換されやすい漢字の読み（読み: 漢字）
+const PHONETIC_KANJI_READINGS = {
+    'こう': '攻後高校行公工口向好光功効考',
+    'げき': '撃劇激',
+    'ぼう': '防暴棒望亡坊帽',
+    'ぎょ': '御魚漁',
+    'ぎょう': '業',
+    'てつ': '撤鉄哲徹',
+    'たい': '退隊対体待態',
+    'じょう': '状情城上条乗場常',
+    'きょう': '況境教強京共協',
+    'ほう': '報方法放',
+    'こく': '告国黒'
+};
+
+// 各行の仮名（子音: 五十音順の母音 a i u e o、該当なしは _）
+const KANA_ROWS = {
+    '': 'あいうえお',
+    k: 'かきくけこ',
+    g: 'がぎぐげご',
+    s: 'さしすせそ',
+    z: 'ざじずぜぞ',
+    t: 'たちつてと',
+    d: 'だぢづでど',
+    n: 'なにぬねの',
+    h: 'はひふへほ',
+    b: 'ばびぶべぼ',
+    p: 'ぱぴぷぺぽ',
+    m: 'まみむめも',
+    y: 'や_ゆ_よ',
+    r: 'らりるれろ',
+    w: 'わ___を'
+};
+
+// 前の仮名とまとめて1拍にする小書きの仮名（仮名: 母音、ゃゅょ は拗音）
+const COMBINING_KANA = {
+    'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o',
+    'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o'
+};
+const PALATAL_KANA = 'ゃゅょ';
+
+// 置き換え・挿入・削除の重み
+const PHONETIC_COSTS = {
+    voicing: 0.3,          // 清音・濁音・半濁音の取り違え（か/が、は/ば/ぱ）
+    similarConsonant: 0.5, // 似た子音（な/ま、だ/ら）
+    consonant: 0.7,        // 母音が同じで子音が違う
+    similarVowel: 0.4,     // 似た母音（う/お、い/え）
+    vowel: 0.6,            // 子音が同じで母音が違う
+    palatal: 0.4,          // 拗音かどうかの違い（こ/きょ、しゅ/す）
+    sokuon: 0.2,           // 促音と「つ」の取り違え（てったい/てつたい）
+    other: 1,
+    longVowel: 0.4,        // 長音（母音だけの拍）の有無
+    moraicConsonant: 0.5,  // 促音・撥音（つ・ん）の有無
+    insertion: 1
+};
+
+const VOICING_PAIRS = ['kg', 'sz', 'td', 'hb', 'hp', 'bp'];
+const SIMILAR_CONSONANTS = ['nm', 'dr', 'bm', 'zd'];
+const SIMILAR_VOWELS = ['uo', 'ie'];
+
+// 判定の基準（accept 以上かつ2位との差が margin 以上なら確実、suggest 以上は「もしかして」の候補）
+const PHONETIC_THRESHOLDS = {
+    accept: 0.85,
+    margin: 0.15,
+    suggest: 0.55
+};
+
+// これより短い同義語は比べない（2拍の語は無関係な発話の一部にも近くなりやすい）
+const PHONETIC_MIN_MORAE = 3;
+
+const KANJI_READINGS = new Map(
+    Object.entries(PHONETIC_KANJI_READINGS).flatMap(([reading, kanji]) => [...kanji].map(char => [char, reading]))
+);
+
+const KANA_SOUNDS = new Map(
+    Object.entries(KANA_ROWS).flatMap(([consonant, kana]) =>
+        [...kana].map((char, index) => [char, { consonant: consonant, vowel: 'aiueo'[index], palatal: false }])
+            .filter(([char]) => char !== '_'))
+);
+
+class PhoneticMatcher {
+    /**
+     * コマンド候補を一致度の順に [{ type, label, score, synonym }]（メタコマンドを除く）
+     */
+    static rank(text) {
+        const morae = PhoneticMatcher.toMorae(text);
+        if (morae.length === 0) return [];
+
+        return CommandGrammar.getCommands()
+            .filter(command => !command.meta)
+            .map(command => {
+                let best = { score: 0, synonym: null };
+                for (const synonym of [command.label, ...command.synonyms]) {
+                    const score = PhoneticMatcher.similarity(morae, PhoneticMatcher.toMorae(synonym));
+                    if (score > best.score) {
+                        best = { score: score, synonym: synonym };
+                    }
+                }
+                return { type: command.type, label: command.label, score: best.score, synonym: best.synonym };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * 候補の判定 { accepted: 確実な候補またはnull, suggestions: 「もしかして」の候補（最大3つ） }
+     */
+    static resolve(candidates) {
+        const [best, second] = candidates;
+        const accepted = best && best.score >= PHONETIC_THRESHOLDS.accept &&
+            (!second || best.score - second.score >= PHONETIC_THRESHOLDS.margin) ? best : null;
+
+        const suggestions = accepted ? [] :
+            candidates.filter(candidate => candidate.score >= PHONETIC_THRESHOLDS.suggest).slice(0, 3);
+        return { accepted: accepted, suggestions: suggestions };
+    }
+
+    /**
+     * 発話の中で語に最も近い部分との一致度（1 で完全一致、語が短すぎる場合は0）
+     */
+    static similarity(textMorae, wordMorae) {
+        if (wordMorae.length < PHONETIC_MIN_MORAE) return 0;
+
+        const cost = PhoneticMatcher.distance(textMorae, wordMorae);
+        return Math.max(0, 1 - cost / wordMorae.length);
+    }
+
+    /**
+     * 重み付き編集距離（語全体と、発話のうち最も近い区間を比べる）
+     */
+    static distance(textMorae, wordMorae) {
+        // previous[i]: 発話の i 拍目までで、語の j 拍目までを合わせる最小の重み（発話の前後は読み飛ばせる）
+        let previous = new Array(textMorae.length + 1).fill(0);
+        for (let j = 1; j <= wordMorae.length; j++) {
+            const current = [previous[0] + PhoneticMatcher.insertionCost(wordMorae[j - 1])];
+            for (let i = 1; i <= textMorae.length; i++) {
+                current[i] = Math.min(
+                    previous[i - 1] + PhoneticMatcher.substitutionCost(textMorae[i - 1], wordMorae[j - 1]),
+                    previous[i] + PhoneticMatcher.insertionCost(wordMorae[j - 1]),
+                    current[i - 1] + PhoneticMatcher.insertionCost(textMorae[i - 1])
+                );
+            }
+            previous = current;
+        }
+        return Math.min(...previous);
+    }
+
+    /**
+     * 拍の置き換えの重み
+     */
+    static substitutionCost(a, b) {
+        if (a === b) return 0;
+        if (a + b === 'っつ' || a + b === 'つっ') return PHONETIC_COSTS.sokuon;
+
+        const soundA = PhoneticMatcher.getSound(a);
+        const soundB = PhoneticMatcher.getSound(b);
+        if (!soundA || !soundB) return PHONETIC_COSTS.other;
+
+        const palatalCost = soundA.palatal !== soundB.palatal ? PHONETIC_COSTS.palatal : 0;
+        return Math.min(PHONETIC_COSTS.other, PhoneticMatcher.soundCost(soundA, soundB) + palatalCost);
+    }
+
+    /**
+     * 子音・母音の違いの重み（拗音かどうかは除く）
+     */
+    static soundCost(soundA, soundB) {
+        const isPair = (pairs, x, y) => pairs.some(pair => pair === x + y || pair === y + x);
+        if (soundA.vowel === soundB.vowel) {
+            if (soundA.consonant === soundB.consonant) return 0;
+            if (isPair(VOICING_PAIRS, soundA.consonant, soundB.consonant)) return PHONETIC_COSTS.voicing;
+            if (isPair(SIMILAR_CONSONANTS, soundA.consonant, soundB.consonant)) return PHONETIC_COSTS.similarConsonant;
+            return PHONETIC_COSTS.consonant;
+        }
+        if (soundA.consonant === soundB.consonant) {
+            return isPair(SIMILAR_VOWELS, soundA.vowel, soundB.vowel) ? PHONETIC_COSTS.similarVowel : PHONETIC_COSTS.vowel;
+        }
+        return PHONETIC_COSTS.other;
+    }
+
+    /**
+     * 拍の音 { consonant, vowel, palatal }（拗音・外来音は前の仮名の子音と小書きの仮名の母音、仮名でなければnull）
+     */
+    static getSound(mora) {
+        const base = KANA_SOUNDS.get(mora[0]);
+        if (!base || mora.length === 1) return base || null;
+
+        return { consonant: base.consonant, vowel: COMBINING_KANA[mora[1]], palatal: PALATAL_KANA.includes(mora[1]) };
+    }
+
+    /**
+     * 拍の挿入・削除の重み（長音・促音・撥音は軽い）
+     */
+    static insertionCost(mora) {
+        if (mora === 'う' || mora === 'い') return PHONETIC_COSTS.longVowel;
+        if (mora === 'っ' || mora === 'ん') return PHONETIC_COSTS.moraicConsonant;
+        return PHONETIC_COSTS.insertion;
+    }
+
+    /**
+     * 読みの拍の列（拗音・外来音は2文字で1拍、前にまとめられない小書きの仮名は通常の仮名にする）
+     */
+    static toMorae(text) {
+        const reading = TextNormalizer.normalize(text, { reading: true, keepSmallKana: true });
+        const kana = [...reading].map(char => KANJI_READINGS.get(char) || char).join('');
+
+        const morae = [];
+        for (const char of TextNormalizer.normalize(kana, { keepSmallKana: true })) {
+            const previous = morae[morae.length - 1];
+            if (COMBINING_KANA[char] && previous && previous.length === 1 && KANA_SOUNDS.has(previous)) {
+                morae[morae.length - 1] = previous + char;
+            } else {
+                morae.push(char === 'っ' ? char : TextNormalizer.enlargeSmallKana(char));
+            }
+        }
+        return morae;
+    }
+}
\ No newline at end of file
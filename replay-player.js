@@ -0,0 +1,152 @@
+/**
+ * Voice Commander - リプレイ再生
+ * 記録したシードと入力タイムラインを同じゲーム内時刻でエンジンに投入し、対局を再現する
+ */
+
+// リプレイデータの形式（互換性のない変更をしたら上げる）
+const REPLAY_VERSION = 1;
+
+class ReplayPlayer {
+    constructor(engine, replay, options = {}) {
+        this.engine = engine;
+        this.replay = replay;
+        this.speed = options.speed || 1;
+
+        // 再生位置
+        this.inputIndex = 0;
+        this.transcriptIndex = 0;
+        this.isPlaying = false;
+        this.previousRules = null; // 再生後に戻すバランス定義
+
+        // コールバック
+        this.onInput = options.onInput || null;           // (input, result) 入力投入時
+        this.onTranscript = options.onTranscript || null; // (transcript) 認識結果の再生時
+        this.onFinish = options.onFinish || null;         // (progress) 再生終了時
+    }
+
+    /**
+     * リプレイデータ検証（不正な形式は例外）
+     */
+    static validate(replay) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay ? replay.version : replay}`);
+        }
+        if (!Array.isArray(replay.inputs)) {
+            throw new Error('Replay has no input timeline');
+        }
+        return replay;
+    }
+
+    /**
+     * JSON文字列から読み込み
+     */
+    static parse(json) {
+        return ReplayPlayer.validate(JSON.parse(json));
+    }
+
+    /**
+     * 再生開始（記録時のシード・モード・バランス定義で新しいゲームを開始）
+     */
+    start() {
+        ReplayPlayer.validate(this.replay);
+
+        this.inputIndex = 0;
+        this.transcriptIndex = 0;
+        this.isPlaying = true;
+
+        if (this.replay.rules) {
+            this.previousRules = this.engine.rules;
+            this.engine.setRules(this.replay.rules);
+        }
+
+        this.engine.startGame(this.replay.seed, this.replay.mode || DEFAULT_GAME_MODE);
+        this.engine.scheduler.setSpeed(this.speed);
+        this.engine.scheduler.onStep = () => this.feed();
+        this.feed();
+
+        console.log(`Replay started: seed ${this.replay.seed}, mode ${this.engine.mode}, ${this.replay.inputs.length} inputs, x${this.speed}`);
+    }
+
+    /**
+     * 現在のゲーム内時刻までの入力を投入（スケジューラの各ステップ後に実行）
+     */
+    feed() {
+        if (!this.isPlaying) return;
+
+        const now = this.engine.now();
+        const transcripts = this.replay.transcripts || [];
+        while (this.transcriptIndex < transcripts.length && transcripts[this.transcriptIndex].at <= now) {
+            const transcript = transcripts[this.transcriptIndex++];
+            if (this.onTranscript) {
+                this.onTranscript(transcript);
+            }
+        }
+
+        const inputs = this.replay.inputs;
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex].at <= now) {
+            const input = inputs[this.inputIndex++];
+            const result = this.apply(input);
+            if (this.onInput) {
+                this.onInput(input, result);
+            }
+        }
+
+        // ゲームオーバー、または記録の終端に達したら終了
+        const finished = this.inputIndex >= inputs.length && now >= this.replay.duration;
+        if (this.engine.gameState !== 'playing' || finished) {
+            this.stop();
+        }
+    }
+
+    /**
+     * 入力1件をエンジンに投入
+     */
+    apply(input) {
+        if (input.type === 'upgrade') {
+            return this.engine.chooseUpgrade(input.choice);
+        }
+        if (input.type === 'unrecognized') {
+            this.engine.recordRecognitionFailure(input.text);
+            return { success: false, reason: `認識できませんでした: "${input.text}"` };
+        }
+        return this.engine.handleCommand(input.command, input.text);
+    }
+
+    /**
+     * 再生停止（途中で止めた場合もゲームを終了する）
+     */
+    stop() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this.engine.scheduler.onStep = null;
+        this.engine.scheduler.setSpeed(1);
+
+        if (this.engine.gameState === 'playing' || this.engine.gameState === 'paused') {
+            this.engine.stopGame();
+        }
+        if (this.previousRules) {
+            this.engine.setRules(this.previousRules);
+            this.previousRules = null;
+        }
+
+        console.log(`Replay finished at ${this.engine.now()}ms`);
+
+        if (this.onFinish) {
+            this.onFinish(this.getProgress());
+        }
+    }
+
+    /**
+     * 再生状況
+     */
+    getProgress() {
+        return {
+            time: this.engine.now(),
+            duration: this.replay.duration,
+            inputsPlayed: this.inputIndex,
+            inputsTotal: this.replay.inputs.length,
+            completed: this.inputIndex >= this.replay.inputs.length
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,268 @@
+/**
+ * Voice Commander - ハイスコア・戦績
+ * 終了したゲームの成績を IndexedDB に記録し、モード別ランキング・自己ベスト・戦績推移と JSON での書き出し/読み込みを提供する
+ */
+
+// モード別ランキングの表示件数
+const SCORE_TABLE_SIZE = 10;
+
+// 書き出しファイルの形式
+const SCORE_EXPORT_FORMAT = 'voice-commander-scores';
+const SCORE_EXPORT_VERSION = 1;
+
+// 記録項目（数値は必須、それ以外は省略可）
+const SCORE_NUMBER_FIELDS = ['playedAt', 'score', 'kills', 'waves', 'survivalTime', 'maxCombo', 'accuracy'];
+const SCORE_FIELDS = [...SCORE_NUMBER_FIELDS, 'mode', 'result', 'stars', 'engine', 'rules', 'seed'];
+
+// 自己ベストの対象（すべて大きいほど良い）
+const PERSONAL_BEST_FIELDS = ['score', 'kills', 'waves', 'survivalTime', 'maxCombo', 'accuracy'];
+
+// 戦績推移グラフの指標
+const SCORE_TREND_METRICS = {
+    score: { name: 'スコア', getValue: record => record.score },
+    waves: { name: '到達ウェーブ', getValue: record => record.waves },
+    survivalTime: { name: '生存時間（秒）', getValue: record => record.survivalTime },
+    accuracy: { name: 'コマンド成功率（%）', getValue: record => Math.round(record.accuracy * 100) }
+};
+
+// 戦績推移グラフに表示する直近のゲーム数
+const SCORE_HISTORY_SIZE = 30;
+
+class ScoreStore {
+    constructor(databaseName = 'voiceCommanderScores') {
+        this.databaseName = databaseName;
+        this.storeName = 'games';
+        this.db = null;
+    }
+
+    /**
+     * データベースを開く（IndexedDB が使えなければfalse）
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available, scores will not be recorded');
+            return false;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('mode', 'mode');
+                    store.createIndex('playedAt', 'playedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            console.log('Score store opened');
+            return true;
+        } catch (error) {
+            console.error('Failed to open score store:', error);
+            this.db = null;
+            return false;
+        }
+    }
+
+    /**
+     * 利用可能か
+     */
+    isAvailable() {
+        return this.db !== null;
+    }
+
+    /**
+     * 1リクエストのトランザクションをPromise化（失敗・中断時は reject）
+     */
+    request(mode, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = action(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // 容量超過などで中断された場合（onerror を伴わないこともある）
+            transaction.onabort = () => reject(transaction.error || new Error('Score store transaction aborted'));
+        });
+    }
+
+    /**
+     * ゲーム結果（onGameOver の内容）から記録を作成
+     */
+    static createRecord(results, details = {}) {
+        return {
+            playedAt: details.playedAt || Date.now(),
+            mode: results.mode,
+            result: results.result,
+            stars: results.stars,
+            score: results.score,
+            kills: results.kills,
+            waves: results.waves,
+            survivalTime: Math.floor(results.survivalTime),
+            maxCombo: results.maxCombo,
+            accuracy: Math.round(results.accuracy * 1000) / 1000,
+            engine: details.engine || null,
+            rules: details.rules || null,
+            seed: details.seed !== undefined ? details.seed : null
+        };
+    }
+
+    /**
+     * 記録の検証（読み込みファイル用、不正な記録は例外）
+     */
+    static validateRecord(record) {
+        if (!record || typeof record !== 'object') {
+            throw new Error('Score record must be an object');
+        }
+        for (const field of SCORE_NUMBER_FIELDS) {
+            if (typeof record[field] !== 'number' || !Number.isFinite(record[field])) {
+                throw new Error(`Score record field "${field}" must be a number`);
+            }
+        }
+        if (typeof record.mode !== 'string') {
+            throw new Error('Score record field "mode" must be a string');
+        }
+
+        const validated = {};
+        for (const field of SCORE_FIELDS) {
+            validated[field] = record[field] !== undefined ? record[field] : null;
+        }
+        return validated;
+    }
+
+    /**
+     * 記録を追加（追加した記録のIDを返す）
+     */
+    async add(record) {
+        if (!this.isAvailable()) return null;
+
+        const id = await this.request('readwrite', store => store.add(record));
+        console.log(`Score recorded: ${record.mode} ${record.score}`);
+        return id;
+    }
+
+    /**
+     * 全記録（古い順）
+     */
+    async getAll() {
+        if (!this.isAvailable()) return [];
+
+        return this.request('readonly', store => store.index('playedAt').getAll());
+    }
+
+    /**
+     * モードの全記録（古い順）
+     */
+    async getByMode(modeId) {
+        if (!this.isAvailable()) return [];
+
+        const records = await this.request('readonly', store => store.index('mode').getAll(modeId));
+        return records.sort((a, b) => a.playedAt - b.playedAt);
+    }
+
+    /**
+     * モード別ランキング（スコアの高い順、同点は先に達成した方が上）
+     */
+    async getTopScores(modeId, limit = SCORE_TABLE_SIZE) {
+        const records = await this.getByMode(modeId);
+        return ScoreStore.rank(records).slice(0, limit);
+    }
+
+    /**
+     * スコア順に並べ替え
+     */
+    static rank(records) {
+        return [...records].sort((a, b) => b.score - a.score || a.playedAt - b.playedAt);
+    }
+
+    /**
+     * 記録の順位（1始まり）
+     */
+    async getRank(record) {
+        const ranked = ScoreStore.rank(await this.getByMode(record.mode));
+        return ranked.findIndex(entry => entry.id === record.id) + 1;
+    }
+
+    /**
+     * モードの自己ベスト（項目ごとの最高値、記録がなければnull）
+     */
+    async getPersonalBests(modeId) {
+        const records = await this.getByMode(modeId);
+        return ScoreStore.getBests(records);
+    }
+
+    /**
+     * 記録から項目ごとの最高値
+     */
+    static getBests(records) {
+        if (records.length === 0) return null;
+
+        const bests = { games: records.length };
+        for (const field of PERSONAL_BEST_FIELDS) {
+            bests[field] = Math.max(...records.map(record => record[field]));
+        }
+        return bests;
+    }
+
+    /**
+     * 全記録をJSON文字列で書き出し
+     */
+    async exportJSON() {
+        const records = await this.getAll();
+        return JSON.stringify({
+            format: SCORE_EXPORT_FORMAT,
+            version: SCORE_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            records: records.map(record => ScoreStore.validateRecord(record))
+        }, null, 2);
+    }
+
+    /**
+     * JSON文字列から読み込み（同じ日時・モード・スコアの記録は重複として除外、追加件数を返す）
+     */
+    async importJSON(json) {
+        if (!this.isAvailable()) {
+            throw new Error('Score store is not available');
+        }
+
+        const data = JSON.parse(json);
+        if (!data || data.format !== SCORE_EXPORT_FORMAT || !Array.isArray(data.records)) {
+            throw new Error('Not a score export file');
+        }
+        if (data.version > SCORE_EXPORT_VERSION) {
+            throw new Error(`Unsupported score export version: ${data.version}`);
+        }
+
+        const records = data.records.map(record => ScoreStore.validateRecord(record));
+        const existing = new Set((await this.getAll()).map(record => ScoreStore.getRecordKey(record)));
+
+        let imported = 0;
+        for (const record of records) {
+            const key = ScoreStore.getRecordKey(record);
+            if (existing.has(key)) continue;
+
+            await this.request('readwrite', store => store.add(record));
+            existing.add(key);
+            imported++;
+        }
+
+        console.log(`Scores imported: ${imported}/${records.length}`);
+        return imported;
+    }
+
+    /**
+     * 重複判定用のキー
+     */
+    static getRecordKey(record) {
+        return `${record.playedAt}:${record.mode}:${record.score}`;
+    }
+
+    /**
+     * 全記録削除
+     */
+    async clear() {
+        if (!this.isAvailable()) return;
+
+        await this.request('readwrite', store => store.clear());
+        console.log('Scores cleared');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Voice Commander - シード付き乱数生成器
+ * 同じシードから同じ乱数列を再現するための決定論的RNG（mulberry32）
+ */
+
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = 0;
+        this.state = 0;
+
+        this.setSeed(seed);
+    }
+
+    /**
+     * 新しいシード生成
+     */
+    static generateSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0xffffffff)) >>> 0;
+    }
+
+    /**
+     * 文字列シードを32bit整数に変換（FNV-1a）
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * シード設定（乱数列を先頭に戻す）
+     */
+    setSeed(seed) {
+        this.seed = typeof seed === 'string' ? SeededRandom.hashString(seed) : (Number(seed) >>> 0);
+        this.state = this.seed;
+    }
+
+    /**
+     * 0以上1未満の乱数（Math.random() 互換）
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * min以上max未満の乱数
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * 確率判定
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * 配列からランダムに1要素選択
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * 内部状態取得（保存・再現用）
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    /**
+     * 内部状態復元
+     */
+    setState(savedState) {
+        this.seed = savedState.seed >>> 0;
+        this.state = savedState.state >>> 0;
+    }
+}
\ No newline at end of file
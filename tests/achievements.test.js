@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GAME_SCRIPTS } = require('../headless-runner');
+const { loadScripts } = require('./load-scripts');
+
+const storage = new Map();
+const load = loadScripts([...GAME_SCRIPTS, 'achievements.js'], {
+    localStorage: {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, value)
+    }
+});
+const GameEngine = load('GameEngine');
+const VirtualClock = load('VirtualClock');
+const AchievementTracker = load('AchievementTracker');
+
+/**
+ * 開始したゲームと、そのイベントを購読した実績（解除状況は空から）
+ */
+function startGame() {
+    storage.clear();
+    const engine = new GameEngine({ clock: new VirtualClock(), seed: 1 });
+    const tracker = new AchievementTracker();
+    tracker.attach(engine.events);
+    engine.startGame(1);
+    return { engine, tracker };
+}
+
+/**
+ * 状況報告（エネルギー・再使用待ちなし）を count 回実行
+ */
+function reportStatus(engine, count) {
+    for (let i = 0; i < count; i++) {
+        assert.ok(engine.handleCommand('status', '状況').success);
+    }
+}
+
+test('fifty executed commands in a row unlock the clean streak', () => {
+    const { engine, tracker } = startGame();
+    reportStatus(engine, 49);
+    assert.ok(!tracker.isUnlocked('cleanStreak50'));
+    reportStatus(engine, 1);
+    assert.ok(tracker.isUnlocked('cleanStreak50'));
+});
+
+test('an unknown command such as a suggestion resets the clean streak', () => {
+    const { engine, tracker } = startGame();
+    reportStatus(engine, 49);
+    engine.handleCommand('suggestion', 'もしかして：攻撃');
+    reportStatus(engine, 1);
+    assert.ok(!tracker.isUnlocked('cleanStreak50'));
+});
+
+test('undo and commands that were not carried out do not count toward the clean streak', () => {
+    const { engine, tracker } = startGame();
+    reportStatus(engine, 48);
+    assert.ok(!engine.handleCommand('undo', '取り消し').success);
+    assert.ok(!engine.handleCommand('attack', '攻撃').success);  // 敵がいない
+    reportStatus(engine, 1);
+    assert.strictEqual(tracker.session.streaks.cleanStreak50, 49);
+    assert.ok(!tracker.isUnlocked('cleanStreak50'));
+});
\ No newline at end of file
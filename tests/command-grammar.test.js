@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const load = loadScripts(['text-normalizer.js', 'command-grammar.js']);
+const CommandGrammar = load('CommandGrammar');
+
+test('chooseAlternative gives a usable confidence when the browser reports none', () => {
+    const best = CommandGrammar.chooseAlternative([{ transcript: '攻撃', confidence: 0 }]);
+    assert.strictEqual(best.transcript, '攻撃');
+    assert.strictEqual(best.confidence, 0.8);
+});
+
+test('chooseAlternative keeps the confidence reported by the browser', () => {
+    const best = CommandGrammar.chooseAlternative([{ transcript: '攻撃', confidence: 0.62 }]);
+    assert.strictEqual(best.confidence, 0.62);
+});
+
+test('alternatives without confidence decay from the one above', () => {
+    const ranked = CommandGrammar.rescoreAlternatives([
+        { transcript: 'こんにちは', confidence: 0 },
+        { transcript: '防御', confidence: 0 }
+    ]);
+    assert.strictEqual(ranked[0].transcript, '防御');
+    assert.ok(Math.abs(ranked[0].confidence - 0.64) < 1e-9, `confidence was ${ranked[0].confidence}`);
+    assert.strictEqual(ranked[1].confidence, 0.8);
+});
\ No newline at end of file
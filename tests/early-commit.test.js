@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const load = loadScripts([
+    'event-bus.js', 'text-normalizer.js', 'command-grammar.js', 'phonetic-matcher.js',
+    'command-dispatch.js', 'early-commit.js', 'voice-recognition-unified.js'
+], {
+    window: {},
+    navigator: {},
+    localStorage: { getItem: () => null, setItem: () => {}, removeItem: () => {} },
+    setTimeout,
+    clearTimeout
+});
+const UnifiedVoiceRecognition = load('UnifiedVoiceRecognition');
+
+/**
+ * 実行したコマンドの表記（種別、方面指定があれば「種別:方面」）
+ */
+function describe(command) {
+    return typeof command === 'string' ? command : [command.type, command.sector].filter(Boolean).join(':');
+}
+
+/**
+ * 中間結果 interims の後に確定結果 final を同じ発話として通知し、実行したコマンドの表記を返す
+ */
+async function recognize(interims, final) {
+    const recognizer = new UnifiedVoiceRecognition();
+    await recognizer.initializeAdvancedFeatures();
+    recognizer.advancedFeatures.queueProcessingDelay = 0;
+
+    const executed = [];
+    recognizer.setCallbacks({ onCommand: command => executed.push(describe(command)) });
+
+    recognizer.events.emit('recognition:statusChange', 'listening');
+    for (const transcript of interims) {
+        recognizer.events.emit('recognition:result', transcript, 0, false, { resultIndex: 0 });
+    }
+    recognizer.events.emit('recognition:result', final, 0.9, true,
+        { alternatives: [{ transcript: final, confidence: 0.9 }], resultIndex: 0 });
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    recognizer.cleanup();
+    return executed;
+}
+
+test('a stable interim command is executed before the final result', async () => {
+    assert.deepStrictEqual(await recognize(['攻撃', '攻撃'], '攻撃'), ['attack']);
+});
+
+test('a final result that extends the early commit runs only the rest', async () => {
+    assert.deepStrictEqual(await recognize(['攻撃', '攻撃'], '攻撃と防御'), ['attack', 'defend']);
+    assert.deepStrictEqual(await recognize(['北を攻撃', '北を攻撃'], '北を攻撃と防御'), ['attack:north', 'defend']);
+    assert.deepStrictEqual(await recognize(['攻撃', '攻撃'], '攻撃して撤退'), ['attack', 'retreat']);
+});
+
+test('a final result that adds a sector to the early commit is executed as well', async () => {
+    assert.deepStrictEqual(await recognize(['防御', '防御'], '防御、北'), ['defend', 'defend:north']);
+    assert.deepStrictEqual(await recognize(['北を攻撃', '北を攻撃'], '北を攻撃'), ['attack:north']);
+});
+
+test('a final result with a different command is still executed', async () => {
+    assert.deepStrictEqual(await recognize(['攻撃', '攻撃'], '防御'), ['attack', 'defend']);
+});
+
+test('early commits leave the transcript to the final result with its confidence', async () => {
+    const recognizer = new UnifiedVoiceRecognition();
+    await recognizer.initializeAdvancedFeatures();
+
+    const transcripts = [];
+    recognizer.setCallbacks({ onTranscript: (transcript, confidence) => transcripts.push([transcript, confidence]) });
+
+    recognizer.events.emit('recognition:statusChange', 'listening');
+    recognizer.events.emit('recognition:result', '攻撃', 0, false, { resultIndex: 0 });
+    recognizer.events.emit('recognition:result', '攻撃', 0, false, { resultIndex: 0 });
+    assert.deepStrictEqual(transcripts, []);
+
+    recognizer.events.emit('recognition:result', '攻撃', 0.9, true,
+        { alternatives: [{ transcript: '攻撃', confidence: 0.9 }], resultIndex: 0 });
+    recognizer.cleanup();
+    assert.deepStrictEqual(transcripts, [['攻撃', 0.9]]);
+});
\ No newline at end of file
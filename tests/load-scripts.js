@@ -0,0 +1,30 @@
+/**
+ * Voice Commander - テスト用のスクリプト読み込み（Node.js専用）
+ * ブラウザ向けのスクリプトを headless-runner.js と同じく隔離コンテキストに読み込み、クラス・定数を取り出す
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * スクリプトを順に読み込み、名前で値を取り出す関数を返す（globals はコンテキストに追加する値）
+ */
+function loadScripts(files, globals = {}) {
+    const noop = () => {};
+    const context = vm.createContext({
+        console: { log: noop, info: noop, warn: noop, error: noop, debug: noop },
+        ...globals
+    });
+
+    for (const file of files) {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    }
+
+    return name => vm.runInContext(name, context);
+}
+
+module.exports = { loadScripts };
\ No newline at end of file
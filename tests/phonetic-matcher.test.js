@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const load = loadScripts(['text-normalizer.js', 'command-grammar.js', 'phonetic-matcher.js']);
+const PhoneticMatcher = load('PhoneticMatcher');
+
+test('toMorae keeps contracted sounds together as one mora', () => {
+    assert.deepStrictEqual([...PhoneticMatcher.toMorae('じょう')], ['じょ', 'う']);
+    assert.deepStrictEqual([...PhoneticMatcher.toMorae('ボウギョ')], ['ぼ', 'う', 'ぎょ']);
+    assert.deepStrictEqual([...PhoneticMatcher.toMorae('撤退')], ['て', 'っ', 'た', 'い']);
+});
+
+test('distance tells a contracted sound from the same kana written large', () => {
+    const distance = PhoneticMatcher.distance(PhoneticMatcher.toMorae('じょ'), PhoneticMatcher.toMorae('じよ'));
+    assert.ok(distance > 0, `distance was ${distance}`);
+});
+
+test('misheard kanji still resolve to the intended command', () => {
+    for (const [text, type] of [['後撃', 'attack'], ['暴御', 'defend'], ['情況', 'status'], ['鉄隊', 'retreat']]) {
+        const { accepted } = PhoneticMatcher.resolve(PhoneticMatcher.rank(text));
+        assert.strictEqual(accepted && accepted.type, type, text);
+    }
+});
\ No newline at end of file
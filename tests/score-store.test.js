@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const ScoreStore = loadScripts(['score-store.js'])('ScoreStore');
+
+/**
+ * 1つのトランザクションだけを返す IndexedDB の代わり
+ */
+function createStore() {
+    const transaction = { objectStore: () => ({ add: () => ({ result: 1 }) }) };
+    const store = new ScoreStore('test');
+    store.db = { transaction: () => transaction };
+    return { store, transaction };
+}
+
+test('request resolves with the request result when the transaction completes', async () => {
+    const { store, transaction } = createStore();
+    const pending = store.request('readwrite', objectStore => objectStore.add({}));
+    transaction.oncomplete();
+    assert.strictEqual(await pending, 1);
+});
+
+test('request rejects when the transaction is aborted', async () => {
+    const { store, transaction } = createStore();
+    const pending = store.request('readwrite', objectStore => objectStore.add({}));
+    transaction.error = new Error('QuotaExceededError');
+    transaction.onabort();
+    await assert.rejects(pending, /QuotaExceededError/);
+});
+
+test('request rejects when the transaction is aborted without an error', async () => {
+    const { store, transaction } = createStore();
+    const pending = store.request('readwrite', objectStore => objectStore.add({}));
+    transaction.error = null;
+    transaction.onabort();
+    await assert.rejects(pending, /aborted/);
+});
\ No newline at end of file
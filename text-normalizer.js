@@ -0,0 +1,188 @@
+/**
+ * Voice Commander - テキスト正規化
+ * コマンド照合の前に、認識結果と照合する語の表記ゆれをそろえる
+ *   全角・半角（NFKC）、大文字・小文字、カタカナ → ひらがな、長音符 → 直前の仮名の母音、
+ *   小書きの仮名 → 通常の仮名（任意で残す）、句読点・記号・空白の除去、（任意）登録語を読み仮名に置き換え
+ * 発話と照合する語の両方を同じ形にしてから比較する（正規化した形は照合専用で、表示や記録には元の発話を使う）
+ */
+
+// 既定の正規化オプション（reading: 登録語を読み仮名に置き換える、keepSmallKana: 小書きの仮名を残す）
+const TEXT_NORMALIZATION_DEFAULTS = {
+    reading: false,
+    keepSmallKana: false
+};
+
+// 読み仮名（reading オプション、コマンド・方面・艦隊の語、長い語から置き換える）
+const KANA_READINGS = {
+    '攻撃': 'こうげき',
+    '防御': 'ぼうぎょ',
+    '撤退': 'てったい',
+    '状況': 'じょうきょう',
+    '報告': 'ほうこく',
+    '取り消し': 'とりけし',
+    '取消': 'とりけし',
+    '戦う': 'たたかう',
+    '守る': 'まもる',
+    '逃げる': 'にげる',
+    '引く': 'ひく',
+    '敵': 'てき',
+    '北': 'きた',
+    '東': 'ひがし',
+    '南': 'みなみ',
+    '西': 'にし',
+    '前方': 'ぜんぽう',
+    '正面': 'しょうめん',
+    '後方': 'こうほう',
+    '後ろ': 'うしろ',
+    '右翼': 'うよく',
+    '左翼': 'さよく',
+    '右': 'みぎ',
+    '左': 'ひだり',
+    '艦隊': 'かんたい',
+    '第一': 'だいいち',
+    '第二': 'だいに',
+    '第三': 'だいさん'
+};
+
+// 長音符を置き換える母音（え段は「い」、お段は「う」）
+const LONG_VOWEL_ROWS = [
+    ['あかさたなはまやらわがざだばぱぁゃゎ', 'あ'],
+    ['いきしちにひみりぎじぢびぴぃ', 'い'],
+    ['うくすつぬふむゆるぐずづぶぷぅゅゔ', 'う'],
+    ['えけせてねへめれげぜでべぺぇ', 'い'],
+    ['おこそとのほもよろをごぞどぼぽぉょ', 'う']
+];
+
+// 小書きの仮名 → 通常の仮名
+const SMALL_KANA = {
+    'ぁ': 'あ', 'ぃ': 'い', 'ぅ': 'う', 'ぇ': 'え', 'ぉ': 'お',
+    'っ': 'つ', 'ゃ': 'や', 'ゅ': 'ゆ', 'ょ': 'よ', 'ゎ': 'わ', 'ゕ': 'か', 'ゖ': 'け'
+};
+
+const LONG_VOWELS = new Map(
+    LONG_VOWEL_ROWS.flatMap(([kana, vowel]) => [...kana].map(char => [char, vowel]))
+);
+
+const READING_WORDS = Object.keys(KANA_READINGS).sort((a, b) => b.length - a.length);
+
+// 正規化した正規表現のキャッシュ（元の正規表現 -> { オプションのキー: 正規表現 }）
+const normalizedPatterns = new WeakMap();
+
+class TextNormalizer {
+    /**
+     * 照合用の形に正規化
+     */
+    static normalize(text, options = {}) {
+        if (typeof text !== 'string') return '';
+
+        const settings = { ...TEXT_NORMALIZATION_DEFAULTS, ...options };
+        let normalized = text.normalize('NFKC').toLowerCase();
+        if (settings.reading) {
+            normalized = TextNormalizer.applyReadings(normalized);
+        }
+        normalized = TextNormalizer.toHiragana(normalized);
+        normalized = TextNormalizer.expandLongVowels(normalized);
+        if (!settings.keepSmallKana) {
+            normalized = TextNormalizer.enlargeSmallKana(normalized);
+        }
+        return TextNormalizer.removePunctuation(normalized);
+    }
+
+    /**
+     * 正規表現を照合用に正規化（記号・エスケープは残し、仮名と英字だけそろえる）
+     */
+    static normalizePattern(pattern, options = {}) {
+        const settings = { ...TEXT_NORMALIZATION_DEFAULTS, ...options };
+        const key = `${settings.reading}:${settings.keepSmallKana}`;
+
+        let cached = normalizedPatterns.get(pattern);
+        if (!cached) {
+            cached = {};
+            normalizedPatterns.set(pattern, cached);
+        }
+        if (!cached[key]) {
+            // エスケープ（\S など）以外の英字を小文字に
+            let source = pattern.source.normalize('NFKC').replace(/(\\?)([A-Z])/g,
+                (match, escape, letter) => escape ? match : letter.toLowerCase());
+            if (settings.reading) {
+                source = TextNormalizer.applyReadings(source);
+            }
+            source = TextNormalizer.expandLongVowels(TextNormalizer.toHiragana(source));
+            if (!settings.keepSmallKana) {
+                source = TextNormalizer.enlargeSmallKana(source);
+            }
+            cached[key] = new RegExp(source, pattern.flags);
+        }
+        return cached[key];
+    }
+
+    /**
+     * 正規化した形で語を含むか
+     */
+    static contains(text, keyword, options = {}) {
+        return TextNormalizer.indexOf(text, keyword, options) !== -1;
+    }
+
+    /**
+     * 正規化した形での語の位置（正規化後の発話での位置、なければ -1）
+     */
+    static indexOf(text, keyword, options = {}) {
+        const normalizedKeyword = TextNormalizer.normalize(keyword, options);
+        if (!normalizedKeyword) return -1;
+        return TextNormalizer.normalize(text, options).indexOf(normalizedKeyword);
+    }
+
+    /**
+     * 正規化した形で正規表現に一致するか
+     */
+    static test(pattern, text, options = {}) {
+        return TextNormalizer.normalizePattern(pattern, options).test(TextNormalizer.normalize(text, options));
+    }
+
+    /**
+     * カタカナ → ひらがな（ヷ〜ヺなど対応するひらがながない文字はそのまま）
+     */
+    static toHiragana(text) {
+        return text.replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+    }
+
+    /**
+     * 長音符 → 直前の仮名の母音（仮名以外の後ろの長音符は除く）
+     */
+    static expandLongVowels(text) {
+        let result = '';
+        for (const char of text) {
+            if (char === 'ー') {
+                result += LONG_VOWELS.get(result[result.length - 1]) || '';
+            } else {
+                result += char;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 小書きの仮名 → 通常の仮名
+     */
+    static enlargeSmallKana(text) {
+        return text.replace(/[ぁぃぅぇぉっゃゅょゎゕゖ]/g, char => SMALL_KANA[char]);
+    }
+
+    /**
+     * 句読点・記号・空白の除去
+     */
+    static removePunctuation(text) {
+        return text.replace(/[\s\p{P}\p{S}]/gu, '');
+    }
+
+    /**
+     * 登録語を読み仮名に置き換え（長い語を優先）
+     */
+    static applyReadings(text) {
+        let result = text;
+        for (const word of READING_WORDS) {
+            result = result.split(word).join(KANA_READINGS[word]);
+        }
+        return result;
+    }
+}
\ No newline at end of file
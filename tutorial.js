@@ -0,0 +1,333 @@
+/**
+ * Voice Commander - チュートリアル
+ * GameEngine 上で敵を1体ずつ配置し、読み上げで各コマンドを説明して正しく言えるまで待つ
+ * 最後に、練習中の発話の信頼度からそのプレイヤー向けの確認の閾値を決める
+ *
+ * ステップは宣言的に記述する：
+ *   phrase    話してほしい言葉（表示用）
+ *   narration ステップ開始時の説明、hint は言い直しを促す案内
+ *   enemy     { type, sector, hold }：配置する敵（hold は停止する距離、0なら防衛線まで接近して攻撃する）
+ *   expect    (コマンド, GameEngine) => 正しいコマンドか
+ */
+
+const TUTORIAL_STEPS = [
+    {
+        title: '方面を指定して攻撃',
+        phrase: '北を攻撃',
+        narration: '北方面に強襲機が現れました。敵のいる方面を指定して攻撃します。北を攻撃、と話してください。',
+        hint: '敵は北にいます。北を攻撃、と話してください。',
+        enemy: { type: 'raider', sector: 'north', hold: 40 },
+        expect: (command) => command.type === 'attack' && command.sector === 'north'
+    },
+    {
+        title: '艦隊を指定して攻撃',
+        phrase: '第二艦隊、東を攻撃',
+        narration: '艦隊を指定して指揮することもできます。東方面の敵に、第二艦隊、東を攻撃、と話してください。',
+        hint: '艦隊の名前から続けて、第二艦隊、東を攻撃、と話してください。',
+        enemy: { type: 'swarm', sector: 'east', hold: 40 },
+        expect: (command) => command.type === 'attack' && command.sector === 'east' && command.fleet === 'second'
+    },
+    {
+        title: '方面シールド',
+        phrase: '西を防御',
+        narration: '方面を指定して防御すると、その方面にシールドを張って攻撃を吸収します。西を防御、と話してください。',
+        hint: 'シールドを張るのは西です。西を防御、と話してください。',
+        enemy: { type: 'swarm', sector: 'west', hold: 40 },
+        expect: (command) => command.type === 'defend' && command.sector === 'west'
+    },
+    {
+        title: '予告攻撃への防御',
+        phrase: '防御（予告が聞こえたら）',
+        narration: '南方面の重巡艦は、攻撃の前に予告します。予告が聞こえたら、すぐに、防御、と話してください。',
+        hint: '予告が聞こえてから、防御、と話してください。',
+        enemy: { type: 'destroyer', sector: 'south', hold: 0 },
+        expect: (command, engine) => command.type === 'defend' && engine.getTelegraphedEnemies(command.sector).length > 0
+    },
+    {
+        title: '状況報告',
+        phrase: '状況',
+        narration: '最後に戦況を確認します。状況、と話してください。',
+        hint: '状況、と話してください。',
+        enemy: null,
+        expect: (command) => command.type === 'status'
+    }
+];
+
+// 正解後、次のステップまでの間（ms、読み上げが終わるのを待つ）
+const TUTORIAL_STEP_DELAY = 4000;
+
+// この回数言い直したら、ゆっくり話すよう案内する
+const TUTORIAL_PATIENCE = 3;
+
+// 確認の閾値の調整（正しく認識された発話のうち下位この割合は確認対象に残す、結果は範囲内に収める）
+const CALIBRATION_PERCENTILE = 0.2;
+const CALIBRATION_MARGIN = 0.05;
+const CALIBRATION_RANGE = { min: 0.3, max: 0.9 };
+
+class TutorialCampaign {
+    constructor(options = {}) {
+        this.engine = options.engine;
+        this.events = options.eventBus || options.engine.events;
+        this.audio = options.audio || null;
+        this.onUpdate = options.onUpdate || null;     // 表示更新 (進行状況) => void
+        this.onComplete = options.onComplete || null; // 完了時 (調整結果) => void
+
+        this.stepIndex = -1;
+        this.accepting = false;  // 現在のステップの発話を判定中か
+        this.attempts = 0;       // 現在のステップで言い直した回数
+        this.misses = 0;         // 全体で言い直した回数
+        this.samples = [];       // コマンドになった発話の { confidence, correct }
+        this.lastTranscript = null; // 直前の認識結果 { transcript, confidence }
+        this.heard = null;       // 判定済みの発話 { transcript, confidence, command, correct }
+        this.stepTimer = null;
+        this.unsubscribes = [];
+    }
+
+    /**
+     * 開始（GameEngine はチュートリアルモードで開始済みであること）
+     */
+    start() {
+        this.stop();
+        this.stepIndex = -1;
+        this.misses = 0;
+        this.samples = [];
+        this.heard = null;
+
+        this.unsubscribes = [
+            this.events.on('recognition:transcript', (transcript, confidence) => this.handleTranscript(transcript, confidence)),
+            this.events.on('game:commandReceived', (command) => this.handleCommand(command)),
+            this.events.on('game:recognitionFailure', () => this.handleRecognitionFailure()),
+            this.events.on('game:statsUpdate', () => this.checkEnemy())
+        ];
+
+        this.narrate('チュートリアルを始めます。敵は1体ずつ現れます。案内に従って、声で艦隊に指示してください。');
+        this.scheduleStep(0);
+        console.log('Tutorial started');
+    }
+
+    /**
+     * 中断（購読・予約を解除）
+     */
+    stop() {
+        if (this.stepTimer !== null) {
+            this.engine.clock.clearTimeout(this.stepTimer);
+            this.stepTimer = null;
+        }
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.unsubscribes = [];
+        this.accepting = false;
+    }
+
+    /**
+     * 現在のステップ（開始前・完了後はnull）
+     */
+    getStep() {
+        return TUTORIAL_STEPS[this.stepIndex] || null;
+    }
+
+    /**
+     * 表示用の進行状況
+     */
+    getProgress() {
+        const step = this.getStep();
+        return {
+            stepIndex: this.stepIndex,
+            stepCount: TUTORIAL_STEPS.length,
+            step: step ? { title: step.title, phrase: step.phrase } : null,
+            accepting: this.accepting,
+            attempts: this.attempts,
+            heard: this.heard
+        };
+    }
+
+    /**
+     * 次のステップを予約（最後のステップの後は完了）
+     */
+    scheduleStep(index) {
+        this.stepTimer = this.engine.clock.setTimeout(() => {
+            this.stepTimer = null;
+            if (index < TUTORIAL_STEPS.length) {
+                this.startStep(index);
+            } else {
+                this.finish();
+            }
+        }, TUTORIAL_STEP_DELAY);
+    }
+
+    /**
+     * ステップ開始（前のステップの敵を下げ、このステップの敵を配置して説明）
+     */
+    startStep(index) {
+        this.stepIndex = index;
+        this.attempts = 0;
+        this.heard = null;
+
+        const step = this.getStep();
+        for (const enemy of [...this.engine.enemies]) {
+            this.engine.removeEnemy(enemy);
+        }
+        if (step.enemy) {
+            this.deployEnemy(step.enemy);
+        }
+
+        this.accepting = true;
+        this.narrate(step.narration);
+        this.notifyUpdate();
+    }
+
+    /**
+     * ステップの敵を配置
+     */
+    deployEnemy(definition) {
+        const enemy = this.engine.addEnemy(definition.type, definition.sector, definition.hold);
+        this.engine.addMessage('system', `${SECTORS[enemy.sector].name}方面に${enemy.name}出現`);
+        this.engine.notifyStatsUpdate();
+    }
+
+    /**
+     * 敵が離脱・撃破されたのにステップが終わっていなければ配置し直す（毎秒の統計更新時）
+     */
+    checkEnemy() {
+        const step = this.getStep();
+        if (!this.accepting || !step || !step.enemy) return;
+        if (this.engine.enemies.some(enemy => enemy.sector === step.enemy.sector)) return;
+
+        this.deployEnemy(step.enemy);
+        this.narrate(`もう一度、敵を出します。${step.hint}`);
+    }
+
+    /**
+     * 認識結果（判定前に聞き取った言葉を表示）
+     */
+    handleTranscript(transcript, confidence) {
+        if (!this.accepting) return;
+
+        this.lastTranscript = { transcript: transcript, confidence: confidence };
+        this.heard = { transcript: transcript, confidence: confidence, command: null, correct: null };
+        this.notifyUpdate();
+    }
+
+    /**
+     * コマンドとして受け付けた発話の判定
+     */
+    handleCommand(command) {
+        if (!this.accepting) return;
+
+        const step = this.getStep();
+        const correct = !!step.expect(command, this.engine);
+        const heard = this.takeTranscript();
+        this.heard = { ...heard, command: CommandGrammar.describe(command), correct: correct };
+        if (typeof heard.confidence === 'number') {
+            this.samples.push({ confidence: heard.confidence, correct: correct });
+        }
+
+        if (correct) {
+            this.completeStep();
+        } else {
+            this.retry();
+        }
+    }
+
+    /**
+     * コマンドにならなかった発話
+     */
+    handleRecognitionFailure() {
+        if (!this.accepting) return;
+
+        this.heard = { ...this.takeTranscript(), command: null, correct: false };
+        this.retry();
+    }
+
+    /**
+     * 判定対象の認識結果を取り出す（認識結果を伴わない入力は空）
+     */
+    takeTranscript() {
+        const heard = this.lastTranscript || { transcript: '', confidence: null };
+        this.lastTranscript = null;
+        return heard;
+    }
+
+    /**
+     * 言い直しを促す（続けて失敗したらゆっくり話すよう案内）
+     */
+    retry() {
+        this.attempts++;
+        this.misses++;
+
+        const step = this.getStep();
+        const encouragement = this.attempts >= TUTORIAL_PATIENCE ? '焦らなくて大丈夫です。ゆっくり、はっきり話してみましょう。' : '惜しいです。';
+        this.narrate(`${encouragement}${step.hint}`);
+        this.notifyUpdate();
+    }
+
+    /**
+     * ステップ完了
+     */
+    completeStep() {
+        this.accepting = false;
+        this.narrate(this.attempts === 0 ? '完璧です！' : 'できました！');
+        this.notifyUpdate();
+        this.scheduleStep(this.stepIndex + 1);
+    }
+
+    /**
+     * 完了（確認の閾値を調整して通知）
+     */
+    finish() {
+        this.stop();
+        this.stepIndex = TUTORIAL_STEPS.length;
+
+        const threshold = TutorialCampaign.calibrateThreshold(this.samples);
+        const calibration = { threshold: threshold, samples: this.samples.length, misses: this.misses };
+
+        const thresholdText = threshold !== null ?
+            `あなたの声に合わせて、確認の基準を信頼度${Math.round(threshold * 100)}パーセントにしました。` : '';
+        this.narrate(`チュートリアル完了です。${thresholdText}防衛戦で実際に指揮してみましょう。`);
+        this.notifyUpdate();
+
+        console.log('Tutorial finished:', calibration);
+        if (this.onComplete) {
+            this.onComplete(calibration);
+        }
+    }
+
+    /**
+     * 確認の閾値を決める（正しく認識された発話の大半は確認なしで通し、誤認識の平均までは確認する）
+     * コマンドになった発話がなければnull
+     */
+    static calibrateThreshold(samples) {
+        const correct = samples.filter(sample => sample.correct).map(sample => sample.confidence).sort((a, b) => a - b);
+        if (correct.length === 0) return null;
+
+        const accepted = correct[Math.floor(correct.length * CALIBRATION_PERCENTILE)];
+        let threshold = accepted - CALIBRATION_MARGIN;
+
+        const wrong = samples.filter(sample => !sample.correct).map(sample => sample.confidence);
+        if (wrong.length > 0) {
+            const wrongAverage = wrong.reduce((sum, confidence) => sum + confidence, 0) / wrong.length;
+            threshold = Math.max(threshold, Math.min(wrongAverage, accepted));
+        }
+
+        const clamped = Math.max(CALIBRATION_RANGE.min, Math.min(CALIBRATION_RANGE.max, threshold));
+        return Math.round(clamped * 100) / 100;
+    }
+
+    /**
+     * 説明の読み上げ（通信ログにも表示）
+     */
+    narrate(text) {
+        this.engine.addMessage('system', `📘 ${text}`);
+        if (this.audio) {
+            this.audio.speakAsSystem(text);
+        }
+    }
+
+    /**
+     * 表示更新の通知
+     */
+    notifyUpdate() {
+        if (this.onUpdate) {
+            this.onUpdate(this.getProgress());
+        }
+    }
+}
\ No newline at end of file
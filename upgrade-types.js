@@ -0,0 +1,45 @@
+/**
+ * Voice Commander - 強化定義
+ * ウェーブ間の補給フェーズで補給ポイントと引き換えに購入する強化
+ */
+
+// 補給フェーズの制限時間（この間に音声で購入、時間切れで次の波へ）
+const INTERMISSION_DURATION = 20000;
+
+// 補給フェーズを終える発話
+const INTERMISSION_SKIP_KEYWORDS = ['スキップ', 'すきっぷ', '次の波', '次へ', 'いらない', '終了', 'skip'];
+
+const UPGRADES = {
+    // 方面シールド上限と防御の回復量が増える
+    shield: {
+        name: 'シールド強化',
+        keywords: ['シールド強化', 'シールド', 'しーるど'],
+        costs: [4, 7, 10],       // レベルごとの価格（要素数が最大レベル）
+        description: 'シールド上限+15・防御回復+2'
+    },
+
+    // 攻撃成功率が上がる
+    accuracy: {
+        name: '照準強化',
+        keywords: ['照準強化', '照準', 'しょうじゅん', '命中強化'],
+        costs: [4, 7, 10],
+        description: '攻撃成功率+5%'
+    },
+
+    // 戦闘中の全艦隊の耐久を全回復（何度でも購入可）
+    repair: {
+        name: '艦隊修理',
+        keywords: ['艦隊修理', '修理', 'しゅうり'],
+        costs: null,
+        repeatCost: 3,
+        description: '全艦隊の耐久を全回復'
+    },
+
+    // 自動防御の発動条件と回復量が上がる
+    autoDefense: {
+        name: '自動防御強化',
+        keywords: ['自動防御強化', '自動防御', 'じどうぼうぎょ'],
+        costs: [3, 6, 9],
+        description: '自動防御の発動+5・回復+1'
+    }
+};
\ No newline at end of file
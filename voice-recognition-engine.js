@@ -3,26 +3,29 @@
  * Strategy パターンによる音声認識エンジンの抽象化
  */
 
+const RECOGNITION_ENGINE_CALLBACK_EVENTS = {
+    onCommand: 'recognition:command',
+    onStatusChange: 'recognition:statusChange',
+    onError: 'recognition:error',
+    onResult: 'recognition:result'
+};
+
 class VoiceRecognitionEngine {
-    constructor() {
+    constructor(options = {}) {
         this.isSupported = false;
         this.isListening = false;
         this.isInitialized = false;
         
-        // コールバック関数群
-        this.callbacks = {
-            onCommand: null,
-            onStatusChange: null,
-            onError: null,
-            onResult: null
-        };
+        // イベント通知（共有するバスを注入可能）
+        this.events = options.eventBus || new EventBus();
+        this.callbackSlots = {};
         
         // 設定
         this.config = {
             language: 'ja-JP',
             continuous: true,
             interimResults: false,
-            maxAlternatives: 1
+            maxAlternatives: 5  // 認識候補（N-best）の数、コマンド文法で再評価して1つを選ぶ
         };
         
         console.log(`${this.constructor.name} created`);
@@ -53,7 +56,7 @@ class VoiceRecognitionEngine {
      * コールバック設定
      */
     setCallbacks(callbacks) {
-        this.callbacks = { ...this.callbacks, ...callbacks };
+        this.events.bindCallbacks(callbacks, RECOGNITION_ENGINE_CALLBACK_EVENTS, this.callbackSlots);
     }
     
     /**
@@ -88,9 +91,7 @@ class VoiceRecognitionEngine {
     notifyError(message, error = null, shouldRestart = false) {
         console.error(`${this.constructor.name} Error:`, message, error);
         
-        if (this.callbacks.onError) {
-            this.callbacks.onError(message, error, shouldRestart);
-        }
+        this.events.emit('recognition:error', message, error, shouldRestart);
     }
     
     /**
@@ -100,20 +101,17 @@ class VoiceRecognitionEngine {
         console.log(`${this.constructor.name} Status:`, status);
         this.isListening = (status === 'listening');
         
-        if (this.callbacks.onStatusChange) {
-            this.callbacks.onStatusChange(status);
-        }
+        this.events.emit('recognition:statusChange', status);
     }
     
     /**
-     * 認識結果通知
+     * 認識結果通知（details.alternatives は先頭の候補を含む認識候補の一覧 [{ transcript, confidence }]、
+     * details.resultIndex は認識セッション内の発話の番号で、中間結果と確定結果で同じ発話なら同じ）
      */
-    notifyResult(transcript, confidence = 1.0, isFinal = true) {
+    notifyResult(transcript, confidence = 1.0, isFinal = true, details = {}) {
         console.log(`${this.constructor.name} Result:`, transcript, confidence);
         
-        if (this.callbacks.onResult) {
-            this.callbacks.onResult(transcript, confidence, isFinal);
-        }
+        this.events.emit('recognition:result', transcript, confidence, isFinal, details);
     }
     
     /**
@@ -122,9 +120,7 @@ class VoiceRecognitionEngine {
     notifyCommand(command, originalText) {
         console.log(`${this.constructor.name} Command:`, command, originalText);
         
-        if (this.callbacks.onCommand) {
-            this.callbacks.onCommand(command, originalText);
-        }
+        this.events.emit('recognition:command', command, originalText);
     }
     
     /**
@@ -133,6 +129,7 @@ class VoiceRecognitionEngine {
     cleanup() {
         this.stop();
         this.isInitialized = false;
+        this.events.unbindCallbacks(this.callbackSlots);
         console.log(`${this.constructor.name} cleaned up`);
     }
 }
@@ -3,8 +3,20 @@
  * 既存のAdvancedVoiceRecognitionをStrategy パターンに適応させる
  */
 
+const UNIFIED_RECOGNITION_CALLBACK_EVENTS = {
+    onCommand: 'recognition:command',
+    onStatusChange: 'recognition:statusChange',
+    onError: 'recognition:error',
+    onInput: 'recognition:input',
+    onInterimInput: 'recognition:interimInput',
+    onTranscript: 'recognition:transcript',
+    onCommandQueue: 'recognition:commandQueue',
+    onUserLearning: 'recognition:userLearning',
+    onConfirmationRequest: 'recognition:confirmationRequest'
+};
+
 class UnifiedVoiceRecognition {
-    constructor() {
+    constructor(options = {}) {
         // 音声認識エンジン
         this.currentEngine = null;
         this.availableEngines = new Map();
@@ -16,7 +28,7 @@ class UnifiedVoiceRecognition {
             webspeech: {
                 language: 'ja-JP',
                 continuous: true,
-                interimResults: false
+                interimResults: true  // 中間結果からのコマンド早期確定に使う
             },
             whisper: {
                 model: 'base',
@@ -32,15 +44,34 @@ class UnifiedVoiceRecognition {
         // 高度機能（既存のAdvancedVoiceRecognitionの機能）
         this.advancedFeatures = null;
         
-        // コールバック
-        this.callbacks = {
-            onCommand: null,
-            onStatusChange: null,
-            onError: null,
-            onCommandQueue: null,
-            onUserLearning: null,
-            onConfirmationRequest: null
-        };
+        // イベント通知（共有するバスを注入可能、各エンジンも同じバスに状態変化・エラー・認識結果を通知する）
+        this.events = options.eventBus || new EventBus();
+        this.callbackSlots = {};
+        this.unsubscribes = [];
+        this.queueTimers = new Set(); // 実行待ちの連続コマンドのタイマー
+        
+        // 中間結果からのコマンド早期確定
+        this.earlyCommit = new EarlyCommitTracker();
+        
+        // 確定した認識結果を高度処理へ（認識候補があればコマンド文法への一致で選び直し、早期確定済みのコマンドは除く）
+        this.unsubscribes.push(this.events.on('recognition:result', (transcript, confidence, isFinal, details = {}) => {
+            if (!isFinal) {
+                this.earlyCommit.handleInterimResult(this, transcript, details.resultIndex);
+                return;
+            }
+            
+            const best = CommandGrammar.chooseAlternative(details.alternatives || [{ transcript, confidence }]);
+            if (best) {
+                this.earlyCommit.processFinal(details.resultIndex, () => this.processRecognitionResult(best.transcript, best.confidence));
+            }
+        }));
+        
+        // 認識セッションの開始ごとに結果の番号が振り直される
+        this.unsubscribes.push(this.events.on('recognition:statusChange', (status) => {
+            if (status === 'listening') {
+                this.earlyCommit.reset();
+            }
+        }));
         
         console.log('UnifiedVoiceRecognition created');
     }
@@ -76,7 +107,7 @@ class UnifiedVoiceRecognition {
         try {
             // Web Speech API エンジン
             if (window.WebSpeechEngine) {
-                const webSpeechEngine = new WebSpeechEngine();
+                const webSpeechEngine = new WebSpeechEngine({ eventBus: this.events });
                 if (webSpeechEngine.isEngineSupported()) {
                     this.availableEngines.set('webspeech', {
                         engine: webSpeechEngine,
@@ -94,7 +125,7 @@ class UnifiedVoiceRecognition {
             
             // Whisper WebAssembly エンジン（一時的に無効化可能）
             if (window.WhisperWASMEngine && !this.disableWhisper) {
-                const whisperEngine = new WhisperWASMEngine();
+                const whisperEngine = new WhisperWASMEngine({ eventBus: this.events });
                 if (whisperEngine.isEngineSupported()) {
                     this.availableEngines.set('whisper', {
                         engine: whisperEngine,
@@ -199,8 +230,7 @@ class UnifiedVoiceRecognition {
             processingQueue: false,
             queueProcessingDelay: 1000,
             
-            // 自然言語処理
-            naturalLanguagePatterns: new Map(),
+            // 自然言語処理（表現は command-grammar.js）
             contextHistory: [],
             maxContextHistory: 10,
             
@@ -212,9 +242,6 @@ class UnifiedVoiceRecognition {
             confirmationSystem: null
         };
         
-        // 自然言語パターン初期化
-        this.initializeNaturalLanguagePatterns();
-        
         // 学習データ読み込み
         this.loadUserLearning();
         
@@ -246,9 +273,6 @@ class UnifiedVoiceRecognition {
             await this.currentEngine.init();
         }
         
-        // エンジンコールバック設定
-        this.setupEngineCallbacks();
-        
         // エンジン設定適用
         const config = this.engineConfig[engineType];
         if (config) {
@@ -258,44 +282,20 @@ class UnifiedVoiceRecognition {
         console.log(`Engine switched to: ${engineType} (${engineInfo.name})`);
     }
     
-    /**
-     * エンジンコールバック設定
-     */
-    setupEngineCallbacks() {
-        this.currentEngine.setCallbacks({
-            onResult: (transcript, confidence, isFinal) => {
-                if (isFinal) {
-                    this.processRecognitionResult(transcript, confidence);
-                }
-            },
-            onStatusChange: (status) => {
-                if (this.callbacks.onStatusChange) {
-                    this.callbacks.onStatusChange(status);
-                }
-            },
-            onError: (message, error, shouldRestart) => {
-                if (this.callbacks.onError) {
-                    this.callbacks.onError(message, error, shouldRestart);
-                }
-            }
-        });
-    }
-    
     /**
      * 音声認識結果の高度処理
      */
     processRecognitionResult(transcript, confidence) {
         console.log(`Processing: "${transcript}" (confidence: ${confidence})`);
         
+        this.events.emit('recognition:transcript', transcript, confidence);
+        
         // コンテキスト履歴に追加
         this.addToContext(transcript);
         
-        // 確認システムがある場合の応答チェック
-        if (this.advancedFeatures.confirmationSystem && 
-            this.advancedFeatures.confirmationSystem.getStatus().hasPendingConfirmation) {
-            if (this.advancedFeatures.confirmationSystem.handleConfirmationResponse(transcript)) {
-                return; // 確認応答として処理された
-            }
+        // 確認への応答・取り消し・コマンド以外の発話
+        if (CommandDispatch.intercept(this, transcript)) {
+            return;
         }
         
         // コマンド解析
@@ -310,115 +310,57 @@ class UnifiedVoiceRecognition {
         }
         
         if (commands.length > 0) {
-            const primaryCommand = commands[0];
-            
-            // 確認システムによる信頼度チェック
-            if (this.advancedFeatures.confirmationSystem && 
-                this.advancedFeatures.confirmationSystem.shouldConfirm(primaryCommand, transcript, confidence)) {
-                this.requestConfirmationWithSystem(primaryCommand, transcript, confidence, commands);
-                return;
-            }
-            
-            // 学習機能：成功したパターンを記録
-            this.learnSuccessfulPattern(transcript, commands);
-            
-            if (commands.length === 1) {
-                // 単一コマンド
-                this.executeCommand(commands[0], transcript);
-            } else {
-                // 連続コマンド
-                this.queueCommands(commands, transcript);
-            }
+            CommandDispatch.dispatch(this, commands, transcript, confidence);
         } else {
             // 認識失敗時の学習機会
-            this.handleUnrecognizedInput(transcript);
+            this.handleUnrecognizedInput(transcript, confidence);
         }
     }
     
     /**
-     * 自然言語パターン初期化
+     * 確認システム（高度機能の初期化前・未初期化ならnull）
      */
-    initializeNaturalLanguagePatterns() {
-        const patterns = this.advancedFeatures.naturalLanguagePatterns;
-        
-        // 攻撃系の表現
-        patterns.set('attack', [
-            /敵.*やっつけ/, /敵.*倒/, /敵.*撃破/, /攻撃.*して/, /やっつけて/,
-            /倒して/, /撃って/, /戦って/, /敵.*消して/, /敵.*排除/
-        ]);
-        
-        // 防御系の表現
-        patterns.set('defend', [
-            /守って/, /防いで/, /シールド/, /バリア/, /防衛.*強化/,
-            /回復.*して/, /治して/, /直して/, /立て直/, /持ちこたえ/, /耐え/
-        ]);
-        
-        // 撤退系の表現
-        patterns.set('retreat', [
-            /逃げ/, /退避/, /下がって/, /引いて/, /避難/, /撤退.*して/,
-            /危険.*だから/, /やばい/, /まずい/, /無理/, /厳しい/
-        ]);
-        
-        // 状況確認系の表現
-        patterns.set('status', [
-            /どうなって/, /状況.*教えて/, /今.*どう/, /何が.*起きて/,
-            /現在.*状況/, /レポート/, /報告.*して/, /確認/, /チェック/
-        ]);
-        
-        console.log('Natural language patterns initialized');
+    getConfirmationSystem() {
+        return this.advancedFeatures ? this.advancedFeatures.confirmationSystem : null;
+    }
+    
+    /**
+     * 早期確定の切り替え（Web Speech API の中間結果は次の認識開始から反映）
+     */
+    setEarlyCommit(enabled) {
+        this.earlyCommit.enabled = enabled;
+        this.earlyCommit.reset();
+        this.engineConfig.webspeech.interimResults = enabled;
+        
+        const webspeech = this.availableEngines.get('webspeech');
+        if (webspeech) {
+            webspeech.engine.updateConfig({ interimResults: enabled });
+        }
     }
     
     /**
      * 高度コマンド解析
      */
     parseAdvancedCommand(transcript) {
-        // 既存のAdvancedVoiceRecognitionのロジックを統合
-        const commands = [];
-        const lowerTranscript = transcript.toLowerCase();
-        
         // 学習済みパターンチェック
         const learnedCommand = this.checkLearnedPatterns(transcript);
         if (learnedCommand) {
-            commands.push(learnedCommand);
-            return commands;
-        }
-        
-        // 基本コマンドマッピング（既存のVoiceRecognitionから）
-        const commandMap = {
-            '攻撃': 'attack', 'こうげき': 'attack', 'attack': 'attack',
-            '防御': 'defend', 'ぼうぎょ': 'defend', 'defend': 'defend',
-            '撤退': 'retreat', 'てったい': 'retreat', 'retreat': 'retreat',
-            '状況': 'status', 'じょうきょう': 'status', 'status': 'status'
-        };
-        
-        for (const [keyword, command] of Object.entries(commandMap)) {
-            if (lowerTranscript.includes(keyword.toLowerCase())) {
-                if (!commands.includes(command)) {
-                    commands.push(command);
-                }
-            }
+            return [learnedCommand];
         }
         
-        return commands;
+        // 連続コマンドパターン → 同義語（command-grammar.js）
+        return CommandGrammar.matchCombo(transcript) || CommandGrammar.matchSynonyms(transcript);
     }
     
     /**
      * 自然言語解析
      */
     parseNaturalLanguage(transcript) {
-        const lowerTranscript = transcript.toLowerCase();
-        const patterns = this.advancedFeatures.naturalLanguagePatterns;
-        
-        for (const [command, patternArray] of patterns.entries()) {
-            for (const pattern of patternArray) {
-                if (pattern.test(lowerTranscript)) {
-                    console.log(`Natural language match: ${transcript} -> ${command}`);
-                    return command;
-                }
-            }
+        const command = CommandGrammar.matchPattern(transcript);
+        if (command) {
+            console.log(`Natural language match: ${transcript} -> ${command}`);
         }
-        
-        return null;
+        return command;
     }
     
     /**
@@ -441,43 +383,39 @@ class UnifiedVoiceRecognition {
     }
     
     setCallbacks(callbacks) {
-        this.callbacks = { ...this.callbacks, ...callbacks };
-        
-        // 既存のコールバック形式との互換性
-        if (callbacks.onCommand) {
-            this.onCommand = callbacks.onCommand;
-        }
-        if (callbacks.onStatusChange) {
-            this.onStatusChange = callbacks.onStatusChange;
-        }
-        if (callbacks.onError) {
-            this.onError = callbacks.onError;
-        }
+        this.events.bindCallbacks(callbacks, UNIFIED_RECOGNITION_CALLBACK_EVENTS, this.callbackSlots);
+    }
+    
+    /**
+     * setCallbacks で設定中のコールバック
+     */
+    getCallback(name) {
+        return this.callbackSlots[name] ? this.callbackSlots[name].callback : null;
     }
     
     // 既存システムとの互換性プロパティ
     get onCommand() {
-        return this.callbacks.onCommand;
+        return this.getCallback('onCommand');
     }
     
     set onCommand(callback) {
-        this.callbacks.onCommand = callback;
+        this.setCallbacks({ onCommand: callback });
     }
     
     get onStatusChange() {
-        return this.callbacks.onStatusChange;
+        return this.getCallback('onStatusChange');
     }
     
     set onStatusChange(callback) {
-        this.callbacks.onStatusChange = callback;
+        this.setCallbacks({ onStatusChange: callback });
     }
     
     get onError() {
-        return this.callbacks.onError;
+        return this.getCallback('onError');
     }
     
     set onError(callback) {
-        this.callbacks.onError = callback;
+        this.setCallbacks({ onError: callback });
     }
     
     get isListening() {
@@ -512,7 +450,7 @@ class UnifiedVoiceRecognition {
     checkLearnedPatterns(transcript) {
         const learnedCommands = this.advancedFeatures.learnedCommands;
         for (const [pattern, command] of learnedCommands.entries()) {
-            if (transcript.toLowerCase().includes(pattern.toLowerCase())) {
+            if (TextNormalizer.contains(transcript, pattern)) {
                 console.log(`Using learned pattern: ${pattern} -> ${command}`);
                 return command;
             }
@@ -522,8 +460,8 @@ class UnifiedVoiceRecognition {
     
     learnSuccessfulPattern(transcript, commands) {
         // 学習ロジック（簡略版）
-        const key = transcript.toLowerCase().trim();
-        const command = commands[0];
+        const key = TextNormalizer.normalize(transcript);
+        const command = CommandGrammar.getType(commands[0]);
         
         const userPatterns = this.advancedFeatures.userPatterns;
         if (!userPatterns.has(command)) {
@@ -557,46 +495,55 @@ class UnifiedVoiceRecognition {
     }
     
     executeCommand(command, originalText) {
-        if (this.callbacks.onCommand) {
-            this.callbacks.onCommand(command, originalText);
-        }
+        this.events.emit('recognition:command', command, originalText);
     }
     
     queueCommands(commands, originalText) {
-        console.log(`Queueing commands: ${commands.join(' -> ')}`);
+        console.log(`Queueing commands: ${commands.map(command => CommandGrammar.describe(command)).join(' -> ')}`);
         
-        if (this.callbacks.onCommandQueue) {
-            this.callbacks.onCommandQueue(commands);
-        }
+        this.events.emit('recognition:commandQueue', commands);
         
         // 順次実行（簡略実装）
         commands.forEach((command, index) => {
-            setTimeout(() => {
+            const timer = setTimeout(() => {
+                this.queueTimers.delete(timer);
                 this.executeCommand(command, originalText);
             }, index * this.advancedFeatures.queueProcessingDelay);
+            this.queueTimers.add(timer);
         });
     }
     
+    /**
+     * 実行待ちの連続コマンドの取り消し
+     */
+    clearCommandQueue() {
+        this.queueTimers.forEach(timer => clearTimeout(timer));
+        this.queueTimers.clear();
+    }
+    
     requestConfirmationWithSystem(command, transcript, confidence, allCommands) {
-        if (this.callbacks.onConfirmationRequest) {
-            this.callbacks.onConfirmationRequest({
-                originalText: transcript,
-                interpretedCommand: command,
-                confidence: confidence
-            });
-        }
+        this.events.emit('recognition:confirmationRequest', {
+            originalText: transcript,
+            interpretedCommand: command,
+            confidence: confidence
+        });
     }
     
-    handleUnrecognizedInput(transcript) {
+    handleUnrecognizedInput(transcript, confidence = 1.0) {
         console.log(`Unrecognized input: "${transcript}"`);
         
-        if (this.callbacks.onError) {
-            this.callbacks.onError(
-                `認識できませんでした: "${transcript}"`, 
-                'unrecognized', 
-                false
-            );
+        // 音の近いコマンドがほぼ確実なら実行（一致度で割り引いた信頼度で確認の要否を判定）
+        const { accepted, suggestions } = PhoneticMatcher.resolve(PhoneticMatcher.rank(transcript));
+        if (accepted) {
+            console.log(`Phonetic match: "${transcript}" -> ${accepted.type} (score: ${accepted.score.toFixed(2)})`);
+            CommandDispatch.dispatch(this, [accepted.type], transcript, confidence * accepted.score);
+            return;
         }
+        
+        const suggestionText = suggestions.length > 0 ?
+            `（もしかして：${suggestions.map(candidate => candidate.label).join('、')}）` : '';
+        this.events.emit('recognition:error', `認識できませんでした: "${transcript}"${suggestionText}`, 'unrecognized', false,
+            { transcript: transcript });
     }
     
     /**
@@ -643,7 +590,7 @@ class UnifiedVoiceRecognition {
     }
     
     /**
-     * クリーンアップ
+     * クリーンアップ（共有するバスの購読も解除する）
      */
     cleanup() {
         if (this.currentEngine) {
@@ -659,6 +606,11 @@ class UnifiedVoiceRecognition {
         this.availableEngines.clear();
         this.currentEngine = null;
         
+        this.clearCommandQueue();
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.unsubscribes = [];
+        this.events.unbindCallbacks(this.callbackSlots);
+        
         console.log('UnifiedVoiceRecognition cleaned up');
     }
 }
@@ -3,49 +3,31 @@
  * Web Speech API を使用した音声コマンド認識
  */
 
+const VOICE_RECOGNITION_CALLBACK_EVENTS = {
+    onCommand: 'recognition:command',
+    onStatusChange: 'recognition:statusChange',
+    onError: 'recognition:error',
+    onResult: 'recognition:result',
+    onInput: 'recognition:input',
+    onInterimInput: 'recognition:interimInput',
+    onTranscript: 'recognition:transcript',
+    onCommandQueue: 'recognition:commandQueue',
+    onUserLearning: 'recognition:userLearning',
+    onConfirmationRequest: 'recognition:confirmationRequest'
+};
+
 class VoiceRecognition {
-    constructor() {
+    constructor(options = {}) {
         this.recognition = null;
         this.isListening = false;
         this.isSupported = false;
         
-        // 認識可能なコマンドと対応する処理
-        this.commandMap = {
-            // 攻撃コマンド
-            '攻撃': 'attack',
-            'こうげき': 'attack',
-            'アタック': 'attack',
-            'たたかう': 'attack',
-            '戦う': 'attack',
-            
-            // 防御コマンド
-            '防御': 'defend',
-            'ぼうぎょ': 'defend',
-            'ディフェンス': 'defend',
-            'まもる': 'defend',
-            '守る': 'defend',
-            'シールド': 'defend',
-            
-            // 撤退コマンド
-            '撤退': 'retreat',
-            'てったい': 'retreat',
-            'にげる': 'retreat',
-            '逃げる': 'retreat',
-            'ひく': 'retreat',
-            '引く': 'retreat',
-            
-            // その他のコマンド
-            '状況': 'status',
-            'じょうきょう': 'status',
-            'レポート': 'status',
-            'ほうこく': 'status',
-            '報告': 'status'
-        };
+        // イベント通知（統合システムと同じ recognition:* イベント、共有するバスを注入可能）
+        this.events = options.eventBus || new EventBus();
+        this.callbackSlots = {};
         
-        // コマンド実行コールバック
-        this.onCommand = null;
-        this.onStatusChange = null;
-        this.onError = null;
+        // 中間結果からのコマンド早期確定
+        this.earlyCommit = new EarlyCommitTracker();
         
         this.init();
     }
@@ -68,8 +50,8 @@ class VoiceRecognition {
         // 設定
         this.recognition.lang = 'ja-JP';
         this.recognition.continuous = true;  // 連続認識
-        this.recognition.interimResults = false;  // 中間結果は不要
-        this.recognition.maxAlternatives = 1;  // 最大候補数
+        this.recognition.interimResults = this.earlyCommit.enabled;  // 中間結果（コマンドの早期確定用）
+        this.recognition.maxAlternatives = 5;  // 最大候補数（コマンド文法で再評価して1つを選ぶ）
         
         // イベントリスナー設定
         this.setupEventListeners();
@@ -86,29 +68,40 @@ class VoiceRecognition {
         this.recognition.onstart = () => {
             console.log('音声認識開始');
             this.isListening = true;
-            if (this.onStatusChange) {
-                this.onStatusChange('listening');
-            }
+            this.earlyCommit.reset();
+            this.events.emit('recognition:statusChange', 'listening');
         };
         
         // 認識終了
         this.recognition.onend = () => {
             console.log('音声認識終了');
             this.isListening = false;
-            if (this.onStatusChange) {
-                this.onStatusChange('stopped');
-            }
+            this.events.emit('recognition:statusChange', 'stopped');
         };
         
         // 認識結果
         this.recognition.onresult = (event) => {
-            const lastResultIndex = event.results.length - 1;
-            const transcript = event.results[lastResultIndex][0].transcript.trim();
-            const confidence = event.results[lastResultIndex][0].confidence;
-            
-            console.log(`認識結果: "${transcript}" (信頼度: ${confidence})`);
-            
-            this.processRecognitionResult(transcript, confidence);
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                const alternatives = Array.from(result, alternative => ({
+                    transcript: alternative.transcript,
+                    confidence: alternative.confidence
+                }));
+                this.events.emit('recognition:result', result[0].transcript.trim(), result[0].confidence, result.isFinal,
+                    { alternatives: alternatives, resultIndex: i });
+                
+                if (!result.isFinal) {
+                    this.earlyCommit.handleInterimResult(this, result[0].transcript.trim(), i);
+                    continue;
+                }
+                
+                const best = CommandGrammar.chooseAlternative(alternatives);
+                if (!best) continue;
+                
+                console.log(`認識結果: "${best.transcript}" (信頼度: ${best.confidence})`);
+                
+                this.earlyCommit.processFinal(i, () => this.processRecognitionResult(best.transcript, best.confidence));
+            }
         };
         
         // エラーハンドリング
@@ -148,9 +141,7 @@ class VoiceRecognition {
                     shouldRestart = true;
             }
             
-            if (this.onError) {
-                this.onError(errorMessage, event.error, shouldRestart);
-            }
+            this.events.emit('recognition:error', errorMessage, event.error, shouldRestart);
             
             // 軽微なエラーの場合は自動再開
             if (shouldRestart && this.isListening) {
@@ -165,49 +156,73 @@ class VoiceRecognition {
      * 音声認識結果の処理
      */
     processRecognitionResult(transcript, confidence) {
+        this.events.emit('recognition:transcript', transcript, confidence);
+        
         // 信頼度が低い場合は無視
         if (confidence < 0.5) {
             console.log('信頼度が低いため無視:', confidence);
             return;
         }
         
+        // 取り消し・コマンド以外の発話は通常のコマンド解析より優先
+        if (CommandDispatch.intercept(this, transcript)) {
+            return;
+        }
+        
         // コマンド解析
         const command = this.parseCommand(transcript);
         
         if (command) {
+            // 同じ発話の中間結果で早期確定済みなら実行しない
+            const structured = CommandGrammar.createCommand(command, transcript);
+            if (this.earlyCommit.excludeCommitted([structured]).length === 0) return;
+            
             console.log(`コマンド実行: ${command} (元: "${transcript}")`);
-            if (this.onCommand) {
-                this.onCommand(command, transcript);
-            }
+            this.events.emit('recognition:command', structured, transcript);
         } else {
             console.log(`認識できないコマンド: "${transcript}"`);
-            if (this.onCommand) {
-                this.onCommand(null, transcript);
-            }
+            this.events.emit('recognition:command', null, transcript);
         }
     }
     
     /**
-     * コマンド解析
+     * コマンド実行
      */
-    parseCommand(transcript) {
-        const lowerTranscript = transcript.toLowerCase();
-        
-        // 完全一致を優先
-        if (this.commandMap[transcript]) {
-            return this.commandMap[transcript];
-        }
-        
-        // 部分一致チェック
-        for (const [keyword, command] of Object.entries(this.commandMap)) {
-            if (lowerTranscript.includes(keyword.toLowerCase())) {
-                return command;
-            }
-        }
-        
+    executeCommand(command, originalText) {
+        this.events.emit('recognition:command', command, originalText);
+    }
+    
+    /**
+     * 確認システム（確認のないこのクラスではnull）
+     */
+    getConfirmationSystem() {
         return null;
     }
     
+    /**
+     * 実行待ちの連続コマンドの取り消し（連続コマンドのないこのクラスでは何もしない）
+     */
+    clearCommandQueue() {
+    }
+    
+    /**
+     * 早期確定の切り替え（中間結果は次の認識開始から反映）
+     */
+    setEarlyCommit(enabled) {
+        this.earlyCommit.enabled = enabled;
+        this.earlyCommit.reset();
+        if (this.recognition) {
+            this.recognition.interimResults = enabled;
+        }
+    }
+    
+    /**
+     * コマンド解析（command-grammar.js の同義語・自然言語の表現）
+     */
+    parseCommand(transcript) {
+        return CommandGrammar.parseCommand(transcript);
+    }
+    
     /**
      * 音声認識開始
      */
@@ -227,9 +242,7 @@ class VoiceRecognition {
             return true;
         } catch (error) {
             console.error('音声認識開始エラー:', error);
-            if (this.onError) {
-                this.onError('音声認識を開始できません', error);
-            }
+            this.events.emit('recognition:error', '音声認識を開始できません', error);
             return false;
         }
     }
@@ -274,15 +287,12 @@ class VoiceRecognition {
     }
     
     /**
-     * コマンドリスト取得
+     * コマンドリスト取得（コマンド種別 -> 同義語）
      */
     getAvailableCommands() {
         const commands = {};
-        for (const [keyword, command] of Object.entries(this.commandMap)) {
-            if (!commands[command]) {
-                commands[command] = [];
-            }
-            commands[command].push(keyword);
+        for (const command of CommandGrammar.getCommands()) {
+            commands[command.type] = command.synonyms;
         }
         return commands;
     }
@@ -291,8 +301,14 @@ class VoiceRecognition {
      * コールバック設定
      */
     setCallbacks(callbacks) {
-        if (callbacks.onCommand) this.onCommand = callbacks.onCommand;
-        if (callbacks.onStatusChange) this.onStatusChange = callbacks.onStatusChange;
-        if (callbacks.onError) this.onError = callbacks.onError;
+        this.events.bindCallbacks(callbacks, VOICE_RECOGNITION_CALLBACK_EVENTS, this.callbackSlots);
+    }
+    
+    /**
+     * クリーンアップ（認識を止めてコールバックの購読を解除）
+     */
+    cleanup() {
+        this.stop();
+        this.events.unbindCallbacks(this.callbackSlots);
     }
 }
\ No newline at end of file
@@ -4,8 +4,8 @@
  */
 
 class WebSpeechEngine extends VoiceRecognitionEngine {
-    constructor() {
-        super();
+    constructor(options = {}) {
+        super(options);
         
         this.recognition = null;
         this.restartTimeout = null;
@@ -104,6 +104,9 @@ class WebSpeechEngine extends VoiceRecognitionEngine {
         let finalTranscript = '';
         let interimTranscript = '';
         let confidence = 0;
+        let alternatives = [];
+        let finalIndex = -1;
+        let interimIndex = -1;
         
         // 結果を処理
         for (let i = event.resultIndex; i < event.results.length; i++) {
@@ -111,21 +114,30 @@ class WebSpeechEngine extends VoiceRecognitionEngine {
             const transcript = result[0].transcript.trim();
             
             if (result.isFinal) {
+                // 認識候補は最後の確定結果のもの（それより前の確定結果は先頭の候補を前に付ける）
+                alternatives = Array.from(result, alternative => ({
+                    transcript: finalTranscript + alternative.transcript.trim(),
+                    confidence: alternative.confidence
+                }));
                 finalTranscript += transcript;
                 confidence = result[0].confidence || 0.8; // デフォルト信頼度
+                finalIndex = i;
             } else {
                 interimTranscript += transcript;
+                if (interimIndex === -1) {
+                    interimIndex = i;
+                }
             }
         }
         
-        // 中間結果通知
+        // 中間結果通知（resultIndex で同じ発話の確定結果と対応づける）
         if (interimTranscript) {
-            this.notifyResult(interimTranscript, confidence, false);
+            this.notifyResult(interimTranscript, confidence, false, { resultIndex: interimIndex });
         }
         
         // 最終結果通知
         if (finalTranscript) {
-            this.notifyResult(finalTranscript, confidence, true);
+            this.notifyResult(finalTranscript, confidence, true, { alternatives: alternatives, resultIndex: finalIndex });
             this.lastSpeechTime = Date.now();
         }
     }
@@ -4,8 +4,8 @@
  */
 
 class WhisperWASMEngine extends VoiceRecognitionEngine {
-    constructor() {
-        super();
+    constructor(options = {}) {
+        super(options);
         
         // Whisper WebAssembly関連
         this.whisperModule = null;
@@ -22,6 +22,7 @@ class WhisperWASMEngine extends VoiceRecognitionEngine {
             translate: false,
             maxTokens: 32,
             temperature: 0.0,
+            beamSize: 5,  // ビームサーチの幅（上位の仮説を認識候補として通知）
             threads: 1
         };
         
@@ -85,7 +86,7 @@ class WhisperWASMEngine extends VoiceRecognitionEngine {
         this.initializationProgress = 10;
         
         // AudioProcessor 初期化
-        this.audioProcessor = new AudioProcessor();
+        this.audioProcessor = new AudioProcessor({ eventBus: this.events });
         await this.audioProcessor.init();
         
         // AudioProcessor コールバック設定
@@ -228,9 +229,15 @@ class WhisperWASMEngine extends VoiceRecognitionEngine {
                             
                             console.log(`[Whisper Mock] Recognition SUCCESS: "${selectedResult}" (confidence: ${confidence.toFixed(3)}, audio level: ${averageLevel.toFixed(4)})`);
                             
+                            // ビームサーチの下位の仮説（信頼度の低い別のコマンド）
+                            const alternatives = mockResults
+                                .filter(text => text !== selectedResult)
+                                .map((text, index) => ({ text: text, confidence: confidence * (0.5 - index * 0.1) }));
+                            
                             resolve({
                                 text: selectedResult,
                                 confidence: confidence,
+                                alternatives: alternatives,
                                 processing_time: Math.random() * 800 + 400
                             });
                         } else {
@@ -404,7 +411,7 @@ class WhisperWASMEngine extends VoiceRecognitionEngine {
             const startTime = Date.now();
             
             // Whisper転写実行
-            const result = await this.whisperModule.transcribe(this.whisperContext, audioData);
+            const result = await this.whisperModule.transcribe(this.whisperContext, audioData, this.whisperConfig);
             
             const processingTime = Date.now() - startTime;
             console.log(`Transcription completed in ${processingTime}ms:`, result.text);
@@ -412,7 +419,9 @@ class WhisperWASMEngine extends VoiceRecognitionEngine {
             // 結果通知
             if (result.text && result.text.trim().length > 0) {
                 console.log(`[WhisperWASM] Transcription success: "${result.text.trim()}" (confidence: ${result.confidence})`);
-                this.notifyResult(result.text.trim(), result.confidence || 0.8, true);
+                this.notifyResult(result.text.trim(), result.confidence || 0.8, true, {
+                    alternatives: this.getAlternatives(result)
+                });
             } else {
                 // 空の結果の場合はログのみ出力
                 console.log(`[WhisperWASM] No speech detected or transcription failed`);
@@ -425,6 +434,17 @@ class WhisperWASMEngine extends VoiceRecognitionEngine {
         }
     }
     
+    /**
+     * ビームサーチの仮説を認識候補に変換（先頭は採用された結果、仮説がなければ結果のみ）
+     */
+    getAlternatives(result) {
+        const top = { transcript: result.text.trim(), confidence: result.confidence || 0.8 };
+        const hypotheses = (result.alternatives || [])
+            .filter(hypothesis => hypothesis.text && hypothesis.text.trim() && hypothesis.text.trim() !== top.transcript)
+            .map(hypothesis => ({ transcript: hypothesis.text.trim(), confidence: hypothesis.confidence || 0 }));
+        return [top, ...hypotheses];
+    }
+    
     /**
      * モデル切り替え
      */